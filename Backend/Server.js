@@ -9,6 +9,8 @@ const connectDB = require("./config/db");
 const app = require("./app");
 const { initializeSocket } = require("./config/socket");
 const alertService = require("./services/alertService");
+const careScheduleService = require("./services/careScheduleService");
+const treeImportService = require("./services/treeImportService");
 // PWA Push Notifications disabled - user preference
 // const pushNotificationService = require("./services/pushNotificationService");
 
@@ -65,6 +67,14 @@ const start = async () => {
   alertService.startWeatherMonitoring();
   console.log("✅ Weather monitoring started");
 
+  // Generate routine care tasks from care plans
+  careScheduleService.startCareScheduling();
+
+  // Finish geocoding tree imports interrupted by a restart
+  treeImportService.resumeGeocoding().catch((error) =>
+    console.error("❌ Failed to resume tree import geocoding:", error.message)
+  );
+
   // Graceful shutdown handlers
   const gracefulShutdown = async (signal) => {
     console.log(`\n${signal} received. Starting graceful shutdown...`);
@@ -72,6 +82,7 @@ const start = async () => {
     // Stop alert monitoring
     alertService.stopWeatherMonitoring();
     console.log("✅ Weather monitoring stopped");
+    careScheduleService.stopCareScheduling();
 
     // Close server
     server.close(() => {
@@ -5,6 +5,7 @@ const cookieParser = require("cookie-parser");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const connectDB = require("./config/db");
+const photoStorage = require("./services/photoStorage");
 
 const authRoutes = require("./routes/authRoutes");
 const treeRoutes = require("./routes/treeRoutes");
@@ -13,6 +14,10 @@ const riskRoutes = require("./routes/riskRoutes");
 const eventRoutes = require("./routes/eventRoutes");
 const volunteerRoutes = require("./routes/volunteerRoutes");
 const alertRoutes = require("./routes/alertRoutes");
+const speciesProfileRoutes = require("./routes/speciesProfileRoutes");
+const carePlanRoutes = require("./routes/carePlanRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const volunteerApplicationRoutes = require("./routes/volunteerApplicationRoutes");
 
 const app = express();
 
@@ -82,6 +87,18 @@ app.use(
   })
 );
 
+// Alert photos on local disk (PHOTO_STORAGE=local); S3 serves its own URLs
+if ((process.env.PHOTO_STORAGE || "local").toLowerCase() === "local") {
+  app.use(
+    "/uploads",
+    express.static(photoStorage.adapters.local.getUploadDir(), {
+      maxAge: "7d",
+      index: false,
+      dotfiles: "ignore",
+    })
+  );
+}
+
 app.get("/api/health", (req, res) => {
   res.status(200).json({ success: true, message: "API is running" });
 });
@@ -93,6 +110,10 @@ app.use("/api/risk", riskRoutes);
 app.use("/api/events", eventRoutes);
 app.use("/api/volunteers", volunteerRoutes);
 app.use("/api/alerts", alertRoutes);
+app.use("/api/species-profiles", speciesProfileRoutes);
+app.use("/api/care-plans", carePlanRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/volunteer-applications", volunteerApplicationRoutes);
 
 app.use((req, res, next) => {
   const err = new Error("Route not found");
@@ -102,6 +123,11 @@ app.use((req, res, next) => {
 
 // Centralized error handler
 app.use((err, req, res, next) => {
+  // Streams (e.g. tree exports) that fail after sending headers can only be cut off
+  if (res.headersSent) {
+    return next(err);
+  }
+
   let statusCode = err.statusCode || 500;
   let message = err.message || "Server Error";
 
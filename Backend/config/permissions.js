@@ -0,0 +1,185 @@
+/**
+ * Central permission model. Routes ask for a permission (requirePermission in
+ * middleware/auth.js), never for a role; roles are just named bundles of
+ * permissions. The Socket.io layer uses the same map for room access.
+ */
+
+const PERMISSIONS = {
+  "alerts:view": "Read alerts, their crews and timelines; follow alert rooms",
+  "alerts:respond": "Accept, work on, complete and cancel alerts as a volunteer",
+  "alerts:review": "Approve or reject submitted work on any tree",
+  "alerts:manage": "List all alerts, set crew sizes and resolve flagged check-ins",
+  "alerts:analytics": "Alert statistics, leaderboard, map and decline analytics",
+  "trees:manage": "View and edit any tree, and correct lifecycle status",
+  "trees:delete": "Delete any tree (owners can always delete their own)",
+  "trees:inspect": "Record inspections on any tree",
+  "trees:reports": "Survival reports and every user's tree imports",
+  "care-plans:manage": "Manage species-wide care plans and run the scheduler",
+  "species:manage": "Create, edit and delete species profiles",
+  "risk:analyze": "Run, update and delete risk analyses",
+  "events:manage": "Create, edit and delete any event",
+  "volunteers:review": "Review volunteer applications",
+  "users:manage": "Promote and demote users and read the audit log",
+  "system:debug": "Seed test data, debug and monitoring endpoints",
+  "dashboard:live": "Receive live operations events from every region (the admin socket room)",
+};
+
+const ROLE_PERMISSIONS = {
+  user: ["alerts:view"],
+  volunteer: ["alerts:view", "alerts:respond", "trees:inspect"],
+  // Looks after trees in the field: inspects and edits any tree, reviews the work
+  // done on them. No alerts:respond: doing the work goes through a volunteer
+  // application and the volunteer role, so a steward never reviews their own work.
+  tree_steward: [
+    "alerts:view",
+    "alerts:review",
+    "trees:inspect",
+    "trees:manage",
+    "care-plans:manage",
+  ],
+  // Regional admin: runs alerts and volunteer intake for their `region`. Every
+  // permission here must be region scoped in its handlers (regionFilter/isInRegion),
+  // so unscoped ones (trees:reports, events:manage, dashboard:live) stay out.
+  coordinator: [
+    "alerts:view",
+    "alerts:review",
+    "alerts:manage",
+    "alerts:analytics",
+    "volunteers:review",
+  ],
+  admin: Object.keys(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles whose alert and volunteer-application access is limited to User.region
+const REGION_SCOPED_ROLES = ["coordinator"];
+
+// Socket.io rooms a connection may join, by permission
+const ROOM_PERMISSIONS = {
+  admin: "dashboard:live",
+  alert: "alerts:view",
+};
+
+const roleOf = (userOrRole) =>
+  typeof userOrRole === "string" ? userOrRole : userOrRole && userOrRole.role;
+
+/**
+ * @param {Object|string} userOrRole - User (anything with .role) or a role name
+ * @returns {string[]}
+ */
+const permissionsFor = (userOrRole) => ROLE_PERMISSIONS[roleOf(userOrRole)] || [];
+
+/**
+ * @param {Object|string} userOrRole
+ * @param {string} permission - e.g. "alerts:review"
+ * @returns {boolean}
+ */
+const hasPermission = (userOrRole, permission) => permissionsFor(userOrRole).includes(permission);
+
+const isRegionScoped = (user) => !!user && REGION_SCOPED_ROLES.includes(user.role);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Mongo filter limiting a query to the user's region ({} when not region scoped).
+ * Matches the city or district of the address at `addressPath`.
+ * @param {Object} user
+ * @param {string} [addressPath="location.address"]
+ * @returns {Object}
+ */
+const regionFilter = (user, addressPath = "location.address") => {
+  if (!isRegionScoped(user)) return {};
+
+  // A coordinator without a region sees nothing rather than everything
+  const pattern = new RegExp(`^${escapeRegex(user.region || "\u0000")}$`, "i");
+  return {
+    $or: [{ [`${addressPath}.city`]: pattern }, { [`${addressPath}.district`]: pattern }],
+  };
+};
+
+/**
+ * Whether an address ({ city, district }) is inside the user's region (always true when not scoped)
+ */
+const isInRegion = (user, address) => {
+  if (!isRegionScoped(user)) return true;
+  if (!user.region || !address) return false;
+
+  const region = user.region.toLowerCase();
+  return [address.city, address.district].some(
+    (value) => typeof value === "string" && value.toLowerCase() === region
+  );
+};
+
+/**
+ * Owner-or-permission check for a single resource, e.g.
+ * canActOn(req.user, "trees:manage", tree.owner)
+ * @param {Object} user
+ * @param {string} permission
+ * @param {Object|string} [ownerId] - Owner ObjectId, id string or populated user
+ * @returns {boolean}
+ */
+const canActOn = (user, permission, ownerId) => {
+  if (!user) return false;
+  if (hasPermission(user, permission)) return true;
+  if (!ownerId) return false;
+  const owner = ownerId._id || ownerId; // populated or plain ref
+  return owner.toString() === (user.id || user._id).toString();
+};
+
+/**
+ * Whether a user may join a Socket.io room ("admin", "alert-<id>", ...)
+ */
+const canJoinRoom = (user, room) => {
+  const kind = room.split("-")[0];
+  const permission = ROOM_PERMISSIONS[kind];
+  return !!permission && hasPermission(user, permission);
+};
+
+// Permissions whose holders get their own live room, so work waiting on them
+// reaches reviewers who are not in the "admin" room
+const NOTIFY_PERMISSIONS = ["alerts:review", "volunteers:review"];
+
+/**
+ * Permission rooms a user's socket joins: "<permission>" when not region scoped,
+ * "<permission>@<region>" (lower case) for region-scoped roles
+ * @returns {string[]}
+ */
+const permissionRoomsFor = (user) => {
+  const held = NOTIFY_PERMISSIONS.filter((permission) => hasPermission(user, permission));
+  if (!isRegionScoped(user)) return held;
+  if (!user.region) return [];
+  return held.map((permission) => `${permission}@${user.region.toLowerCase()}`);
+};
+
+/**
+ * Rooms for an event about a record at `address`: the permission room plus the
+ * room of the address's city and district, e.g.
+ * io.to(["admin", ...permissionRoomsForEvent("alerts:review", alert.location.address)])
+ * @param {string} permission
+ * @param {Object} [address] - { city, district }
+ * @returns {string[]}
+ */
+const permissionRoomsForEvent = (permission, address) => {
+  const rooms = [permission];
+  [address?.city, address?.district].forEach((value) => {
+    if (typeof value === "string" && value) rooms.push(`${permission}@${value.toLowerCase()}`);
+  });
+  return rooms;
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  REGION_SCOPED_ROLES,
+  permissionsFor,
+  hasPermission,
+  isRegionScoped,
+  regionFilter,
+  isInRegion,
+  canActOn,
+  canJoinRoom,
+  permissionRoomsFor,
+  permissionRoomsForEvent,
+};
@@ -1,8 +1,43 @@
 const { Server } = require("socket.io");
 const jwt = require("jsonwebtoken");
-const User = require("../models/User");
+const sessionService = require("../services/sessionService");
+const { canJoinRoom, permissionRoomsFor } = require("./permissions");
 const logger = require("../utils/logger");
 
+/**
+ * Socket.io handshake middleware: same user and session checks as the HTTP
+ * `protect` middleware, so revoked sessions can't open sockets either
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const token = socket.handshake.auth.token;
+
+    if (!token) {
+      return next(new Error("Authentication token required"));
+    }
+
+    // Verify JWT token
+    const decoded = jwt.verify(
+      token,
+      process.env.JWT_SECRET || "your-secret-key-change-this-in-production"
+    );
+
+    const { user, session } = await sessionService.authenticate(decoded);
+
+    // Attach user to socket
+    socket.userId = user._id.toString();
+    socket.userRole = user.role;
+    socket.userEmail = user.email;
+    socket.userRegion = user.region;
+    socket.sessionId = session._id.toString();
+
+    next();
+  } catch (error) {
+    logger.error("Socket authentication error:", error);
+    next(new Error(error.statusCode === 401 ? error.message : "Invalid authentication token"));
+  }
+}
+
 /**
  * Initialize Socket.io with authentication
  * @param {http.Server} server - HTTP server instance
@@ -18,46 +53,7 @@ function initializeSocket(server) {
   });
 
   // Authentication middleware
-  io.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token;
-
-      if (!token) {
-        return next(new Error("Authentication token required"));
-      }
-
-      // Verify JWT token
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_SECRET || "your-secret-key-change-this-in-production"
-      );
-
-      // Handle dev admin user from .env
-      if (decoded.id === "dev-admin-user") {
-        socket.userId = "dev-admin-user";
-        socket.userRole = "admin";
-        socket.userEmail = process.env.ADMIN_EMAIL || "admin@forisswell.com";
-        return next();
-      }
-
-      // Get user from database
-      const user = await User.findById(decoded.id).select("-password");
-
-      if (!user || !user.isActive) {
-        return next(new Error("User not found or inactive"));
-      }
-
-      // Attach user to socket
-      socket.userId = user._id.toString();
-      socket.userRole = user.role;
-      socket.userEmail = user.email;
-
-      next();
-    } catch (error) {
-      logger.error("Socket authentication error:", error);
-      next(new Error("Invalid authentication token"));
-    }
-  });
+  io.use(authenticateSocket);
 
   // Connection handler
   io.on("connection", (socket) => {
@@ -68,11 +64,23 @@ function initializeSocket(server) {
     // Auto-join user to their personal room
     socket.join(`volunteer-${socket.userId}`);
 
-    // If user is admin, join admin room
-    if (socket.userRole === "admin") {
+    // Session room, so revoking the session disconnects this socket
+    if (socket.sessionId) {
+      socket.join(`session-${socket.sessionId}`);
+    }
+
+    // Live operations room, for roles with the dashboard:live permission
+    if (canJoinRoom({ role: socket.userRole }, "admin")) {
       socket.join("admin");
     }
 
+    // Permission rooms ("alerts:review", or "alerts:review@<region>" for
+    // coordinators) for work waiting on a reviewer
+    const permissionRooms = permissionRoomsFor({ role: socket.userRole, region: socket.userRegion });
+    if (permissionRooms.length > 0) {
+      socket.join(permissionRooms);
+    }
+
     // Handle volunteer status updates
     socket.on("update-status", (data) => {
       logger.debug(`Status update from ${socket.userId}:`, data);
@@ -95,7 +103,12 @@ function initializeSocket(server) {
 
     // Handle alert room joining (for real-time updates on specific alert)
     socket.on("join-alert", (alertId) => {
-      socket.join(`alert-${alertId}`);
+      const room = `alert-${alertId}`;
+      if (!canJoinRoom({ role: socket.userRole }, room)) {
+        socket.emit("room-denied", { room });
+        return;
+      }
+      socket.join(room);
       logger.debug(`User ${socket.userId} joined alert room: ${alertId}`);
     });
 
@@ -129,4 +142,4 @@ function initializeSocket(server) {
   return io;
 }
 
-module.exports = { initializeSocket };
+module.exports = { initializeSocket, authenticateSocket };
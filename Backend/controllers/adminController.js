@@ -0,0 +1,166 @@
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const VolunteerProfile = require("../models/VolunteerProfile");
+const { ROLES } = require("../config/permissions");
+const { compareRoles, changeRole } = require("../services/roleService");
+
+// Helper function to wrap async route handlers
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// Helper function to create errors
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Load the target user and run a role change in the given direction
+const changeRoleFromRequest = async (req, direction, defaultRole) => {
+  const role = req.body.role || defaultRole;
+
+  if (!ROLES.includes(role)) {
+    throw createError(400, `Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  if (req.params.id === req.user.id) {
+    throw createError(400, "You cannot change your own role; ask another admin");
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw createError(404, "User not found");
+  }
+
+  // Promotions only add permissions and demotions only remove them
+  const change = compareRoles(user.role, role);
+  if (change === "lateral") {
+    throw createError(
+      400,
+      `Changing a ${user.role} to ${role} both adds and removes permissions; demote to user first, then promote`
+    );
+  }
+  if (change !== direction) {
+    throw createError(400, `Cannot ${direction} a ${user.role} to ${role}`);
+  }
+
+  // Volunteers need a profile; approving an application creates both in one step
+  if (role === "volunteer" && !(await VolunteerProfile.exists({ user: user._id }))) {
+    throw createError(
+      400,
+      "This user has no volunteer profile; volunteers are approved through /api/volunteer-applications"
+    );
+  }
+
+  return changeRole(user, role, {
+    actor: req.user,
+    region: req.body.region,
+    reason: req.body.reason,
+    ip: req.ip,
+  });
+};
+
+const sendRoleChange = (res, { user, audit }) => {
+  res.status(200).json({
+    success: true,
+    message: `${user.fullName} is now ${user.role === "admin" ? "an" : "a"} ${user.role}`,
+    data: {
+      user: {
+        _id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        role: user.role,
+        region: user.region,
+      },
+      audit,
+    },
+  });
+};
+
+/**
+ * @desc    List users (?role=, ?search= on name/email, paginated)
+ * @route   GET /api/admin/users
+ * @access  Private (users:manage)
+ */
+exports.getUsers = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const filter = {};
+  if (req.query.role) filter.role = req.query.role;
+  if (req.query.search) {
+    const pattern = new RegExp(escapeRegex(req.query.search.toString()), "i");
+    filter.$or = [{ fullName: pattern }, { email: pattern }];
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select("fullName email role region isActive isEmailVerified lastLogin createdAt")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: { users },
+  });
+});
+
+/**
+ * @desc    Promote a user (body: role, default admin; region, required for coordinators; reason)
+ * @route   POST /api/admin/users/:id/promote
+ * @access  Private (users:manage)
+ */
+exports.promoteUser = asyncHandler(async (req, res, next) => {
+  sendRoleChange(res, await changeRoleFromRequest(req, "promote", "admin"));
+});
+
+/**
+ * @desc    Demote a user (body: role, default user; reason)
+ * @route   POST /api/admin/users/:id/demote
+ * @access  Private (users:manage)
+ */
+exports.demoteUser = asyncHandler(async (req, res, next) => {
+  sendRoleChange(res, await changeRoleFromRequest(req, "demote", "user"));
+});
+
+/**
+ * @desc    Audit log of role changes (?user= target user, ?action=, paginated)
+ * @route   GET /api/admin/audit-log
+ * @access  Private (users:manage)
+ */
+exports.getAuditLog = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  const filter = {};
+  if (req.query.user) filter.targetUser = req.query.user;
+  if (req.query.action) filter.action = req.query.action;
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate("actor", "fullName email")
+      .populate("targetUser", "fullName email role")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: { entries },
+  });
+});
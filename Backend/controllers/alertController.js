@@ -1,7 +1,22 @@
 const Alert = require("../models/Alert");
 const VolunteerProfile = require("../models/VolunteerProfile");
 const Tree = require("../models/Tree");
+const SpeciesProfile = require("../models/SpeciesProfile");
+const MonitoringRun = require("../models/MonitoringRun");
+const AlertDecline = require("../models/AlertDecline");
 const alertService = require("../services/alertService");
+const speciesThresholdService = require("../services/speciesThresholdService");
+const weatherService = require("../services/weatherService");
+const photoService = require("../services/photoService");
+const inspectionService = require("../services/inspectionService");
+const { distanceKm } = require("../utils/geo");
+const {
+  hasPermission,
+  isRegionScoped,
+  regionFilter,
+  isInRegion,
+  permissionRoomsForEvent,
+} = require("../config/permissions");
 // PWA Push Notifications disabled - user preference
 // const pushNotificationService = require("../services/pushNotificationService");
 
@@ -16,25 +31,203 @@ const createError = (statusCode, message) => {
   return error;
 };
 
+// Set crew members other than `profile` (saved by the caller) back to available
+const freeCrew = async (alert, profile) => {
+  const others = alert.crew
+    .map((member) => member.volunteer)
+    .filter((id) => id.toString() !== profile._id.toString());
+
+  if (others.length > 0) {
+    await VolunteerProfile.updateMany(
+      { _id: { $in: others }, status: "busy" },
+      { $set: { status: "available" } }
+    );
+  }
+};
+
+// Crew members (or the single assignee on older alerts) who have taken on
+// another alert since this one was submitted
+const membersWithOtherActiveAlert = async (alert) => {
+  const ids = alert.crew.length ? alert.crew.map((member) => member.volunteer) : [alert.assignedTo];
+  const busy = [];
+
+  for (const id of ids) {
+    const other = await Alert.exists({
+      ...Alert.memberQuery(id),
+      _id: { $ne: alert._id },
+      status: { $in: ["assigned", "in_progress"] },
+      isActive: true,
+    });
+    if (other) busy.push(id);
+  }
+  return busy;
+};
+
+// Id string of a ref that may or may not be populated
+const refId = (ref) => (ref ? (ref._id || ref).toString() : null);
+
+// Whether the user may see an alert's crew and history: an alert manager for
+// its region, the tree owner, or the assignee / a crew member
+const canSeeAlertDetails = async (user, alert) => {
+  if (hasPermission(user, "alerts:manage") && isInRegion(user, alert.location?.address)) {
+    return true;
+  }
+
+  const tree =
+    alert.tree && alert.tree.owner !== undefined
+      ? alert.tree
+      : await Tree.findById(alert.tree).select("owner");
+  if (tree && refId(tree.owner) === user._id.toString()) return true;
+
+  const profile = await VolunteerProfile.findOne({ user: user._id }).select("_id");
+  if (!profile) return false;
+
+  const profileId = profile._id.toString();
+  return (
+    refId(alert.assignedTo) === profileId ||
+    alert.crew.some((member) => refId(member.volunteer) === profileId)
+  );
+};
+
+// Credit finished work to every crew member (or the single assignee on older
+// alerts) and tell the alert room and admins. `profile` is the lead's loaded profile.
+const creditCompletion = async (alert, profile) => {
+  const members = alert.crew.length
+    ? alert.crew
+    : [{ volunteer: alert.assignedTo, minutes: alert.workMinutes }];
+
+  for (const member of members) {
+    const memberProfile =
+      member.volunteer.toString() === profile._id.toString()
+        ? profile
+        : await VolunteerProfile.findById(member.volunteer);
+    if (!memberProfile) continue;
+
+    memberProfile.updateStatsAfterCompletion(member.minutes ?? alert.workMinutes, {
+      routine: alert.isRoutine(),
+    });
+    await memberProfile.save();
+  }
+
+  if (global.io) {
+    global.io.to(`alert-${alert._id}`).emit("alert-completed", {
+      alertId: alert._id,
+      volunteerId: profile._id,
+    });
+
+    global.io.to("admin").emit("alert-completed", {
+      alertId: alert._id,
+      volunteerId: profile._id,
+      completionTime: alert.workMinutes,
+    });
+  }
+};
+
+// Store a start/complete check-in; out-of-range ones are flagged and sent to admins
+const applyCheckIn = (alert, stage, body, profile) => {
+  const checkIn = alertService.evaluateCheckIn(alert, body);
+  alert.recordCheckIn(stage, checkIn);
+
+  if (!checkIn.withinRange && global.io) {
+    global.io.to("admin").emit("alert-checkin-flagged", {
+      alertId: alert._id,
+      volunteerId: profile._id,
+      stage,
+      reason: checkIn.flagReason,
+      distanceMeters: checkIn.distanceMeters,
+      toleranceMeters: checkIn.toleranceMeters,
+    });
+  }
+
+  return checkIn;
+};
+
+// Short summary of a check-in for history details and responses
+const summarizeCheckIn = (checkIn) => ({
+  distanceMeters: checkIn.distanceMeters,
+  withinRange: checkIn.withinRange,
+  flagReason: checkIn.flagReason,
+});
+
+// Actor recorded in alert history for volunteer actions
+const volunteerActor = (req, profile) => ({
+  kind: "volunteer",
+  user: req.user.id,
+  volunteer: profile._id,
+});
+
 /**
  * @desc    Debug: Manually trigger weather check
  * @route   POST /api/alerts/debug/check-weather
- * @access  Private (Admin only)
+ * @access  Private (system:debug)
  */
 exports.debugCheckWeather = asyncHandler(async (req, res, next) => {
   console.log("\n🔧 MANUAL WEATHER CHECK TRIGGERED BY ADMIN");
-  await alertService.checkAllTreesWeather();
-  
+  const run = await alertService.checkAllTreesWeather({ trigger: "manual" });
+
+  if (!run) {
+    return next(createError(409, "A weather monitoring run is already in progress"));
+  }
+
+  res.json({
+    success: true,
+    message: "Weather check completed. Check console logs for details.",
+    data: { run },
+  });
+});
+
+/**
+ * @desc    List recent weather monitoring runs
+ * @route   GET /api/alerts/monitoring/runs
+ * @access  Private (system:debug)
+ */
+exports.getMonitoringRuns = asyncHandler(async (req, res) => {
+  const { status, trigger } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (trigger) filter.trigger = trigger;
+
+  // Failure details can be long; fetch them from the single-run endpoint
+  const runs = await MonitoringRun.find(filter)
+    .select("-failures")
+    .sort({ startedAt: -1 })
+    .limit(limit);
+
+  res.json({
+    success: true,
+    message: "Monitoring runs fetched successfully",
+    count: runs.length,
+    data: { runs, monitoringActive: alertService.isMonitoringRunning },
+  });
+});
+
+/**
+ * @desc    Get a monitoring run with its per-tree failures
+ * @route   GET /api/alerts/monitoring/runs/:id
+ * @access  Private (system:debug)
+ */
+exports.getMonitoringRunById = asyncHandler(async (req, res, next) => {
+  const run = await MonitoringRun.findById(req.params.id)
+    .populate("failures.tree", "name species location")
+    .populate("resumedFrom", "status startedAt treesChecked");
+
+  if (!run) {
+    return next(createError(404, "Monitoring run not found"));
+  }
+
   res.json({
     success: true,
-    message: "Weather check triggered. Check console logs for details.",
+    message: "Monitoring run fetched successfully",
+    data: { run },
   });
 });
 
 /**
  * @desc    Debug: Get system status
  * @route   GET /api/alerts/debug/status
- * @access  Private (Admin only)
+ * @access  Private (system:debug)
  */
 exports.debugStatus = asyncHandler(async (req, res, next) => {
   const trees = await Tree.find({ isActive: true, "location.coordinates": { $exists: true } }).count();
@@ -42,6 +235,17 @@ exports.debugStatus = asyncHandler(async (req, res, next) => {
   const availableVolunteers = await VolunteerProfile.find({ status: "available" }).count();
   const alerts = await Alert.find({ isActive: true }).count();
   const pendingAlerts = await Alert.find({ status: "pending", isActive: true }).count();
+  const speciesProfiles = await SpeciesProfile.countDocuments({ isActive: true });
+  const defaults = speciesThresholdService.getDefaultThresholds();
+
+  // A bad WEATHER_PROVIDER is reported in the status, not turned into a 500
+  let provider = null;
+  let providerError;
+  try {
+    provider = weatherService.getProviderName();
+  } catch (error) {
+    providerError = error.message;
+  }
 
   res.json({
     success: true,
@@ -58,11 +262,17 @@ exports.debugStatus = asyncHandler(async (req, res, next) => {
       },
       weather: {
         monitoringInterval: process.env.ALERT_CHECK_INTERVAL || "300000ms",
+        provider,
+        providerError,
+        cache: weatherService.getCacheStats(),
+        forecastEnabled: alertService.isForecastEnabled(),
+        forecastHours: parseInt(process.env.ALERT_FORECAST_HOURS) || 48,
       },
       thresholds: {
-        tempThreshold: process.env.ALERT_TEMP_THRESHOLD || 35,
-        rainThreshold: process.env.ALERT_RAIN_THRESHOLD || 50,
-        windThreshold: process.env.ALERT_WIND_THRESHOLD || 40,
+        tempThreshold: defaults.temperature,
+        rainThreshold: defaults.rainfall,
+        windThreshold: defaults.windSpeed,
+        speciesProfiles,
       },
       socket: {
         connected: !!global.io,
@@ -74,7 +284,7 @@ exports.debugStatus = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Get nearby pending alerts for volunteer
  * @route   GET /api/alerts/nearby
- * @access  Private (Volunteer role)
+ * @access  Private (alerts:respond)
  */
 exports.getNearbyAlerts = asyncHandler(async (req, res, next) => {
   const profile = await VolunteerProfile.findOne({ user: req.user.id });
@@ -83,24 +293,40 @@ exports.getNearbyAlerts = asyncHandler(async (req, res, next) => {
     return next(createError(404, "Please complete your volunteer profile first"));
   }
 
+  const { source } = req.query;
+  if (source && !["observed", "forecast"].includes(source)) {
+    return next(createError(400, "source must be 'observed' or 'forecast'"));
+  }
+
   const radiusKm = profile.preferredRadius || 5;
   const alerts = await Alert.findNearbyPending(
     profile.location.coordinates,
-    radiusKm
+    radiusKm,
+    source
   );
 
+  // Split so clients can show upcoming (forecast) alerts apart from current ones
+  const observed = alerts.filter((a) => a.source !== "forecast");
+  const upcoming = alerts.filter((a) => a.source === "forecast");
+
   res.json({
     success: true,
     message: "Nearby alerts fetched successfully",
     count: alerts.length,
-    data: { alerts, radius: radiusKm },
+    data: {
+      alerts,
+      observed,
+      upcoming,
+      counts: { observed: observed.length, upcoming: upcoming.length },
+      radius: radiusKm,
+    },
   });
 });
 
 /**
  * @desc    Get alerts assigned to current volunteer
  * @route   GET /api/alerts/my-alerts
- * @access  Private (Volunteer role)
+ * @access  Private (alerts:respond)
  */
 exports.getMyAlerts = asyncHandler(async (req, res, next) => {
   const profile = await VolunteerProfile.findOne({ user: req.user.id });
@@ -110,13 +336,14 @@ exports.getMyAlerts = asyncHandler(async (req, res, next) => {
   }
 
   const { status } = req.query;
-  const filter = { assignedTo: profile._id, isActive: true };
+  const filter = { ...Alert.memberQuery(profile._id), isActive: true };
 
   if (status) {
     filter.status = status;
   }
 
   const alerts = await Alert.find(filter)
+    .select("-history")
     .populate("tree", "name species location imageUrl")
     .populate({
       path: "tree",
@@ -135,7 +362,7 @@ exports.getMyAlerts = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Get current active alert for volunteer
  * @route   GET /api/alerts/my-active
- * @access  Private (Volunteer role)
+ * @access  Private (alerts:respond)
  */
 exports.getMyActiveAlert = asyncHandler(async (req, res, next) => {
   const profile = await VolunteerProfile.findOne({ user: req.user.id });
@@ -164,7 +391,7 @@ exports.getMyActiveAlert = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Accept an alert (first-come-first-served)
  * @route   POST /api/alerts/:id/accept
- * @access  Private (Volunteer role)
+ * @access  Private (alerts:respond)
  */
 exports.acceptAlert = asyncHandler(async (req, res, next) => {
   const profile = await VolunteerProfile.findOne({ user: req.user.id });
@@ -173,11 +400,21 @@ exports.acceptAlert = asyncHandler(async (req, res, next) => {
     return next(createError(404, "Please complete your volunteer profile first"));
   }
 
-  // Check if volunteer can accept alerts
-  if (!profile.canAcceptAlerts()) {
-    return next(
-      createError(400, "You cannot accept alerts. Check your status and availability.")
-    );
+  const target = await Alert.findById(req.params.id).select("priority volunteersNeeded");
+  if (!target) {
+    return next(createError(404, "Alert not found"));
+  }
+
+  // Check if volunteer can accept alerts (status, availability flag and schedule)
+  if (!profile.canAcceptAlerts({ priority: target.priority })) {
+    const schedule = profile.checkSchedule({ priority: target.priority });
+    const reason =
+      schedule.reason === "on_leave"
+        ? "You are on leave today."
+        : schedule.reason === "quiet_hours"
+          ? "This is outside your availability hours."
+          : "Check your status and availability.";
+    return next(createError(400, `You cannot accept alerts. ${reason}`));
   }
 
   // Check if volunteer already has an active alert
@@ -188,8 +425,12 @@ exports.acceptAlert = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Find and update alert atomically (first-come-first-served)
-  const alert = await Alert.findOneAndUpdate(
+  const needed = target.volunteersNeeded || 1;
+  const acceptedAt = new Date();
+
+  // Find and update alert atomically (first-come-first-served);
+  // the first volunteer becomes the crew lead
+  let alert = await Alert.findOneAndUpdate(
     {
       _id: req.params.id,
       status: "pending",
@@ -199,11 +440,43 @@ exports.acceptAlert = asyncHandler(async (req, res, next) => {
       $set: {
         status: "assigned",
         assignedTo: profile._id,
-        acceptedAt: new Date(),
+        acceptedAt,
+        crew: [{ volunteer: profile._id, role: "lead", joinedAt: acceptedAt }],
+        // Start deadline runs once the alert is fully staffed
+        ...(needed <= 1 ? { expiresAt: Alert.startDeadline() } : {}),
       },
+      $push: Alert.pushEvent("accepted", {
+        actor: volunteerActor(req, profile),
+        fromStatus: "pending",
+        toStatus: "assigned",
+      }),
     },
     { new: true, runValidators: true }
-  ).populate("tree", "name species location imageUrl");
+  );
+
+  // Team alert that already has a lead: join the crew while spots remain
+  if (!alert && needed > 1) {
+    alert = await Alert.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: "assigned",
+        isActive: true,
+        volunteersNeeded: { $gt: 1 },
+        "crew.volunteer": { $ne: profile._id },
+        $expr: { $lt: [{ $size: { $ifNull: ["$crew", []] } }, "$volunteersNeeded"] },
+      },
+      {
+        $push: {
+          crew: { volunteer: profile._id, role: "member", joinedAt: acceptedAt },
+          ...Alert.pushEvent("joined", {
+            actor: volunteerActor(req, profile),
+            toStatus: "assigned",
+          }),
+        },
+      },
+      { new: true, runValidators: true }
+    );
+  }
 
   if (!alert) {
     return next(
@@ -211,59 +484,132 @@ exports.acceptAlert = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const crewFull = alert.isCrewFull();
+  if (crewFull && !alert.expiresAt) {
+    alert.expiresAt = Alert.startDeadline();
+    await Alert.updateOne({ _id: alert._id, expiresAt: null }, { $set: { expiresAt: alert.expiresAt } });
+  }
+  await alert.populate("tree", "name species location imageUrl");
+
   // Update volunteer status to busy
   profile.status = "busy";
-  profile.stats.acceptedAlerts += 1;
-  profile.stats.totalAlerts += 1;
+  // Routine care is tracked separately (see updateStatsAfterCompletion)
+  if (!alert.isRoutine()) {
+    profile.stats.acceptedAlerts += 1;
+    profile.stats.totalAlerts += 1;
+  }
   await profile.save();
 
-  // Notify other nearby volunteers that alert is taken
-  const volunteers = await alertService.findNearbyVolunteers(
-    alert.location.coordinates,
-    process.env.VOLUNTEER_MATCH_RADIUS || 5
-  );
-
-  if (global.io) {
-    volunteers.forEach((vol) => {
-      if (vol._id.toString() !== profile._id.toString()) {
-        global.io
-          .to(`volunteer-${vol.user._id}`)
-          .emit("alert-accepted", { alertId: alert._id });
-      }
+  if (alert.isTeamAlert() && global.io) {
+    global.io.to(`alert-${alert._id}`).emit("crew-updated", {
+      alertId: alert._id,
+      joined: alert.crew.length,
+      needed: alert.volunteersNeeded,
+      crewFull,
     });
   }
 
+  // Once nobody else is needed, tell other nearby volunteers the alert is taken
+  if (crewFull) {
+    const volunteers = await alertService.findNearbyVolunteers(
+      alert.location.coordinates,
+      alert.reachRadiusKm
+    );
+
+    if (global.io) {
+      volunteers.forEach((vol) => {
+        if (!alert.crewMember(vol._id)) {
+          global.io
+            .to(`volunteer-${vol.user._id}`)
+            .emit("alert-accepted", { alertId: alert._id });
+        }
+      });
+    }
+  }
+
   // PWA Push Notifications disabled - user preference
   // Send confirmation push to accepting volunteer
   // const confirmationPayload = pushNotificationService.createAssignmentPayload(alert);
   // await pushNotificationService.sendPushToVolunteer(profile, confirmationPayload);
 
+  const role = alert.crewMember(profile._id).role;
   res.json({
     success: true,
-    message: "Alert accepted successfully",
-    data: { alert },
+    message: alert.isTeamAlert()
+      ? `Joined the crew as ${role} (${alert.crew.length} of ${alert.volunteersNeeded})`
+      : "Alert accepted successfully",
+    data: { alert, role },
   });
 });
 
 /**
- * @desc    Decline an alert (analytics only, doesn't affect assignment)
+ * @desc    Decline an alert with a reason code; the volunteer isn't pinged about it again
  * @route   POST /api/alerts/:id/decline
- * @access  Private (Volunteer role)
+ * @access  Private (alerts:respond)
  */
-exports.declineAlert = asyncHandler(async (req, res) => {
-  // This is mainly for analytics - tracking why volunteers don't accept
-  // The alert remains available for others
+exports.declineAlert = asyncHandler(async (req, res, next) => {
+  const { reason, note } = req.body;
+
+  if (!reason) {
+    return next(
+      createError(400, "Please provide a reason (too_far, no_tools, unsafe, busy, lacks_skills, other)")
+    );
+  }
+
+  const profile = await VolunteerProfile.findOne({ user: req.user.id });
+
+  if (!profile) {
+    return next(createError(404, "Volunteer profile not found"));
+  }
+
+  const alert = await Alert.findOne({
+    _id: req.params.id,
+    status: "pending",
+    isActive: true,
+  });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found or no longer pending"));
+  }
+
+  const address = alert.location.address || {};
+  const decline = await AlertDecline.findOneAndUpdate(
+    { alert: alert._id, volunteer: profile._id },
+    {
+      $set: {
+        reason,
+        note,
+        alertType: alert.type,
+        alertPriority: alert.priority,
+        alertSource: alert.source,
+        area: address.city || address.district || "Unknown",
+        location: { type: "Point", coordinates: alert.location.coordinates },
+        distanceKm: parseFloat(
+          distanceKm(profile.location.coordinates, alert.location.coordinates).toFixed(2)
+        ),
+      },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  await Alert.appendEvent(alert._id, "declined", {
+    actor: volunteerActor(req, profile),
+    toStatus: alert.status,
+    reason,
+    details: note ? { note } : undefined,
+  });
 
   res.json({
     success: true,
     message: "Alert declined. It remains available for other volunteers.",
+    data: { decline },
   });
 });
 
 /**
  * @desc    Start working on an alert
  * @route   POST /api/alerts/:id/start
- * @access  Private (Volunteer role)
+ * @access  Private (alerts:respond)
  */
 exports.startWork = asyncHandler(async (req, res, next) => {
   const profile = await VolunteerProfile.findOne({ user: req.user.id });
@@ -285,8 +631,31 @@ exports.startWork = asyncHandler(async (req, res, next) => {
     );
   }
 
+  if (!alert.isCrewFull()) {
+    return next(
+      createError(
+        400,
+        `Waiting for the crew: ${alert.crew.length} of ${alert.volunteersNeeded} volunteers have joined`
+      )
+    );
+  }
+
+  const checkIn = applyCheckIn(alert, "start", req.body, profile);
+
+  // The lead's start check-in doubles as their crew check-in
+  const lead = alert.crewMember(profile._id);
+  if (lead && !lead.checkedInAt) {
+    lead.checkIn = checkIn;
+    lead.checkedInAt = checkIn.at;
+  }
+
   alert.status = "in_progress";
   alert.startedAt = new Date();
+  alert.recordEvent("started", {
+    actor: volunteerActor(req, profile),
+    fromStatus: "assigned",
+    details: { checkIn: summarizeCheckIn(checkIn) },
+  });
   await alert.save();
 
   // Broadcast status update
@@ -299,15 +668,17 @@ exports.startWork = asyncHandler(async (req, res, next) => {
 
   res.json({
     success: true,
-    message: "Work started. Good luck!",
-    data: { alert },
+    message: checkIn.withinRange
+      ? "Work started. Good luck!"
+      : "Work started. Your location couldn't be confirmed at the tree, so an admin will review this check-in.",
+    data: { alert, checkIn: summarizeCheckIn(checkIn) },
   });
 });
 
 /**
  * @desc    Complete an alert
  * @route   POST /api/alerts/:id/complete
- * @access  Private (Volunteer role)
+ * @access  Private (alerts:respond)
  */
 exports.completeAlert = asyncHandler(async (req, res, next) => {
   const { notes, photoUrls } = req.body;
@@ -333,26 +704,84 @@ exports.completeAlert = asyncHandler(async (req, res, next) => {
     return next(createError(404, "Alert not found or not assigned to you"));
   }
 
+  // Optional tree inspection, validated before the alert changes
+  let inspection = null;
+  if (req.body.inspection && alert.tree) {
+    inspection = await inspectionService.prepareInspection(alert.tree, req.user.id, req.body.inspection, {
+      alert,
+      photos: inspectionService.photosFromAlert(alert),
+    });
+    alert.inspection = inspection._id;
+  }
+
   // Calculate completion time
   const completionTime = (Date.now() - alert.acceptedAt.getTime()) / 60000; // minutes
+  const needsReview = alertService.isReviewRequired();
+  const checkIn = applyCheckIn(alert, "complete", req.body, profile);
+
+  // Each crew member is credited from when they joined
+  alert.crew.forEach((member) => {
+    member.minutes = (Date.now() - member.joinedAt.getTime()) / 60000;
+  });
 
   // Update alert
-  alert.status = "completed";
-  alert.completedAt = new Date();
+  const fromStatus = alert.status;
+  alert.status = needsReview ? "awaiting_review" : "completed";
+  alert.submittedAt = new Date();
+  alert.workMinutes = completionTime;
   alert.volunteerNotes = notes;
   if (photoUrls && photoUrls.length > 0) {
     alert.photoUrls = photoUrls;
   }
+  if (needsReview) {
+    alert.review = { status: "pending" };
+  } else {
+    alert.completedAt = alert.submittedAt;
+  }
+  alert.recordEvent(needsReview ? "submitted" : "completed", {
+    actor: volunteerActor(req, profile),
+    fromStatus,
+    details: { minutes: Math.round(completionTime), checkIn: summarizeCheckIn(checkIn) },
+  });
   await alert.save();
 
-  // Update volunteer status and stats
+  const health = inspection ? (await inspectionService.saveInspection(inspection)).health : undefined;
+
+  // The crew is free for new alerts either way
   profile.status = "available";
-  profile.updateStatsAfterCompletion(completionTime);
-  await profile.save();
+  await freeCrew(alert, profile);
 
   // Calculate hours for response
   const hours = completionTime / 60;
 
+  if (needsReview) {
+    await profile.save();
+
+    if (global.io) {
+      const rooms = permissionRoomsForEvent("alerts:review", alert.location?.address);
+      global.io.to(["admin", ...rooms]).emit("alert-awaiting-review", {
+        alertId: alert._id,
+        volunteerId: profile._id,
+        submittedAt: alert.submittedAt,
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: `Thanks! Your ${hours.toFixed(1)} hours will be credited once the work is approved.`,
+      data: {
+        alert,
+        contributionHours: 0,
+        pendingHours: parseFloat(hours.toFixed(2)),
+        checkIn: summarizeCheckIn(checkIn),
+        inspection,
+        health,
+      },
+    });
+  }
+
+  await creditCompletion(alert, profile);
+
   // PWA Push Notifications disabled - user preference
   // Send completion notification
   // const completionPayload = pushNotificationService.createCompletionPayload(
@@ -361,101 +790,635 @@ exports.completeAlert = asyncHandler(async (req, res, next) => {
   // );
   // await pushNotificationService.sendPushToVolunteer(profile, completionPayload);
 
-  // Broadcast completion
-  if (global.io) {
-    global.io.to(`alert-${alert._id}`).emit("alert-completed", {
-      alertId: alert._id,
-      volunteerId: profile._id,
-    });
-
-    global.io.to("admin").emit("alert-completed", {
-      alertId: alert._id,
-      volunteerId: profile._id,
-      completionTime,
-    });
-  }
-
   res.json({
     success: true,
     message: `Great work! You contributed ${hours.toFixed(1)} hours.`,
     data: {
       alert,
       contributionHours: parseFloat(hours.toFixed(2)),
+      checkIn: summarizeCheckIn(checkIn),
+      inspection,
+      health,
     },
   });
 });
 
 /**
- * @desc    Cancel assigned alert (volunteer can't complete)
- * @route   POST /api/alerts/:id/cancel
- * @access  Private (Volunteer role)
+ * @desc    List completed work waiting for review (alerts:review: all, or their region for
+ *          coordinators; tree owners: their trees)
+ * @route   GET /api/alerts/reviews
+ * @access  Private (alerts:review or tree owner)
  */
-exports.cancelMyAlert = asyncHandler(async (req, res, next) => {
-  const { reason } = req.body;
+exports.getReviewQueue = asyncHandler(async (req, res) => {
+  const filter = { status: "awaiting_review", isActive: true };
+
+  if (hasPermission(req.user, "alerts:review")) {
+    Object.assign(filter, regionFilter(req.user));
+  } else {
+    const trees = await Tree.find({ owner: req.user.id }).select("_id");
+    filter.tree = { $in: trees.map((tree) => tree._id) };
+  }
 
-  const profile = await VolunteerProfile.findOne({ user: req.user.id });
+  const alerts = await Alert.find(filter)
+    .select("-history")
+    .populate("tree", "name species location owner")
+    .populate({
+      path: "assignedTo",
+      populate: { path: "user", select: "fullName email" },
+    })
+    .sort({ submittedAt: 1 });
 
-  if (!profile) {
-    return next(createError(404, "Volunteer profile not found"));
+  res.json({
+    success: true,
+    message: "Review queue fetched successfully",
+    count: alerts.length,
+    data: { alerts },
+  });
+});
+
+/**
+ * @desc    Approve or reject submitted work
+ * @route   POST /api/alerts/:id/review
+ * @access  Private (alerts:review or tree owner)
+ */
+exports.reviewAlert = asyncHandler(async (req, res, next) => {
+  const { decision, feedback } = req.body;
+
+  if (!["approve", "reject"].includes(decision)) {
+    return next(createError(400, 'Please provide decision: "approve" or "reject"'));
+  }
+
+  if (decision === "reject" && (!feedback || feedback.trim().length < 5)) {
+    return next(createError(400, "Please tell the volunteer what needs to be fixed"));
   }
 
   const alert = await Alert.findOne({
     _id: req.params.id,
-    assignedTo: profile._id,
-    status: { $in: ["assigned", "in_progress"] },
+    status: "awaiting_review",
     isActive: true,
-  });
+  }).populate("tree", "name species owner");
 
   if (!alert) {
-    return next(createError(404, "Alert not found or not assigned to you"));
+    return next(createError(404, "Alert not found or not awaiting review"));
   }
 
-  // Release alert back to pending
-  alert.status = "pending";
-  alert.assignedTo = null;
-  alert.acceptedAt = null;
-  alert.startedAt = null;
-  alert.expiresAt = null;
-  if (reason) {
-    alert.volunteerNotes = `Cancelled by volunteer: ${reason}`;
+  const isReviewer =
+    hasPermission(req.user, "alerts:review") && isInRegion(req.user, alert.location.address);
+  const isOwner = alert.tree?.owner?.toString() === req.user.id.toString();
+  if (!isReviewer && !isOwner) {
+    return next(createError(403, "Only reviewers or the tree owner can review this work"));
   }
-  await alert.save();
 
-  // Update volunteer status
-  profile.status = "available";
-  profile.stats.cancelledAlerts += 1;
-  await profile.save();
+  const profile = await VolunteerProfile.findById(alert.assignedTo).populate("user", "_id");
+  if (!profile) {
+    return next(createError(404, "Volunteer profile not found"));
+  }
 
-  // Notify nearby volunteers that alert is available again
-  await alert.populate("tree", "name species location");
-  const volunteers = await alertService.findNearbyVolunteers(
-    alert.location.coordinates,
-    process.env.VOLUNTEER_MATCH_RADIUS || 5
-  );
+  const reviewerRole = isReviewer ? req.user.role : "owner";
+  const approved = decision === "approve";
+
+  // completeAlert freed the whole crew; sending the work back puts all of them
+  // on it again, which can't happen while one of them is on another alert
+  if (!approved) {
+    const busy = await membersWithOtherActiveAlert(alert);
+    if (busy.length > 0) {
+      return next(
+        createError(
+          409,
+          `${busy.length} crew member(s) have already taken another alert; approve the work or wait until they are free to send it back`
+        )
+      );
+    }
+  }
 
-  if (volunteers.length > 0) {
-    await alertService.broadcastAlertToVolunteers(alert, volunteers);
+  alert.review = {
+    status: approved ? "approved" : "rejected",
+    feedback: feedback ? feedback.trim() : undefined,
+    reviewedBy: req.user.id,
+    reviewerRole,
+    reviewedAt: new Date(),
+  };
+
+  if (approved) {
+    alert.status = "completed";
+    alert.completedAt = alert.submittedAt;
+  } else {
+    // Back to the volunteer to fix and resubmit
+    alert.status = "in_progress";
+    alert.startedAt = alert.startedAt || alert.submittedAt;
+  }
+
+  alert.recordEvent(approved ? "approved" : "rejected", {
+    actor: { kind: isReviewer ? "reviewer" : "owner", user: req.user.id },
+    fromStatus: "awaiting_review",
+    reason: alert.review.feedback,
+  });
+  await alert.save();
+
+  // The lead hears about either decision; on a rejection the rest of the crew does too
+  let notifyUserIds = [profile.user._id];
+  if (approved) {
+    await creditCompletion(alert, profile);
+  } else {
+    const crewIds = alert.crew.length ? alert.crew.map((member) => member.volunteer) : [profile._id];
+    await VolunteerProfile.updateMany({ _id: { $in: crewIds } }, { $set: { status: "busy" } });
+    notifyUserIds = await VolunteerProfile.find({ _id: { $in: crewIds } }).distinct("user");
+  }
+
+  if (global.io) {
+    global.io.to(notifyUserIds.map((id) => `volunteer-${id}`)).emit("alert-reviewed", {
+      alertId: alert._id,
+      decision: alert.review.status,
+      feedback: alert.review.feedback,
+    });
   }
 
   res.json({
     success: true,
-    message: "Alert cancelled and released back to available volunteers",
+    message: approved
+      ? "Work approved and hours credited to the volunteer"
+      : "Work returned to the volunteer with your feedback",
+    data: { alert },
   });
 });
 
 /**
- * @desc    Get single alert by ID
- * @route   GET /api/alerts/:id
- * @access  Private
+ * @desc    List alerts with out-of-range or location-less check-ins
+ * @route   GET /api/alerts/checkins/flagged
+ * @access  Private (alerts:manage, region scoped)
  */
-exports.getAlertById = asyncHandler(async (req, res, next) => {
-  const alert = await Alert.findOne({
-    _id: req.params.id,
-    isActive: true,
-  })
-    .populate("tree", "name species location imageUrl plantedDate status")
-    .populate({
-      path: "tree",
+exports.getFlaggedCheckIns = asyncHandler(async (req, res) => {
+  const includeResolved = req.query.resolved === "true";
+
+  const filter = { "locationReview.flagged": true, isActive: true, ...regionFilter(req.user) };
+  if (!includeResolved) filter["locationReview.resolvedAt"] = null;
+
+  const alerts = await Alert.find(filter)
+    .select("tree status priority location assignedTo checkIns locationReview startedAt submittedAt completedAt")
+    .populate("tree", "name species")
+    .populate({
+      path: "assignedTo",
+      populate: { path: "user", select: "fullName email" },
+    })
+    .sort({ "locationReview.flaggedAt": -1 });
+
+  res.json({
+    success: true,
+    message: "Flagged check-ins fetched successfully",
+    count: alerts.length,
+    data: { alerts },
+  });
+});
+
+/**
+ * @desc    Resolve a flagged check-in
+ * @route   POST /api/alerts/:id/checkins/resolve
+ * @access  Private (alerts:manage, region scoped)
+ */
+exports.resolveCheckInFlag = asyncHandler(async (req, res, next) => {
+  const { resolution, note } = req.body;
+
+  if (!["accepted", "disputed"].includes(resolution)) {
+    return next(createError(400, 'Please provide resolution: "accepted" or "disputed"'));
+  }
+
+  const alert = await Alert.findOne({
+    _id: req.params.id,
+    "locationReview.flagged": true,
+    isActive: true,
+    ...regionFilter(req.user),
+  });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found or has no flagged check-in"));
+  }
+
+  alert.locationReview.resolution = resolution;
+  alert.locationReview.note = note;
+  alert.locationReview.resolvedBy = req.user.id;
+  alert.locationReview.resolvedAt = new Date();
+  await alert.save();
+
+  res.json({
+    success: true,
+    message: "Check-in review saved",
+    data: { locationReview: alert.locationReview },
+  });
+});
+
+/**
+ * @desc    Get an alert's crew roster
+ * @route   GET /api/alerts/:id/crew
+ * @access  Private (crew, tree owner or alerts:manage)
+ */
+exports.getCrew = asyncHandler(async (req, res, next) => {
+  const alert = await Alert.findOne({ _id: req.params.id, isActive: true })
+    .select("status volunteersNeeded crew assignedTo startedAt expiresAt tree location")
+    .populate({
+      path: "crew.volunteer",
+      select: "user phone skills",
+      populate: { path: "user", select: "fullName" },
+    });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found"));
+  }
+
+  if (!(await canSeeAlertDetails(req.user, alert))) {
+    return next(createError(403, "Only the crew, the tree owner and alert managers can see this crew"));
+  }
+
+  res.json({
+    success: true,
+    message: "Crew fetched successfully",
+    data: {
+      alertId: alert._id,
+      status: alert.status,
+      volunteersNeeded: alert.volunteersNeeded,
+      joined: alert.crew.length,
+      openSpots: Math.max(0, alert.volunteersNeeded - alert.crew.length),
+      crew: alert.crew,
+      expiresAt: alert.expiresAt,
+    },
+  });
+});
+
+/**
+ * @desc    Check in as a crew member at the tree
+ * @route   POST /api/alerts/:id/crew/check-in
+ * @access  Private (alerts:respond, crew member)
+ */
+exports.crewCheckIn = asyncHandler(async (req, res, next) => {
+  const profile = await VolunteerProfile.findOne({ user: req.user.id });
+
+  if (!profile) {
+    return next(createError(404, "Volunteer profile not found"));
+  }
+
+  const alert = await Alert.findOne({
+    _id: req.params.id,
+    "crew.volunteer": profile._id,
+    status: { $in: ["assigned", "in_progress"] },
+    isActive: true,
+  });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found or you are not on its crew"));
+  }
+
+  const member = alert.crewMember(profile._id);
+  const checkIn = alertService.evaluateCheckIn(alert, req.body);
+  member.checkIn = checkIn;
+  member.checkedInAt = checkIn.at;
+  alert.flagCheckIn(checkIn);
+
+  alert.recordEvent("checked_in", {
+    actor: volunteerActor(req, profile),
+    details: { checkIn: summarizeCheckIn(checkIn) },
+  });
+  await alert.save();
+
+  if (global.io) {
+    global.io.to(`alert-${alert._id}`).emit("crew-updated", {
+      alertId: alert._id,
+      joined: alert.crew.length,
+      needed: alert.volunteersNeeded,
+      checkedIn: alert.crew.filter((m) => m.checkedInAt).length,
+    });
+
+    if (!checkIn.withinRange) {
+      global.io.to("admin").emit("alert-checkin-flagged", {
+        alertId: alert._id,
+        volunteerId: profile._id,
+        stage: "crew",
+        reason: checkIn.flagReason,
+        distanceMeters: checkIn.distanceMeters,
+        toleranceMeters: checkIn.toleranceMeters,
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    message: checkIn.withinRange
+      ? "Checked in"
+      : "Checked in. Your location couldn't be confirmed at the tree, so an admin will review it.",
+    data: { checkIn: summarizeCheckIn(checkIn) },
+  });
+});
+
+/**
+ * @desc    Change how many volunteers an alert needs
+ * @route   PATCH /api/alerts/:id/crew-size
+ * @access  Private (alerts:manage, region scoped)
+ */
+exports.setCrewSize = asyncHandler(async (req, res, next) => {
+  const volunteersNeeded = parseInt(req.body.volunteersNeeded);
+
+  if (!Number.isInteger(volunteersNeeded) || volunteersNeeded < 1 || volunteersNeeded > 20) {
+    return next(createError(400, "volunteersNeeded must be a whole number from 1 to 20"));
+  }
+
+  const alert = await Alert.findOne({
+    _id: req.params.id,
+    status: { $in: ["pending", "assigned"] },
+    isActive: true,
+    ...regionFilter(req.user),
+  });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found or already started"));
+  }
+
+  if (volunteersNeeded < alert.crew.length) {
+    return next(
+      createError(400, `${alert.crew.length} volunteers have already joined this alert`)
+    );
+  }
+
+  const from = alert.volunteersNeeded;
+  alert.volunteersNeeded = volunteersNeeded;
+
+  // The start deadline only runs while the crew is full
+  if (alert.status === "assigned") {
+    alert.expiresAt = alert.isCrewFull() ? alert.expiresAt || Alert.startDeadline() : null;
+  }
+
+  alert.recordEvent("crew_resized", {
+    actor: { kind: "admin", user: req.user.id },
+    details: { from, to: volunteersNeeded },
+  });
+  await alert.save();
+
+  // Fill newly opened spots on an alert that already has a lead
+  if (alert.status === "assigned" && alert.canBeAccepted()) {
+    await alert.populate("tree", "name species location");
+    const volunteers = await alertService.findNearbyVolunteers(
+      alert.location.coordinates,
+      alert.reachRadiusKm,
+      { priority: alert.priority }
+    );
+
+    if (volunteers.length > 0) {
+      await alertService.dispatchAlert(alert, volunteers);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: `Alert now needs ${volunteersNeeded} volunteer(s)`,
+    data: { alert },
+  });
+});
+
+/**
+ * @desc    Upload before/after photos for an alert (multipart field "photos")
+ * @route   POST /api/alerts/:id/photos
+ * @access  Private (alerts:respond, assigned volunteer)
+ */
+exports.uploadAlertPhotos = asyncHandler(async (req, res, next) => {
+  const { kind } = req.body;
+
+  if (!["before", "after"].includes(kind)) {
+    return next(createError(400, 'Please provide kind: "before" or "after"'));
+  }
+
+  if (!req.files || req.files.length === 0) {
+    return next(createError(400, 'Please attach at least one photo in the "photos" field'));
+  }
+
+  const profile = await VolunteerProfile.findOne({ user: req.user.id });
+
+  if (!profile) {
+    return next(createError(404, "Volunteer profile not found"));
+  }
+
+  const alert = await Alert.findOne({
+    _id: req.params.id,
+    ...Alert.memberQuery(profile._id),
+    status: { $in: ["assigned", "in_progress"] },
+    isActive: true,
+  });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found or not assigned to you"));
+  }
+
+  const { maxPerAlert } = photoService.getLimits();
+  if (alert.photos.length + req.files.length > maxPerAlert) {
+    return next(createError(400, `An alert can have at most ${maxPerAlert} photos`));
+  }
+
+  // One at a time: image processing is CPU and memory heavy
+  const stored = [];
+  try {
+    for (const file of req.files) {
+      stored.push(
+        await photoService.storeAlertPhoto(alert, file, { kind, uploadedBy: profile._id })
+      );
+    }
+  } catch (error) {
+    await Promise.all(stored.map((photo) => photoService.removePhoto(photo)));
+    if (error.message && error.message.includes("unsupported image format")) {
+      return next(createError(400, "One of the files is not a valid image"));
+    }
+    throw error;
+  }
+
+  alert.photos.push(...stored);
+  await alert.save();
+
+  res.status(201).json({
+    success: true,
+    message: `${stored.length} photo(s) uploaded`,
+    data: { photos: alert.photos.slice(-stored.length) },
+  });
+});
+
+/**
+ * @desc    Delete a photo uploaded to an alert
+ * @route   DELETE /api/alerts/:id/photos/:photoId
+ * @access  Private (alerts:respond, assigned volunteer)
+ */
+exports.deleteAlertPhoto = asyncHandler(async (req, res, next) => {
+  const profile = await VolunteerProfile.findOne({ user: req.user.id });
+
+  if (!profile) {
+    return next(createError(404, "Volunteer profile not found"));
+  }
+
+  const alert = await Alert.findOne({
+    _id: req.params.id,
+    ...Alert.memberQuery(profile._id),
+    status: { $in: ["assigned", "in_progress"] },
+    isActive: true,
+  });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found or not assigned to you"));
+  }
+
+  const photo = alert.photos.id(req.params.photoId);
+  if (!photo) {
+    return next(createError(404, "Photo not found"));
+  }
+
+  alert.photos.pull(photo._id);
+  await alert.save();
+  await photoService.removePhoto(photo);
+
+  res.json({
+    success: true,
+    message: "Photo deleted",
+  });
+});
+
+/**
+ * @desc    Cancel assigned alert (volunteer can't complete)
+ * @route   POST /api/alerts/:id/cancel
+ * @access  Private (alerts:respond)
+ */
+exports.cancelMyAlert = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  const profile = await VolunteerProfile.findOne({ user: req.user.id });
+
+  if (!profile) {
+    return next(createError(404, "Volunteer profile not found"));
+  }
+
+  const alert = await Alert.findOne({
+    _id: req.params.id,
+    ...Alert.memberQuery(profile._id),
+    status: { $in: ["assigned", "in_progress"] },
+    isActive: true,
+  });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found or not assigned to you"));
+  }
+
+  const remaining = alert.crew.filter(
+    (member) => member.volunteer.toString() !== profile._id.toString()
+  );
+
+  // Leaving a crew that still has other members: the alert stays with them
+  if (remaining.length > 0) {
+    const wasLead = alert.assignedTo?.toString() === profile._id.toString();
+    if (wasLead) {
+      remaining[0].role = "lead";
+      alert.assignedTo = remaining[0].volunteer;
+    }
+    alert.crew = remaining;
+
+    // Restart the start deadline once the crew is full again
+    if (alert.status === "assigned") {
+      alert.expiresAt = null;
+    }
+
+    alert.recordEvent("left", {
+      actor: volunteerActor(req, profile),
+      fromStatus: alert.status,
+      reason: reason ? reason.toString().trim().slice(0, 500) : undefined,
+      details: {
+        role: wasLead ? "lead" : "member",
+        newLead: wasLead ? alert.assignedTo : undefined,
+        remaining: remaining.length,
+      },
+    });
+    await alert.save();
+
+    profile.status = "available";
+    if (!alert.isRoutine()) profile.stats.cancelledAlerts += 1;
+    await profile.save();
+
+    if (global.io) {
+      global.io.to(`alert-${alert._id}`).emit("crew-updated", {
+        alertId: alert._id,
+        joined: alert.crew.length,
+        needed: alert.volunteersNeeded,
+        crewFull: alert.isCrewFull(),
+        lead: alert.assignedTo,
+      });
+    }
+
+    // Look for a replacement while the crew is still forming
+    if (alert.canBeAccepted()) {
+      await alert.populate("tree", "name species location");
+      const volunteers = await alertService.findNearbyVolunteers(
+        alert.location.coordinates,
+        alert.reachRadiusKm,
+        { priority: alert.priority }
+      );
+
+      if (volunteers.length > 0) {
+        await alertService.dispatchAlert(alert, volunteers);
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: "You left the crew. The alert stays with the remaining volunteers.",
+    });
+  }
+
+  // Record who held the alert and why it was released before clearing the assignment
+  alert.recordEvent("cancelled", {
+    actor: volunteerActor(req, profile),
+    fromStatus: alert.status,
+    toStatus: "pending",
+    reason: reason ? reason.toString().trim().slice(0, 500) : undefined,
+    details: {
+      acceptedAt: alert.acceptedAt,
+      startedAt: alert.startedAt,
+    },
+  });
+
+  // Release alert back to pending
+  alert.status = "pending";
+  alert.assignedTo = null;
+  alert.crew = [];
+  alert.acceptedAt = null;
+  alert.startedAt = null;
+  alert.expiresAt = null;
+  await alert.save();
+
+  // Update volunteer status
+  profile.status = "available";
+  if (!alert.isRoutine()) profile.stats.cancelledAlerts += 1;
+  await profile.save();
+
+  // Notify nearby volunteers that alert is available again
+  await alert.populate("tree", "name species location");
+  const volunteers = await alertService.findNearbyVolunteers(
+    alert.location.coordinates,
+    alert.reachRadiusKm,
+    { priority: alert.priority }
+  );
+
+  if (volunteers.length > 0) {
+    await alertService.dispatchAlert(alert, volunteers);
+  }
+
+  res.json({
+    success: true,
+    message: "Alert cancelled and released back to available volunteers",
+  });
+});
+
+/**
+ * @desc    Get single alert by ID
+ * @route   GET /api/alerts/:id
+ * @access  Private (participants, alert managers; responders while open)
+ */
+exports.getAlertById = asyncHandler(async (req, res, next) => {
+  const alert = await Alert.findOne({
+    _id: req.params.id,
+    isActive: true,
+  })
+    .populate("tree", "name species location imageUrl plantedDate status")
+    .populate({
+      path: "tree",
       populate: { path: "owner", select: "fullName email" },
     })
     .populate({
@@ -467,6 +1430,17 @@ exports.getAlertById = asyncHandler(async (req, res, next) => {
     return next(createError(404, "Alert not found"));
   }
 
+  // Open alerts are visible to responders deciding whether to take them, and
+  // submitted work to reviewers in the alert's region
+  const inRegion = isInRegion(req.user, alert.location?.address);
+  const visible =
+    (alert.canBeAccepted() && hasPermission(req.user, "alerts:respond")) ||
+    (alert.status === "awaiting_review" && hasPermission(req.user, "alerts:review") && inRegion) ||
+    (await canSeeAlertDetails(req.user, alert));
+  if (!visible) {
+    return next(createError(403, "You do not have access to this alert"));
+  }
+
   res.json({
     success: true,
     message: "Alert fetched successfully",
@@ -474,6 +1448,53 @@ exports.getAlertById = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get an alert's event history (oldest first)
+ * @route   GET /api/alerts/:id/timeline
+ * @access  Private (crew, tree owner or alerts:manage)
+ */
+exports.getAlertTimeline = asyncHandler(async (req, res, next) => {
+  const alert = await Alert.findOne({ _id: req.params.id, isActive: true })
+    .select("status priority source tree crew assignedTo location history createdAt")
+    .populate("tree", "name species owner")
+    .populate("history.actor.user", "fullName")
+    .populate({
+      path: "history.actor.volunteer",
+      select: "user",
+      populate: { path: "user", select: "fullName" },
+    });
+
+  if (!alert) {
+    return next(createError(404, "Alert not found"));
+  }
+
+  if (!(await canSeeAlertDetails(req.user, alert))) {
+    return next(createError(403, "Only the crew, the tree owner and alert managers can see this timeline"));
+  }
+
+  const { type } = req.query;
+  const events = [...alert.history]
+    .filter((event) => !type || event.type === type)
+    .sort((a, b) => a.at - b.at);
+
+  res.json({
+    success: true,
+    message: "Alert timeline fetched successfully",
+    count: events.length,
+    data: {
+      alert: {
+        id: alert._id,
+        status: alert.status,
+        priority: alert.priority,
+        source: alert.source,
+        tree: alert.tree,
+        createdAt: alert.createdAt,
+      },
+      events,
+    },
+  });
+});
+
 /**
  * @desc    Get all alerts for a specific tree
  * @route   GET /api/alerts/tree/:treeId
@@ -490,6 +1511,7 @@ exports.getTreeAlerts = asyncHandler(async (req, res, next) => {
     tree: req.params.treeId,
     isActive: true,
   })
+    .select("-history")
     .populate({
       path: "assignedTo",
       populate: { path: "user", select: "fullName" },
@@ -505,16 +1527,19 @@ exports.getTreeAlerts = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Get all alerts with filters (Admin only)
+ * @desc    Get all alerts with filters (coordinators: their region only)
  * @route   GET /api/alerts
- * @access  Private (Admin role)
+ * @access  Private (alerts:manage)
  */
 exports.getAllAlerts = asyncHandler(async (req, res) => {
-  const { status, priority, type, dateFrom, dateTo, volunteerId, treeId, page = 1, limit = 20 } = req.query;
+  const { status, priority, type, source, category, dateFrom, dateTo, volunteerId, treeId, page = 1, limit = 20 } = req.query;
 
-  const filter = { isActive: true };
+  const filter = { isActive: true, ...regionFilter(req.user) };
 
   if (status) filter.status = status;
+  if (source) filter.source = source;
+  if (category === "routine") filter.category = "routine";
+  if (category === "emergency") filter.category = { $ne: "routine" };
   if (priority) filter.priority = priority;
   if (type) filter.type = type;
   if (volunteerId) filter.assignedTo = volunteerId;
@@ -530,6 +1555,7 @@ exports.getAllAlerts = asyncHandler(async (req, res) => {
 
   const [alerts, total] = await Promise.all([
     Alert.find(filter)
+      .select("-history")
       .populate("tree", "name species location")
       .populate({
         path: "assignedTo",
@@ -557,13 +1583,115 @@ exports.getAllAlerts = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get alert statistics (Admin only)
+ * @desc    Break declines down by reason, alert type and area
+ * @route   GET /api/alerts/declines/analytics
+ * @access  Private (alerts:analytics, region scoped)
+ */
+exports.getDeclineAnalytics = asyncHandler(async (req, res) => {
+  const { dateFrom, dateTo, type, area } = req.query;
+
+  const match = {};
+  if (type) match.alertType = type;
+  if (area) match.area = area;
+  if (dateFrom || dateTo) {
+    match.createdAt = {};
+    if (dateFrom) match.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) match.createdAt.$lte = new Date(dateTo);
+  }
+  // `area` is only a label; scope by the declined alerts' own location
+  if (isRegionScoped(req.user)) {
+    match.alert = { $in: await Alert.distinct("_id", regionFilter(req.user)) };
+  }
+
+  const [result] = await AlertDecline.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overview: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              alerts: { $addToSet: "$alert" },
+              volunteers: { $addToSet: "$volunteer" },
+              averageDistanceKm: { $avg: "$distanceKm" },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              total: 1,
+              alerts: { $size: "$alerts" },
+              volunteers: { $size: "$volunteers" },
+              averageDistanceKm: { $round: ["$averageDistanceKm", 2] },
+            },
+          },
+        ],
+        byReason: [
+          { $group: { _id: "$reason", count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        byType: [
+          {
+            $group: {
+              _id: { type: "$alertType", reason: "$reason" },
+              count: { $sum: 1 },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.type",
+              count: { $sum: "$count" },
+              reasons: { $push: { reason: "$_id.reason", count: "$count" } },
+            },
+          },
+          { $sort: { count: -1 } },
+        ],
+        byArea: [
+          {
+            $group: {
+              _id: { area: "$area", reason: "$reason" },
+              count: { $sum: 1 },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.area",
+              count: { $sum: "$count" },
+              reasons: { $push: { reason: "$_id.reason", count: "$count" } },
+            },
+          },
+          { $sort: { count: -1 } },
+          { $limit: 50 },
+        ],
+      },
+    },
+  ]);
+
+  res.json({
+    success: true,
+    message: "Decline analytics fetched successfully",
+    data: {
+      overview: result.overview[0] || { total: 0, alerts: 0, volunteers: 0, averageDistanceKm: null },
+      byReason: result.byReason,
+      byType: result.byType,
+      byArea: result.byArea,
+      reasons: AlertDecline.schema.path("reason").enumValues,
+    },
+  });
+});
+
+/**
+ * @desc    Get alert statistics
  * @route   GET /api/alerts/statistics
- * @access  Private (Admin role)
+ * @access  Private (alerts:analytics, region scoped)
  */
 exports.getAlertStatistics = asyncHandler(async (req, res) => {
+  const region = regionFilter(req.user);
+
+  // Emergency figures leave out routine care, which is summarized on its own
   const stats = await Alert.aggregate([
-    { $match: { isActive: true } },
+    { $match: { isActive: true, category: { $ne: "routine" }, ...region } },
     {
       $group: {
         _id: null,
@@ -577,6 +1705,9 @@ exports.getAlertStatistics = asyncHandler(async (req, res) => {
         inProgress: {
           $sum: { $cond: [{ $eq: ["$status", "in_progress"] }, 1, 0] },
         },
+        awaitingReview: {
+          $sum: { $cond: [{ $eq: ["$status", "awaiting_review"] }, 1, 0] },
+        },
         completed: {
           $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
         },
@@ -598,8 +1729,10 @@ exports.getAlertStatistics = asyncHandler(async (req, res) => {
     {
       $match: {
         status: "completed",
+        category: { $ne: "routine" },
         acceptedAt: { $exists: true },
         completedAt: { $exists: true },
+        ...region,
       },
     },
     {
@@ -620,9 +1753,47 @@ exports.getAlertStatistics = asyncHandler(async (req, res) => {
     },
   ]);
 
+  const routineStats = await Alert.aggregate([
+    { $match: { isActive: true, category: "routine", ...region } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        open: {
+          $sum: {
+            $cond: [{ $in: ["$status", ["pending", "assigned", "in_progress", "awaiting_review"]] }, 1, 0],
+          },
+        },
+        overdue: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", "pending"] },
+                  { $lt: ["$dueDate", new Date(Date.now() - 24 * 60 * 60 * 1000)] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        completed: {
+          $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+        },
+        completedMinutes: {
+          $sum: {
+            $cond: [{ $eq: ["$status", "completed"] }, { $ifNull: ["$workMinutes", 0] }, 0],
+          },
+        },
+      },
+    },
+  ]);
+
   const result = {
     overview: stats[0] || {},
     averageResponseTimeMinutes: responseTimeStats[0]?.averageResponseTime || 0,
+    routine: routineStats[0] || {},
   };
 
   res.json({
@@ -633,14 +1804,14 @@ exports.getAlertStatistics = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get volunteer leaderboard (Admin only)
+ * @desc    Get volunteer leaderboard (coordinators: volunteers based in their region)
  * @route   GET /api/alerts/leaderboard
- * @access  Private (Admin role)
+ * @access  Private (alerts:analytics, region scoped)
  */
 exports.getVolunteerLeaderboard = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
 
-  const volunteers = await VolunteerProfile.find({ isActive: true })
+  const volunteers = await VolunteerProfile.find({ isActive: true, ...regionFilter(req.user) })
     .populate("user", "fullName email")
     .sort({ "stats.completedAlerts": -1, "stats.totalHours": -1 })
     .limit(limit);
@@ -659,6 +1830,7 @@ exports.getVolunteerLeaderboard = asyncHandler(async (req, res) => {
           )
         : 0,
     averageCompletionTime: parseFloat(v.stats.averageCompletionTime.toFixed(1)),
+    routineTasksCompleted: v.stats.routineTasksCompleted || 0,
   }));
 
   res.json({
@@ -671,12 +1843,12 @@ exports.getVolunteerLeaderboard = asyncHandler(async (req, res) => {
 /**
  * @desc    Get alerts by region (geospatial aggregation for map)
  * @route   GET /api/alerts/map
- * @access  Private (Admin role)
+ * @access  Private (alerts:analytics, region scoped)
  */
 exports.getAlertsByRegion = asyncHandler(async (req, res) => {
   const { status, priority } = req.query;
 
-  const matchQuery = { isActive: true };
+  const matchQuery = { isActive: true, ...regionFilter(req.user) };
   if (status) matchQuery.status = status;
   if (priority) matchQuery.priority = priority;
 
@@ -707,7 +1879,7 @@ exports.getAlertsByRegion = asyncHandler(async (req, res) => {
 /**
  * @desc    Seed database with test data (Development only)
  * @route   POST /api/alerts/seed
- * @access  Private (Admin role)
+ * @access  Private (system:debug)
  */
 exports.seedTestData = asyncHandler(async (req, res) => {
   if (process.env.NODE_ENV !== "development") {
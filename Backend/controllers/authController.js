@@ -1,5 +1,8 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const notificationService = require("../services/notificationService");
+const sessionService = require("../services/sessionService");
+const { permissionsFor } = require("../config/permissions");
 
 const asyncHandler =
   (fn) =>
@@ -12,30 +15,69 @@ const createError = (statusCode, message) => {
   return err;
 };
 
-const jwtSecret =
-  process.env.JWT_SECRET || "your-secret-key-change-this-in-production";
+// Sends a new access token for `session`, or starts a new session (and sets
+// its refresh cookie) when none is given
+const sendTokenResponse = async (req, res, user, statusCode, message, session = null) => {
+  let refreshToken;
+  if (!session) {
+    ({ session, refreshToken } = await sessionService.startSession(user, req));
+  }
 
-const generateToken = (userId) =>
-  jwt.sign({ id: userId }, jwtSecret, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-  });
+  const accessToken = sessionService.signAccessToken(user, session);
+  sessionService.setAuthCookies(res, { accessToken, refreshToken });
 
-const sendTokenResponse = (user, statusCode, res, message) => {
-  const token = generateToken(user._id);
   const userObj = user.toObject ? user.toObject() : user;
   delete userObj.password;
+  delete userObj.emailVerificationToken;
+  delete userObj.emailVerificationExpires;
+  delete userObj.passwordResetToken;
+  delete userObj.passwordResetExpires;
 
   res.status(statusCode).json({
     success: true,
     message,
-    token,
-    data: { user: userObj },
+    token: accessToken.token,
+    expiresAt: accessToken.expiresAt,
+    data: { user: userObj, permissions: permissionsFor(user) },
   });
 };
 
+const sessionSummary = (session, currentId) => ({
+  _id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentId && session._id.equals(currentId),
+});
+
+// Verification links hit the API directly; reset links open the client's reset form
+// Built from configuration only: the Host header is client-controlled
+const verificationUrl = (token) => {
+  const base = process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/+$/, "")}/api/auth/verify-email/${token}`;
+};
+
+const passwordResetUrl = (token) => {
+  const base =
+    process.env.PASSWORD_RESET_URL ||
+    `${process.env.CLIENT_URL || "http://localhost:5173"}/reset-password`;
+  return `${base.replace(/\/+$/, "")}/${token}`;
+};
+
+const sendVerification = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  return notificationService.sendVerificationEmail(user, verificationUrl(token));
+};
+
 // @route   POST /api/auth/register (PUBLIC)
 exports.register = asyncHandler(async (req, res) => {
-  const { fullName, email, password, role } = req.body;
+  // `role` is never taken from the body: everyone starts as a user, and
+  // volunteers are approved through /api/volunteer-applications
+  const { fullName, email, password } = req.body;
 
   if (!fullName || !email || !password) {
     throw createError(400, "Please provide all required fields");
@@ -46,8 +88,16 @@ exports.register = asyncHandler(async (req, res) => {
     throw createError(400, "User with this email already exists");
   }
 
-  const user = await User.create({ fullName, email, password, role });
-  sendTokenResponse(user, 201, res, "Registered successfully");
+  const user = await User.create({ fullName, email, password, role: "user" });
+  await sendVerification(user);
+
+  await sendTokenResponse(
+    req,
+    res,
+    user,
+    201,
+    "Registered successfully. Check your email to confirm your address."
+  );
 });
 
 // @route   POST /api/auth/login (PUBLIC)
@@ -58,41 +108,6 @@ exports.login = asyncHandler(async (req, res) => {
     throw createError(400, "Please provide email and password");
   }
 
-  // Check if .env admin credentials are provided and match
-  const adminEmail = process.env.ADMIN_EMAIL;
-  const adminPassword = process.env.ADMIN_PASSWORD;
-  
-  if (adminEmail && adminPassword && email === adminEmail && password === adminPassword) {
-    // Login as admin using .env credentials
-    const adminUser = {
-      _id: "dev-admin-user",
-      fullName: "Admin User",
-      email: email,
-      role: "admin",
-      isActive: true,
-      toObject: () => ({
-        _id: "dev-admin-user",
-        fullName: "Admin User",
-        email: email,
-        role: "admin",
-        isActive: true,
-      }),
-    };
-    
-    // Generate token with admin ID
-    const token = jwt.sign({ id: adminUser._id }, jwtSecret, {
-      expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-    });
-    
-    return res.status(200).json({
-      success: true,
-      message: "Logged in successfully",
-      token,
-      data: { user: adminUser.toObject() },
-    });
-  }
-
-  // Normal database login
   const user = await User.findOne({ email }).select("+password");
   if (!user) {
     throw createError(401, "Invalid credentials");
@@ -106,34 +121,102 @@ exports.login = asyncHandler(async (req, res) => {
   user.lastLogin = Date.now();
   await user.save({ validateBeforeSave: false });
 
-  sendTokenResponse(user, 200, res, "Logged in successfully");
+  await sendTokenResponse(req, res, user, 200, "Logged in successfully");
+});
+
+// @route   POST /api/auth/refresh (PUBLIC, refreshToken cookie)
+exports.refresh = asyncHandler(async (req, res) => {
+  const presented = req.cookies && req.cookies[sessionService.REFRESH_COOKIE];
+  if (!presented) {
+    throw createError(401, "No refresh token, please log in again");
+  }
+
+  let rotated;
+  try {
+    rotated = await sessionService.rotate(presented, req);
+  } catch (error) {
+    sessionService.clearAuthCookies(res);
+    throw error;
+  }
+
+  const { user, session, refreshToken } = rotated;
+  const accessToken = sessionService.signAccessToken(user, session);
+  sessionService.setAuthCookies(res, { accessToken, refreshToken });
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed",
+    token: accessToken.token,
+    expiresAt: accessToken.expiresAt,
+  });
 });
 
 // @route   POST /api/auth/logout (PROTECTED)
 exports.logout = asyncHandler(async (req, res) => {
+  if (req.authSession) {
+    await sessionService.revokeSession(req.authSession, "logout");
+  }
+  sessionService.clearAuthCookies(res);
   res.status(200).json({ success: true, message: "Logged out successfully" });
 });
 
-// @route   GET /api/auth/me (PROTECTED)
-exports.getMe = asyncHandler(async (req, res) => {
-  // Handle dev admin user
-  if (req.user.id === "dev-admin-user") {
-    return res.status(200).json({
-      success: true,
-      data: {
-        user: {
-          _id: "dev-admin-user",
-          fullName: "Admin User",
-          email: process.env.ADMIN_EMAIL,
-          role: "admin",
-          isActive: true,
-        },
-      },
-    });
+// @route   GET /api/auth/sessions (PROTECTED)
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user.id);
+  const currentId = req.authSession && req.authSession._id;
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: { sessions: sessions.map((session) => sessionSummary(session, currentId)) },
+  });
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId (PROTECTED)
+exports.revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.sessionId, user: req.user.id });
+  if (!session || !session.isActive()) {
+    throw createError(404, "Session not found");
   }
 
+  await sessionService.revokeSession(session, "revoked");
+
+  const isCurrent = !!req.authSession && session._id.equals(req.authSession._id);
+  if (isCurrent) {
+    sessionService.clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: isCurrent ? "Current session revoked, you have been logged out" : "Session revoked",
+  });
+});
+
+// @route   DELETE /api/auth/sessions (PROTECTED, ?keepCurrent=true keeps this device logged in)
+exports.revokeAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === "true" && !!req.authSession;
+
+  const revoked = await sessionService.revokeAllSessions(req.user.id, {
+    except: keepCurrent ? req.authSession._id : null,
+  });
+
+  if (!keepCurrent) {
+    sessionService.clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: keepCurrent
+      ? `Logged out of ${revoked} other session(s)`
+      : `Logged out of all ${revoked} session(s)`,
+    data: { revoked },
+  });
+});
+
+// @route   GET /api/auth/me (PROTECTED)
+exports.getMe = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id).select("-password");
-  res.status(200).json({ success: true, data: { user } });
+  res.status(200).json({ success: true, data: { user, permissions: permissionsFor(user) } });
 });
 
 // @route   PUT /api/auth/update-password (PROTECTED)
@@ -157,29 +240,99 @@ exports.updatePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res, "Password updated successfully");
+  // Every other device has to log in again with the new password
+  await sessionService.revokeAllSessions(user._id, {
+    except: req.authSession ? req.authSession._id : null,
+    reason: "password_changed",
+  });
+
+  await sendTokenResponse(req, res, user, 200, "Password updated successfully", req.authSession);
 });
 
-// @route   GET /api/auth/verify-email/:token (PUBLIC - stub)
+// @route   GET /api/auth/verify-email/:token (PUBLIC)
 exports.verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findByToken("verification", req.params.token);
+  if (!user) {
+    throw createError(400, "Verification link is invalid or has expired");
+  }
+
+  // Single use: the token is cleared once it has been accepted
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
   res.status(200).json({
     success: true,
-    message: "Email verification endpoint (not implemented)",
+    message: "Email verified successfully",
   });
 });
 
-// @route   POST /api/auth/forgot-password (PUBLIC - stub)
-exports.forgotPassword = asyncHandler(async (req, res) => {
+// @route   POST /api/auth/resend-verification (PROTECTED)
+exports.resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw createError(401, "User not found");
+  }
+  if (user.isEmailVerified) {
+    throw createError(400, "Email is already verified");
+  }
+
+  const sent = await sendVerification(user);
+  if (!sent) {
+    throw createError(502, "Could not send the verification email, please try again later");
+  }
+
   res.status(200).json({
     success: true,
-    message: "Password reset email sent (mock)",
+    message: "Verification email sent",
   });
 });
 
-// @route   PUT /api/auth/reset-password/:token (PUBLIC - stub)
-exports.resetPassword = asyncHandler(async (req, res) => {
+// @route   POST /api/auth/forgot-password (PUBLIC)
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    throw createError(400, "Please provide your email");
+  }
+
+  // Same answer whether or not the account exists, so addresses can't be probed
+  const user = await User.findOne({ email: email.toString().toLowerCase().trim(), isActive: true });
+  if (user) {
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    await notificationService.sendPasswordResetEmail(user, passwordResetUrl(token));
+  }
+
   res.status(200).json({
     success: true,
-    message: "Password reset successful (mock)",
+    message: "If an account exists for that email, a reset link has been sent",
   });
 });
+
+// @route   PUT /api/auth/reset-password/:token (PUBLIC)
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  if (!password) {
+    throw createError(400, "Please provide a new password");
+  }
+
+  const user = await User.findByToken("reset", req.params.token);
+  if (!user) {
+    throw createError(400, "Reset link is invalid or has expired");
+  }
+
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  // Opening the emailed link proves the address belongs to the user
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await sessionService.revokeAllSessions(user._id, { reason: "password_changed" });
+  await sendTokenResponse(req, res, user, 200, "Password reset successful");
+});
@@ -0,0 +1,186 @@
+const CarePlan = require("../models/CarePlan");
+const Tree = require("../models/Tree");
+const careScheduleService = require("../services/careScheduleService");
+const { hasPermission } = require("../config/permissions");
+
+// Helper function to wrap async route handlers
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// Helper function to create errors
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pickPlanFields = (body) => {
+  const fields = {};
+  [
+    "name",
+    "task",
+    "intervalDays",
+    "startAfterDays",
+    "endAfterDays",
+    "volunteersNeeded",
+    "instructions",
+  ].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (typeof body.isActive === "boolean") fields.isActive = body.isActive;
+  return fields;
+};
+
+// care-plans:manage covers every plan; tree owners manage plans for their own trees
+const assertCanManage = async (user, treeId) => {
+  if (hasPermission(user, "care-plans:manage")) return;
+
+  if (!treeId) {
+    throw createError(403, "Only care plan managers can manage species-wide care plans");
+  }
+
+  const tree = await Tree.findOne({ _id: treeId, isActive: true }).select("owner");
+  if (!tree) {
+    throw createError(404, "Tree not found");
+  }
+  if (!tree.owner || tree.owner.toString() !== user.id) {
+    throw createError(403, "Not authorized to manage care plans for this tree");
+  }
+};
+
+/**
+ * @desc    List care plans (?tree= returns the plans that apply to that tree)
+ * @route   GET /api/care-plans
+ * @access  Private
+ */
+exports.getPlans = asyncHandler(async (req, res, next) => {
+  const filter = {};
+  if (req.query.task) filter.task = req.query.task;
+  if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === "true";
+
+  if (req.query.tree) {
+    const tree = await Tree.findById(req.query.tree).select("species");
+    if (!tree) {
+      return next(createError(404, "Tree not found"));
+    }
+    filter.$or = [{ tree: tree._id }, { species: tree.species.trim().toLowerCase() }];
+  } else if (req.query.species) {
+    filter.species = req.query.species.toString().toLowerCase();
+  }
+
+  const plans = await CarePlan.find(filter)
+    .populate("tree", "name species")
+    .sort({ task: 1, createdAt: 1 });
+
+  res.json({
+    success: true,
+    message: "Care plans fetched successfully",
+    count: plans.length,
+    data: { plans },
+  });
+});
+
+/**
+ * @desc    Get a single care plan
+ * @route   GET /api/care-plans/:id
+ * @access  Private
+ */
+exports.getPlan = asyncHandler(async (req, res, next) => {
+  const plan = await CarePlan.findById(req.params.id).populate("tree", "name species plantedDate");
+
+  if (!plan) {
+    return next(createError(404, "Care plan not found"));
+  }
+
+  res.json({
+    success: true,
+    message: "Care plan fetched successfully",
+    data: { plan },
+  });
+});
+
+/**
+ * @desc    Create a care plan for a tree or a species
+ * @route   POST /api/care-plans
+ * @access  Private (Admin, or the tree owner for single-tree plans)
+ */
+exports.createPlan = asyncHandler(async (req, res) => {
+  const { tree, species } = req.body;
+  await assertCanManage(req.user, tree);
+
+  const plan = await CarePlan.create({
+    ...pickPlanFields(req.body),
+    tree: tree || null,
+    species: tree ? null : species || null,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Care plan created successfully",
+    data: { plan },
+  });
+});
+
+/**
+ * @desc    Update a care plan (its tree or species can't change)
+ * @route   PUT /api/care-plans/:id
+ * @access  Private (Admin, or the tree owner for single-tree plans)
+ */
+exports.updatePlan = asyncHandler(async (req, res, next) => {
+  const plan = await CarePlan.findById(req.params.id);
+
+  if (!plan) {
+    return next(createError(404, "Care plan not found"));
+  }
+  await assertCanManage(req.user, plan.tree);
+
+  Object.assign(plan, pickPlanFields(req.body));
+  await plan.save();
+
+  res.json({
+    success: true,
+    message: "Care plan updated successfully",
+    data: { plan },
+  });
+});
+
+/**
+ * @desc    Delete a care plan (tasks already created are kept)
+ * @route   DELETE /api/care-plans/:id
+ * @access  Private (Admin, or the tree owner for single-tree plans)
+ */
+exports.deletePlan = asyncHandler(async (req, res, next) => {
+  const plan = await CarePlan.findById(req.params.id);
+
+  if (!plan) {
+    return next(createError(404, "Care plan not found"));
+  }
+  await assertCanManage(req.user, plan.tree);
+
+  await plan.deleteOne();
+
+  res.json({
+    success: true,
+    message: "Care plan deleted successfully",
+  });
+});
+
+/**
+ * @desc    Run the care scheduler now instead of waiting for the cron job
+ * @route   POST /api/care-plans/run
+ * @access  Private (Admin role)
+ */
+exports.runScheduler = asyncHandler(async (req, res, next) => {
+  const summary = await careScheduleService.runCarePlans({ trigger: "manual" });
+
+  if (!summary) {
+    return next(createError(409, "Care scheduling is already running"));
+  }
+
+  res.json({
+    success: true,
+    message: `${summary.created} care task(s) created`,
+    data: { summary },
+  });
+});
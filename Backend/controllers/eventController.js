@@ -3,6 +3,7 @@ const Event = require('../models/Event');
 const User = require('../models/User');
 const calendarService = require('../services/calenderService');
 const notificationService = require('../services/notificationService');
+const { canActOn } = require('../config/permissions');
 
 // @desc    Create a new event
 // @route   POST /api/events
@@ -275,13 +276,10 @@ const getEventParticipants = async (req, res) => {
       });
     }
 
-    const isAdmin = req.user.role === 'admin';
-    const isCreator = event.createdBy.toString() === req.user.id;
-
-    if (!isAdmin && !isCreator) {
+    if (!canActOn(req.user, 'events:manage', event.createdBy)) {
       return res.status(403).json({
         success: false,
-        error: 'Only event organizers and admins can view participants'
+        error: 'Only event organizers and event managers can view participants'
       });
     }
 
@@ -329,13 +327,10 @@ const updateEvent = async (req, res) => {
       });
     }
 
-    const isAdmin = req.user.role === 'admin';
-    const isCreator = event.createdBy.toString() === req.user.id;
-
-    if (!isAdmin && !isCreator) {
+    if (!canActOn(req.user, 'events:manage', event.createdBy)) {
       return res.status(403).json({
         success: false,
-        error: 'Only event organizers and admins can update this event'
+        error: 'Only event organizers and event managers can update this event'
       });
     }
 
@@ -381,13 +376,10 @@ const deleteEvent = async (req, res) => {
       });
     }
 
-    const isAdmin = req.user.role === 'admin';
-    const isCreator = event.createdBy.toString() === req.user.id;
-
-    if (!isAdmin && !isCreator) {
+    if (!canActOn(req.user, 'events:manage', event.createdBy)) {
       return res.status(403).json({
         success: false,
-        error: 'Only event organizers and admins can delete this event'
+        error: 'Only event organizers and event managers can delete this event'
       });
     }
 
@@ -0,0 +1,145 @@
+const SpeciesProfile = require("../models/SpeciesProfile");
+const speciesThresholdService = require("../services/speciesThresholdService");
+
+// Helper function to wrap async route handlers
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// Helper function to create errors
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pickProfileFields = (body) => {
+  const fields = {};
+  if (body.species !== undefined) fields.species = body.species;
+  if (body.growthStage !== undefined) fields.growthStage = body.growthStage;
+  if (body.notes !== undefined) fields.notes = body.notes;
+  if (typeof body.isActive === "boolean") fields.isActive = body.isActive;
+  return fields;
+};
+
+/**
+ * @desc    List species threshold profiles
+ * @route   GET /api/species-profiles
+ * @access  Private
+ */
+exports.getProfiles = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.species) filter.species = req.query.species.toString().toLowerCase();
+  if (req.query.growthStage) filter.growthStage = req.query.growthStage;
+  if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === "true";
+
+  const profiles = await SpeciesProfile.find(filter).sort({ species: 1, growthStage: 1 });
+
+  res.json({
+    success: true,
+    message: "Species profiles fetched successfully",
+    count: profiles.length,
+    data: {
+      profiles,
+      defaults: speciesThresholdService.getDefaultThresholds(),
+    },
+  });
+});
+
+/**
+ * @desc    Get a single species profile
+ * @route   GET /api/species-profiles/:id
+ * @access  Private
+ */
+exports.getProfile = asyncHandler(async (req, res, next) => {
+  const profile = await SpeciesProfile.findById(req.params.id);
+
+  if (!profile) {
+    return next(createError(404, "Species profile not found"));
+  }
+
+  res.json({
+    success: true,
+    message: "Species profile fetched successfully",
+    data: { profile },
+  });
+});
+
+/**
+ * @desc    Create a species profile
+ * @route   POST /api/species-profiles
+ * @access  Private (Admin role)
+ */
+exports.createProfile = asyncHandler(async (req, res, next) => {
+  const { thresholds } = req.body;
+
+  if (!thresholds) {
+    return next(
+      createError(400, "Please provide thresholds (temperature, rainfall, windSpeed)")
+    );
+  }
+
+  const profile = await SpeciesProfile.create({
+    ...pickProfileFields(req.body),
+    thresholds: {
+      temperature: thresholds.temperature,
+      rainfall: thresholds.rainfall,
+      windSpeed: thresholds.windSpeed,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Species profile created successfully",
+    data: { profile },
+  });
+});
+
+/**
+ * @desc    Update a species profile
+ * @route   PUT /api/species-profiles/:id
+ * @access  Private (Admin role)
+ */
+exports.updateProfile = asyncHandler(async (req, res, next) => {
+  const profile = await SpeciesProfile.findById(req.params.id);
+
+  if (!profile) {
+    return next(createError(404, "Species profile not found"));
+  }
+
+  Object.assign(profile, pickProfileFields(req.body));
+
+  const { thresholds } = req.body;
+  if (thresholds) {
+    ["temperature", "rainfall", "windSpeed"].forEach((key) => {
+      if (thresholds[key] !== undefined) {
+        profile.thresholds[key] = thresholds[key];
+      }
+    });
+  }
+
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: "Species profile updated successfully",
+    data: { profile },
+  });
+});
+
+/**
+ * @desc    Delete a species profile (trees fall back to defaults)
+ * @route   DELETE /api/species-profiles/:id
+ * @access  Private (Admin role)
+ */
+exports.deleteProfile = asyncHandler(async (req, res, next) => {
+  const profile = await SpeciesProfile.findByIdAndDelete(req.params.id);
+
+  if (!profile) {
+    return next(createError(404, "Species profile not found"));
+  }
+
+  res.json({
+    success: true,
+    message: "Species profile deleted successfully",
+  });
+});
@@ -1,5 +1,9 @@
+const mongoose = require("mongoose");
 const Tree = require("../models/Tree");
+const treeExportService = require("../services/treeExportService");
 const { reverseGeocode } = require("../services/reverseGeocodingService");
+const { fallbackAddress } = require("../utils/geo");
+const { hasPermission, canActOn } = require("../config/permissions");
 
 const asyncHandler =
   (fn) =>
@@ -25,21 +29,83 @@ const normalizeCoordinates = (coordinates) => {
   return [lon, lat];
 };
 
-const buildFallbackAddress = (lon, lat) => ({
-  formatted: `Lat ${lat.toFixed(6)}, Lon ${lon.toFixed(6)}`,
-  city: undefined,
-  district: undefined,
-  country: undefined,
-});
+/**
+ * List filters shared by getTrees, getAllTrees and exportTrees:
+ * species, status, owner and bbox=minLon,minLat,maxLon,maxLat
+ */
+const buildTreeFilter = (query) => {
+  const filter = { isActive: true };
+
+  if (query.species) filter.species = query.species;
+  if (query.status) filter.status = query.status;
+
+  if (query.owner) {
+    if (!mongoose.isValidObjectId(query.owner)) {
+      throw createError(400, "owner must be a valid user id");
+    }
+    filter.owner = query.owner;
+  }
+
+  if (query.bbox) {
+    const box = query.bbox.toString().split(",").map(toNumber);
+    const [minLon, minLat, maxLon, maxLat] = box;
+    const valid =
+      box.length === 4 &&
+      box.every((n) => n !== null) &&
+      minLon >= -180 && maxLon <= 180 && minLat >= -90 && maxLat <= 90 &&
+      minLon < maxLon && minLat < maxLat;
+    if (!valid) {
+      throw createError(400, "bbox must be minLon,minLat,maxLon,maxLat");
+    }
+
+    filter.location = {
+      $geoWithin: {
+        $geometry: {
+          type: "Polygon",
+          coordinates: [[
+            [minLon, minLat],
+            [maxLon, minLat],
+            [maxLon, maxLat],
+            [minLon, maxLat],
+            [minLon, minLat],
+          ]],
+        },
+      },
+    };
+  }
+
+  return filter;
+};
+
+// Fields only changed through the lifecycle (transitionTo) or inspections
+const LIFECYCLE_FIELDS = ["statusHistory", "statusChangedAt", "deathCause", "diedAt", "health"];
+
+// Validate and apply a lifecycle transition; `correction` (trees:manage only) overrides the ordering
+const applyStatusChange = (req, tree, { status, reason, cause, correction }) => {
+  const isCorrection = correction === true && hasPermission(req.user, "trees:manage");
+  const trimmedReason = typeof reason === "string" ? reason.trim().slice(0, 300) : undefined;
+
+  if (isCorrection && !trimmedReason) {
+    throw createError(400, "A reason is required for a status correction");
+  }
+
+  const error = Tree.transitionError(tree.status, status, { cause, correction: isCorrection });
+  if (error) {
+    throw createError(400, error);
+  }
 
-const canAccessTree = (user, tree) => {
-  if (!user) return false;
-  if (user.role === "admin") return true;
-  return tree.owner && tree.owner.toString() === user.id;
+  tree.transitionTo(status, {
+    reason: trimmedReason,
+    cause,
+    changedBy: req.user.id,
+    correction: isCorrection,
+  });
 };
 
 exports.createTree = asyncHandler(async (req, res) => {
   const treeData = { ...req.body, owner: req.user.id };
+  LIFECYCLE_FIELDS.forEach((field) => delete treeData[field]);
+  if (treeData.status === "DEAD") treeData.deathCause = req.body.deathCause;
 
   const normalized = normalizeCoordinates(treeData?.location?.coordinates);
   if (normalized) {
@@ -53,7 +119,7 @@ exports.createTree = asyncHandler(async (req, res) => {
       treeData.location.address = address;
       console.log("[createTree] Address resolved:", address);
     } else {
-      treeData.location.address = buildFallbackAddress(lon, lat);
+      treeData.location.address = fallbackAddress(lon, lat);
       console.warn("[createTree] Reverse geocoding failed; fallback address saved.");
     }
   }
@@ -74,15 +140,12 @@ exports.createTree = asyncHandler(async (req, res) => {
 
 // @route   GET /api/trees (PROTECTED)
 exports.getTrees = asyncHandler(async (req, res) => {
-  const filter = { isActive: true };
+  const filter = buildTreeFilter(req.query);
 
-  if (req.user.role !== "admin") {
+  if (!hasPermission(req.user, "trees:manage")) {
     filter.owner = req.user.id;
   }
 
-  if (req.query.species) filter.species = req.query.species;
-  if (req.query.status) filter.status = req.query.status;
-
   const trees = await Tree.find(filter)
     .sort({ createdAt: -1 })
     .populate("owner", "fullName email role");
@@ -98,10 +161,7 @@ exports.getTrees = asyncHandler(async (req, res) => {
 // @route   GET /api/trees/all (PROTECTED)
 // @desc    Get all active trees for any authenticated user (information view)
 exports.getAllTrees = asyncHandler(async (req, res) => {
-  const filter = { isActive: true };
-
-  if (req.query.species) filter.species = req.query.species;
-  if (req.query.status) filter.status = req.query.status;
+  const filter = buildTreeFilter(req.query);
 
   const trees = await Tree.find(filter)
     .sort({ createdAt: -1 })
@@ -115,6 +175,24 @@ exports.getAllTrees = asyncHandler(async (req, res) => {
   });
 });
 
+// @route   GET /api/trees/export (PROTECTED)
+// @desc    Stream trees as GeoJSON, CSV or KML (?format=); same filters as getAllTrees, scope=mine for own trees
+exports.exportTrees = asyncHandler(async (req, res) => {
+  const format = (req.query.format || "geojson").toString().toLowerCase();
+  if (!treeExportService.FORMATS.includes(format)) {
+    throw createError(400, `format must be one of: ${treeExportService.FORMATS.join(", ")}`);
+  }
+
+  const filter = buildTreeFilter(req.query);
+  if (req.query.scope === "mine") {
+    filter.owner = new mongoose.Types.ObjectId(req.user.id);
+  } else if (filter.owner) {
+    filter.owner = new mongoose.Types.ObjectId(filter.owner);
+  }
+
+  await treeExportService.streamTrees(res, filter, format);
+});
+
 // @route   GET /api/trees/nearby (PROTECTED)
 // @desc    Get trees near provided coordinates
 exports.getNearbyTrees = asyncHandler(async (req, res) => {
@@ -171,7 +249,7 @@ exports.getTree = asyncHandler(async (req, res) => {
     throw createError(404, "Tree not found");
   }
 
-  if (!canAccessTree(req.user, tree)) {
+  if (!canActOn(req.user, "trees:manage", tree.owner)) {
     throw createError(403, "Not authorized to access this tree");
   }
 
@@ -188,7 +266,7 @@ exports.updateTree = asyncHandler(async (req, res) => {
     throw createError(404, "Tree not found");
   }
 
-  if (!canAccessTree(req.user, tree)) {
+  if (!canActOn(req.user, "trees:manage", tree.owner)) {
     throw createError(403, "Not authorized to update this tree");
   }
 
@@ -197,6 +275,18 @@ exports.updateTree = asyncHandler(async (req, res) => {
   delete updates.isActive;
   delete updates.createdAt;
   delete updates.updatedAt;
+  delete updates.status;
+  delete updates.statusReason;
+  LIFECYCLE_FIELDS.forEach((field) => delete updates[field]);
+
+  // Status changes go through the lifecycle rules
+  if (req.body.status !== undefined && req.body.status !== tree.status) {
+    applyStatusChange(req, tree, {
+      status: req.body.status,
+      reason: req.body.statusReason,
+      cause: req.body.deathCause,
+    });
+  }
 
   const incomingCoordinates = updates?.location?.coordinates;
   const hasCoordinateUpdate =
@@ -223,7 +313,7 @@ exports.updateTree = asyncHandler(async (req, res) => {
         tree.location.address = address;
         console.log("[updateTree] Address resolved:", address);
       } else {
-        tree.location.address = buildFallbackAddress(lon, lat);
+        tree.location.address = fallbackAddress(lon, lat);
         console.warn("[updateTree] Reverse geocoding failed; fallback address saved.");
       }
     } else {
@@ -248,13 +338,203 @@ exports.updateTree = asyncHandler(async (req, res) => {
   });
 });
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Group key expressions for the survival report
+const cohortKey = (period) => {
+  if (period === "month") return { $dateToString: { format: "%Y-%m", date: "$plantedDate" } };
+  if (period === "quarter") {
+    return {
+      $concat: [
+        { $toString: { $year: "$plantedDate" } },
+        "-Q",
+        { $toString: { $ceil: { $divide: [{ $month: "$plantedDate" }, 3] } } },
+      ],
+    };
+  }
+  return { $toString: { $year: "$plantedDate" } };
+};
+
+const SURVIVAL_GROUPS = {
+  species: () => ({ $toLower: { $trim: { input: "$species" } } }),
+  cohort: (period) => cohortKey(period),
+  area: () => ({
+    $ifNull: ["$location.address.city", { $ifNull: ["$location.address.district", "Unknown"] }],
+  }),
+};
+
+// @route   GET /api/trees/reports/survival (PROTECTED, trees:reports)
+// @desc    Survival rates by species, planting cohort or area, from the lifecycle history
+exports.getSurvivalReport = asyncHandler(async (req, res) => {
+  const groupBy = req.query.groupBy || "species";
+  if (!SURVIVAL_GROUPS[groupBy]) {
+    throw createError(400, `groupBy must be one of: ${Object.keys(SURVIVAL_GROUPS).join(", ")}`);
+  }
+  const period = ["year", "quarter", "month"].includes(req.query.period) ? req.query.period : "year";
+
+  const match = { isActive: true };
+  if (req.query.species) match.species = req.query.species;
+  if (req.query.city) match["location.address.city"] = req.query.city;
+  if (req.query.plantedFrom || req.query.plantedTo) {
+    match.plantedDate = {};
+    if (req.query.plantedFrom) match.plantedDate.$gte = new Date(req.query.plantedFrom);
+    if (req.query.plantedTo) match.plantedDate.$lte = new Date(req.query.plantedTo);
+  }
+
+  const now = new Date();
+  const oneYearAgo = new Date(now.getTime() - 365 * DAY_MS);
+
+  const rows = await Tree.aggregate([
+    { $match: match },
+    {
+      $project: {
+        key: SURVIVAL_GROUPS[groupBy](period),
+        dead: { $eq: ["$status", "DEAD"] },
+        deathCause: 1,
+        // Trees marked DEAD before the lifecycle history existed fall back to updatedAt
+        daysToDeath: {
+          $cond: [
+            { $eq: ["$status", "DEAD"] },
+            {
+              $divide: [
+                { $subtract: [{ $ifNull: ["$diedAt", "$updatedAt"] }, "$plantedDate"] },
+                DAY_MS,
+              ],
+            },
+            null,
+          ],
+        },
+        yearOld: { $lte: ["$plantedDate", oneYearAgo] },
+      },
+    },
+    {
+      $group: {
+        _id: "$key",
+        total: { $sum: 1 },
+        dead: { $sum: { $cond: ["$dead", 1, 0] } },
+        causes: { $push: "$deathCause" },
+        averageDaysToDeath: { $avg: "$daysToDeath" },
+        // First-year survival only counts trees planted at least a year ago
+        yearOld: { $sum: { $cond: ["$yearOld", 1, 0] } },
+        diedInFirstYear: {
+          $sum: {
+            $cond: [{ $and: ["$yearOld", "$dead", { $lte: ["$daysToDeath", 365] }] }, 1, 0],
+          },
+        },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const percent = (part, whole) => (whole > 0 ? parseFloat(((part / whole) * 100).toFixed(1)) : null);
+
+  const groups = rows.map((row) => {
+    const deathsByCause = {};
+    row.causes.filter(Boolean).forEach((cause) => {
+      deathsByCause[cause] = (deathsByCause[cause] || 0) + 1;
+    });
+    const unknownCause = row.dead - Object.values(deathsByCause).reduce((a, b) => a + b, 0);
+    if (unknownCause > 0) deathsByCause.unknown = unknownCause;
+
+    return {
+      [groupBy]: row._id,
+      total: row.total,
+      alive: row.total - row.dead,
+      dead: row.dead,
+      survivalRate: percent(row.total - row.dead, row.total),
+      firstYearSurvivalRate: percent(row.yearOld - row.diedInFirstYear, row.yearOld),
+      averageDaysToDeath:
+        row.averageDaysToDeath === null ? null : Math.round(row.averageDaysToDeath),
+      deathsByCause,
+    };
+  });
+
+  const totals = groups.reduce(
+    (sum, group) => ({ total: sum.total + group.total, dead: sum.dead + group.dead }),
+    { total: 0, dead: 0 }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Survival report generated successfully",
+    data: {
+      groupBy,
+      ...(groupBy === "cohort" ? { period } : {}),
+      overall: {
+        total: totals.total,
+        alive: totals.total - totals.dead,
+        dead: totals.dead,
+        survivalRate: percent(totals.total - totals.dead, totals.total),
+      },
+      groups,
+    },
+  });
+});
+
+// @route   POST /api/trees/:id/status (PROTECTED)
+// @desc    Move a tree through its lifecycle: { status, reason, cause (for DEAD), correction (trees:manage) }
+exports.changeTreeStatus = asyncHandler(async (req, res) => {
+  const tree = await Tree.findOne({ _id: req.params.id, isActive: true });
+  if (!tree) {
+    throw createError(404, "Tree not found");
+  }
+
+  if (!canActOn(req.user, "trees:manage", tree.owner)) {
+    throw createError(403, "Not authorized to update this tree");
+  }
+
+  const { status, reason, cause, correction } = req.body;
+  if (!status) {
+    throw createError(400, "Please provide the new status");
+  }
+
+  applyStatusChange(req, tree, { status, reason, cause, correction });
+  await tree.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Tree marked ${tree.status}`,
+    data: {
+      tree,
+      transition: tree.statusHistory[tree.statusHistory.length - 1],
+    },
+  });
+});
+
+// @route   GET /api/trees/:id/status-history (PROTECTED)
+exports.getTreeStatusHistory = asyncHandler(async (req, res) => {
+  const tree = await Tree.findOne({ _id: req.params.id, isActive: true })
+    .select("name species status statusChangedAt deathCause diedAt statusHistory owner")
+    .populate("statusHistory.changedBy", "fullName role");
+
+  if (!tree) {
+    throw createError(404, "Tree not found");
+  }
+
+  if (!canActOn(req.user, "trees:manage", tree.owner)) {
+    throw createError(403, "Not authorized to access this tree");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Status history fetched successfully",
+    data: {
+      status: tree.status,
+      statusChangedAt: tree.statusChangedAt,
+      deathCause: tree.deathCause,
+      diedAt: tree.diedAt,
+      history: tree.statusHistory,
+    },
+  });
+});
+
 exports.deleteTree = asyncHandler(async (req, res) => {
   const tree = await Tree.findOne({ _id: req.params.id, isActive: true });
   if (!tree) {
     throw createError(404, "Tree not found");
   }
 
-  if (!canAccessTree(req.user, tree)) {
+  if (!canActOn(req.user, "trees:delete", tree.owner)) {
     throw createError(403, "Not authorized to delete this tree");
   }
 
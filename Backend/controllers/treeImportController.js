@@ -0,0 +1,120 @@
+const path = require("path");
+const TreeImport = require("../models/TreeImport");
+const treeImportService = require("../services/treeImportService");
+const { hasPermission, canActOn } = require("../config/permissions");
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+const createError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const FORMAT_BY_EXTENSION = {
+  ".csv": "csv",
+  ".geojson": "geojson",
+  ".json": "geojson",
+};
+
+// Work out the format and content from a multipart file or a JSON body
+const readImportInput = (req) => {
+  if (req.file) {
+    const extension = path.extname(req.file.originalname || "").toLowerCase();
+    const format =
+      req.body.format ||
+      FORMAT_BY_EXTENSION[extension] ||
+      (req.file.mimetype === "text/csv" ? "csv" : null) ||
+      (/json/.test(req.file.mimetype) ? "geojson" : null);
+
+    return { format, content: req.file.buffer.toString("utf8"), fileName: req.file.originalname };
+  }
+
+  if (typeof req.body.csv === "string") {
+    return { format: "csv", content: req.body.csv };
+  }
+  if (req.body.type === "FeatureCollection") {
+    return { format: "geojson", content: req.body };
+  }
+  if (req.body.geojson) {
+    return { format: "geojson", content: req.body.geojson };
+  }
+  return null;
+};
+
+const isTrue = (value) => value === true || value === "true" || value === "1";
+
+// @route   POST /api/trees/import (PROTECTED, multipart "file" or JSON; ?dryRun=true)
+exports.importTrees = asyncHandler(async (req, res) => {
+  const input = readImportInput(req);
+  if (!input) {
+    throw createError(
+      400,
+      'Send a CSV or GeoJSON file in the "file" field, or a JSON body with "csv" or a FeatureCollection'
+    );
+  }
+  if (!["csv", "geojson"].includes(input.format)) {
+    throw createError(400, "Could not tell the file format; use .csv or .geojson, or pass format");
+  }
+
+  const dryRun = isTrue(req.query.dryRun) || isTrue(req.body.dryRun);
+  const { report, importRecord } = await treeImportService.importTrees(input, req.user.id, { dryRun });
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      message: `Dry run: ${report.valid} of ${report.totalRows} trees would be imported`,
+      data: { dryRun: true, report },
+    });
+  }
+
+  res.status(importRecord ? 201 : 422).json({
+    success: !!importRecord,
+    message: importRecord
+      ? `${report.valid} of ${report.totalRows} trees imported; addresses are being resolved in the background`
+      : "No trees were imported; every row failed validation",
+    data: {
+      report,
+      importId: importRecord ? importRecord._id : null,
+    },
+  });
+});
+
+// @route   GET /api/trees/imports (PROTECTED)
+exports.getImports = asyncHandler(async (req, res) => {
+  const filter = hasPermission(req.user, "trees:reports") ? {} : { owner: req.user.id };
+
+  const imports = await TreeImport.find(filter)
+    .select("-trees -failures")
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  res.status(200).json({
+    success: true,
+    message: "Imports fetched successfully",
+    count: imports.length,
+    data: { imports },
+  });
+});
+
+// @route   GET /api/trees/imports/:importId (PROTECTED)
+exports.getImport = asyncHandler(async (req, res) => {
+  const importRecord = await TreeImport.findById(req.params.importId).select("-trees");
+
+  if (!importRecord) {
+    throw createError(404, "Import not found");
+  }
+
+  if (!canActOn(req.user, "trees:reports", importRecord.owner)) {
+    throw createError(403, "Not authorized to access this import");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Import fetched successfully",
+    data: { import: importRecord },
+  });
+});
@@ -0,0 +1,194 @@
+const Tree = require("../models/Tree");
+const TreeInspection = require("../models/TreeInspection");
+const Alert = require("../models/Alert");
+const photoService = require("../services/photoService");
+const inspectionService = require("../services/inspectionService");
+const { canActOn } = require("../config/permissions");
+
+const asyncHandler =
+  (fn) =>
+  (req, res, next) =>
+    Promise.resolve(fn(req, res, next)).catch(next);
+
+const createError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Owners inspect their own trees; trees:inspect (volunteers and up) covers any tree
+const canInspectTree = (user, tree) => canActOn(user, "trees:inspect", tree.owner);
+
+const loadTree = async (req) => {
+  const tree = await Tree.findOne({ _id: req.params.id, isActive: true });
+  if (!tree) {
+    throw createError(404, "Tree not found");
+  }
+  if (!canInspectTree(req.user, tree)) {
+    throw createError(403, "Not authorized to access this tree's inspections");
+  }
+  return tree;
+};
+
+// @route   GET /api/trees/:id/inspections (PROTECTED)
+exports.getInspections = asyncHandler(async (req, res) => {
+  const tree = await loadTree(req);
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const [inspections, total] = await Promise.all([
+    TreeInspection.find({ tree: tree._id })
+      .populate("inspector", "fullName role")
+      .sort({ inspectedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    TreeInspection.countDocuments({ tree: tree._id }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Inspections fetched successfully",
+    count: inspections.length,
+    data: { inspections, health: tree.health },
+    pagination: { page, limit, pages: Math.ceil(total / limit), total },
+  });
+});
+
+// @route   GET /api/trees/:id/inspections/:inspectionId (PROTECTED)
+exports.getInspection = asyncHandler(async (req, res) => {
+  const tree = await loadTree(req);
+
+  const inspection = await TreeInspection.findOne({
+    _id: req.params.inspectionId,
+    tree: tree._id,
+  })
+    .populate("inspector", "fullName role")
+    .populate("alert", "type status completedAt");
+
+  if (!inspection) {
+    throw createError(404, "Inspection not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Inspection fetched successfully",
+    data: { inspection },
+  });
+});
+
+// @route   POST /api/trees/:id/inspections (PROTECTED)
+exports.addInspection = asyncHandler(async (req, res) => {
+  const tree = await loadTree(req);
+
+  // Optionally link an alert on this tree that has been worked on
+  let alert = null;
+  if (req.body.alertId) {
+    alert = await Alert.findOne({
+      _id: req.body.alertId,
+      tree: tree._id,
+      status: { $in: ["awaiting_review", "completed"] },
+    });
+    if (!alert) {
+      throw createError(400, "alertId must be a completed alert for this tree");
+    }
+  }
+
+  const prepared = await inspectionService.prepareInspection(tree, req.user.id, req.body, {
+    alert,
+    photos: alert ? inspectionService.photosFromAlert(alert) : [],
+  });
+  const { inspection, health } = await inspectionService.saveInspection(prepared);
+
+  if (alert && !alert.inspection) {
+    alert.inspection = inspection._id;
+    await alert.save();
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Inspection recorded successfully",
+    data: { inspection, health },
+  });
+});
+
+// @route   POST /api/trees/:id/inspections/:inspectionId/photos (PROTECTED, multipart "photos")
+exports.addInspectionPhotos = asyncHandler(async (req, res) => {
+  const tree = await loadTree(req);
+
+  if (!req.files || req.files.length === 0) {
+    throw createError(400, 'Please attach at least one photo in the "photos" field');
+  }
+
+  const inspection = await TreeInspection.findOne({
+    _id: req.params.inspectionId,
+    tree: tree._id,
+  });
+
+  if (!inspection) {
+    throw createError(404, "Inspection not found");
+  }
+
+  if (!canActOn(req.user, "trees:manage", inspection.inspector)) {
+    throw createError(403, "Only the inspector can add photos to this inspection");
+  }
+
+  const stored = [];
+  try {
+    for (const file of req.files) {
+      stored.push(await photoService.storePhoto(`trees/${tree._id}/inspections/${inspection._id}`, file));
+    }
+  } catch (error) {
+    await Promise.all(stored.map((photo) => photoService.removePhoto(photo)));
+    if (error.message && error.message.includes("unsupported image format")) {
+      throw createError(400, "One of the files is not a valid image");
+    }
+    throw error;
+  }
+
+  inspection.photos.push(...stored);
+  await inspection.save();
+
+  res.status(201).json({
+    success: true,
+    message: `${stored.length} photo(s) uploaded`,
+    data: { photos: inspection.photos.slice(-stored.length) },
+  });
+});
+
+// @route   DELETE /api/trees/:id/inspections/:inspectionId (PROTECTED)
+exports.deleteInspection = asyncHandler(async (req, res) => {
+  const tree = await loadTree(req);
+
+  const inspection = await TreeInspection.findOne({
+    _id: req.params.inspectionId,
+    tree: tree._id,
+  });
+
+  if (!inspection) {
+    throw createError(404, "Inspection not found");
+  }
+
+  if (!canActOn(req.user, "trees:manage", inspection.inspector)) {
+    throw createError(403, "Only the inspector or an admin can delete this inspection");
+  }
+
+  await inspection.deleteOne();
+  await Promise.all(
+    inspection.photos.filter((photo) => photo.key).map((photo) => photoService.removePhoto(photo))
+  );
+  if (inspection.alert) {
+    await Alert.updateOne(
+      { _id: inspection.alert, inspection: inspection._id },
+      { $set: { inspection: null } }
+    );
+  }
+
+  const health = await TreeInspection.refreshTreeHealth(tree._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Inspection deleted successfully",
+    data: { health },
+  });
+});
@@ -0,0 +1,315 @@
+const User = require("../models/User");
+const VolunteerApplication = require("../models/VolunteerApplication");
+const VolunteerProfile = require("../models/VolunteerProfile");
+const reverseGeocodingService = require("../services/reverseGeocodingService");
+const notificationService = require("../services/notificationService");
+const { changeRole } = require("../services/roleService");
+const {
+  hasPermission,
+  regionFilter,
+  isInRegion,
+  permissionRoomsForEvent,
+} = require("../config/permissions");
+const logger = require("../utils/logger");
+
+// Helper function to wrap async route handlers
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// Helper function to create errors
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Tell the applicant about the decision (socket + email); failures are only logged
+const notifyApplicant = async (user, application) => {
+  if (global.io) {
+    global.io.to(`volunteer-${user._id}`).emit("volunteer-application-reviewed", {
+      applicationId: application._id,
+      status: application.status,
+      reviewNote: application.reviewNote,
+    });
+  }
+
+  const sent = await notificationService.sendVolunteerApplicationDecision(user, application);
+  if (!sent) {
+    logger.warn(`Could not email volunteer application decision to ${user.email}`);
+  }
+};
+
+// Claim a pending application for review, so two reviewers can't decide it at once.
+// Coordinators can only claim applications from their own region.
+const claimPending = (id, reviewer, update) =>
+  VolunteerApplication.findOneAndUpdate(
+    { _id: id, status: "pending", ...regionFilter(reviewer) },
+    { $set: update },
+    { new: true }
+  );
+
+/**
+ * @desc    Apply to become a volunteer
+ * @route   POST /api/volunteer-applications
+ * @access  Private (users without a volunteer role)
+ */
+exports.submitApplication = asyncHandler(async (req, res, next) => {
+  if (req.user.role !== "user") {
+    return next(createError(400, `You already have the ${req.user.role} role`));
+  }
+
+  const pending = await VolunteerApplication.findOne({ user: req.user.id, status: "pending" });
+  if (pending) {
+    return next(createError(409, "You already have a pending application"));
+  }
+
+  const { motivation, phone, skills, location, preferredRadius, emergencyContact } = req.body;
+
+  if (!location || !location.coordinates || location.coordinates.length !== 2) {
+    return next(createError(400, "Valid location coordinates are required"));
+  }
+
+  let address = location.address || {};
+  if (!address.formatted) {
+    try {
+      const [longitude, latitude] = location.coordinates;
+      address = (await reverseGeocodingService.reverseGeocode(longitude, latitude)) || {};
+    } catch (error) {
+      logger.warn("Reverse geocoding failed, continuing without address");
+    }
+  }
+
+  const application = new VolunteerApplication({
+    user: req.user.id,
+    motivation,
+    phone,
+    skills: skills || [],
+    location: { type: "Point", coordinates: location.coordinates, address },
+    preferredRadius: preferredRadius || 5,
+    emergencyContact: emergencyContact || {},
+  });
+
+  // Check the details against the profile schema now, so approval can't fail on them later
+  await application.validate();
+  await new VolunteerProfile(application.toProfileFields()).validate();
+  await application.save();
+
+  if (global.io) {
+    const rooms = permissionRoomsForEvent("volunteers:review", address);
+    global.io.to(["admin", ...rooms]).emit("volunteer-application-submitted", {
+      applicationId: application._id,
+      userId: req.user.id,
+      fullName: req.user.fullName,
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Application submitted. An admin will review it soon.",
+    data: { application },
+  });
+});
+
+/**
+ * @desc    Get my applications (newest first)
+ * @route   GET /api/volunteer-applications/mine
+ * @access  Private
+ */
+exports.getMyApplications = asyncHandler(async (req, res, next) => {
+  const applications = await VolunteerApplication.find({ user: req.user.id })
+    .populate("reviewedBy", "fullName")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    data: { applications },
+  });
+});
+
+/**
+ * @desc    Withdraw my pending application
+ * @route   DELETE /api/volunteer-applications/mine
+ * @access  Private
+ */
+exports.withdrawApplication = asyncHandler(async (req, res, next) => {
+  const application = await VolunteerApplication.findOneAndUpdate(
+    { user: req.user.id, status: "pending" },
+    { $set: { status: "withdrawn" } },
+    { new: true }
+  );
+
+  if (!application) {
+    return next(createError(404, "No pending application to withdraw"));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Application withdrawn",
+    data: { application },
+  });
+});
+
+/**
+ * @desc    List applications (?status=, default pending; oldest first so the queue is FIFO)
+ * @route   GET /api/volunteer-applications
+ * @access  Private (volunteers:review, region scoped)
+ */
+exports.getApplications = asyncHandler(async (req, res, next) => {
+  const status = req.query.status || "pending";
+  if (status !== "all" && !VolunteerApplication.STATUSES.includes(status)) {
+    return next(
+      createError(400, `Status must be one of: all, ${VolunteerApplication.STATUSES.join(", ")}`)
+    );
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const filter = status === "all" ? {} : { status };
+  Object.assign(filter, regionFilter(req.user));
+
+  const [applications, total] = await Promise.all([
+    VolunteerApplication.find(filter)
+      .populate("user", "fullName email role isEmailVerified createdAt")
+      .populate("reviewedBy", "fullName email")
+      .sort({ createdAt: status === "pending" ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    VolunteerApplication.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: { applications },
+  });
+});
+
+/**
+ * @desc    Get one application
+ * @route   GET /api/volunteer-applications/:id
+ * @access  Private (volunteers:review, region scoped, or the applicant)
+ */
+exports.getApplication = asyncHandler(async (req, res, next) => {
+  const application = await VolunteerApplication.findById(req.params.id)
+    .populate("user", "fullName email role isEmailVerified createdAt")
+    .populate("reviewedBy", "fullName email");
+
+  if (!application) {
+    return next(createError(404, "Application not found"));
+  }
+
+  const isApplicant = application.user._id.toString() === req.user.id;
+  const isReviewer =
+    hasPermission(req.user, "volunteers:review") &&
+    isInRegion(req.user, application.location.address);
+  if (!isApplicant && !isReviewer) {
+    return next(createError(403, "Not authorized to view this application"));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { application },
+  });
+});
+
+/**
+ * @desc    Approve an application: makes the user a volunteer and creates their profile
+ * @route   POST /api/volunteer-applications/:id/approve
+ * @access  Private (volunteers:review, region scoped)
+ */
+exports.approveApplication = asyncHandler(async (req, res, next) => {
+  const application = await claimPending(req.params.id, req.user, {
+    status: "approved",
+    reviewedBy: req.user._id,
+    reviewedAt: new Date(),
+    reviewNote: req.body.note,
+  });
+
+  if (!application) {
+    return next(createError(404, "Pending application not found"));
+  }
+
+  let createdProfile = null;
+  let user;
+  try {
+    user = await User.findById(application.user);
+    if (!user || !user.isActive) {
+      throw createError(409, "The applicant's account no longer exists or is deactivated");
+    }
+    if (user.role !== "user") {
+      throw createError(409, `The applicant already has the ${user.role} role`);
+    }
+
+    // A former volunteer keeps their old profile (and stats); otherwise create one
+    let profile = await VolunteerProfile.findOne({ user: user._id });
+    if (!profile) {
+      profile = await VolunteerProfile.create(application.toProfileFields());
+      createdProfile = profile;
+    }
+
+    await changeRole(user, "volunteer", {
+      actor: req.user,
+      reason: req.body.note || `Volunteer application ${application._id} approved`,
+      ip: req.ip,
+    });
+
+    application.volunteerProfile = profile._id;
+    await application.save();
+  } catch (error) {
+    // Undo the partial approval so the application can be reviewed again
+    if (createdProfile) {
+      await VolunteerProfile.deleteOne({ _id: createdProfile._id });
+    }
+    await VolunteerApplication.updateOne(
+      { _id: application._id },
+      { $set: { status: "pending" }, $unset: { reviewedBy: 1, reviewedAt: 1, reviewNote: 1 } }
+    );
+    throw error;
+  }
+
+  await notifyApplicant(user, application);
+
+  res.status(200).json({
+    success: true,
+    message: `${user.fullName} is now a volunteer`,
+    data: { application },
+  });
+});
+
+/**
+ * @desc    Reject an application (body: reason)
+ * @route   POST /api/volunteer-applications/:id/reject
+ * @access  Private (volunteers:review, region scoped)
+ */
+exports.rejectApplication = asyncHandler(async (req, res, next) => {
+  const reason = (req.body.reason || "").toString().trim();
+  if (!reason) {
+    return next(createError(400, "Please provide a reason for the applicant"));
+  }
+
+  const application = await claimPending(req.params.id, req.user, {
+    status: "rejected",
+    reviewedBy: req.user._id,
+    reviewedAt: new Date(),
+    reviewNote: reason.slice(0, 500),
+  });
+
+  if (!application) {
+    return next(createError(404, "Pending application not found"));
+  }
+
+  const user = await User.findById(application.user);
+  if (user) {
+    await notifyApplicant(user, application);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Application rejected",
+    data: { application },
+  });
+});
@@ -2,6 +2,7 @@ const VolunteerProfile = require("../models/VolunteerProfile");
 // PWA Push Notifications disabled - user preference
 // const pushNotificationService = require("../services/pushNotificationService");
 const reverseGeocodingService = require("../services/reverseGeocodingService");
+const { TIME_PATTERN, DATE_PATTERN, isValidTimeZone } = require("../utils/availability");
 
 // Helper function to wrap async route handlers
 const asyncHandler = (fn) => (req, res, next) =>
@@ -256,6 +257,8 @@ exports.getMyStats = asyncHandler(async (req, res, next) => {
     totalHours: parseFloat(profile.stats.totalHours.toFixed(2)),
     averageCompletionTime: parseFloat(profile.stats.averageCompletionTime.toFixed(1)),
     completionRate: parseFloat(completionRate),
+    routineTasksCompleted: profile.stats.routineTasksCompleted || 0,
+    routineHours: parseFloat((profile.stats.routineHours || 0).toFixed(2)),
   };
 
   res.json({
@@ -265,6 +268,108 @@ exports.getMyStats = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get availability schedule and whether alerts can be sent right now
+ * @route   GET /api/volunteers/availability
+ * @access  Private (Volunteer role)
+ */
+exports.getAvailability = asyncHandler(async (req, res, next) => {
+  const profile = await VolunteerProfile.findOne({ user: req.user.id });
+
+  if (!profile) {
+    return next(createError(404, "Volunteer profile not found"));
+  }
+
+  res.json({
+    success: true,
+    message: "Availability fetched successfully",
+    data: {
+      availability: profile.availability,
+      now: profile.checkSchedule(),
+    },
+  });
+});
+
+/**
+ * @desc    Update availability schedule (weekly windows, leave dates, critical override)
+ * @route   PUT /api/volunteers/availability
+ * @access  Private (Volunteer role)
+ */
+exports.updateAvailability = asyncHandler(async (req, res, next) => {
+  const { timezone, weekly, leave, allowCriticalOverride } = req.body;
+
+  const profile = await VolunteerProfile.findOne({ user: req.user.id });
+
+  if (!profile) {
+    return next(createError(404, "Volunteer profile not found"));
+  }
+
+  if (timezone !== undefined) {
+    if (!isValidTimeZone(timezone)) {
+      return next(createError(400, "Please provide a valid IANA time zone (e.g. Asia/Kolkata)"));
+    }
+    profile.availability.timezone = timezone;
+  }
+
+  if (weekly !== undefined) {
+    if (!Array.isArray(weekly)) {
+      return next(createError(400, "weekly must be an array of { day, start, end } windows"));
+    }
+    const invalid = weekly.find(
+      (window) =>
+        !Number.isInteger(window.day) ||
+        window.day < 0 ||
+        window.day > 6 ||
+        !TIME_PATTERN.test(window.start) ||
+        !TIME_PATTERN.test(window.end) ||
+        window.start === window.end
+    );
+    if (invalid) {
+      return next(
+        createError(400, "Each window needs day (0-6) and distinct start/end times in HH:mm")
+      );
+    }
+    profile.availability.weekly = weekly.map(({ day, start, end }) => ({ day, start, end }));
+  }
+
+  if (leave !== undefined) {
+    if (!Array.isArray(leave)) {
+      return next(createError(400, "leave must be an array of { startDate, endDate } ranges"));
+    }
+    const invalid = leave.find(
+      (range) =>
+        !DATE_PATTERN.test(range.startDate) ||
+        !DATE_PATTERN.test(range.endDate) ||
+        range.endDate < range.startDate
+    );
+    if (invalid) {
+      return next(
+        createError(400, "Each leave range needs startDate <= endDate in YYYY-MM-DD")
+      );
+    }
+    profile.availability.leave = leave.map(({ startDate, endDate, reason }) => ({
+      startDate,
+      endDate,
+      reason,
+    }));
+  }
+
+  if (typeof allowCriticalOverride === "boolean") {
+    profile.availability.allowCriticalOverride = allowCriticalOverride;
+  }
+
+  await profile.save();
+
+  res.json({
+    success: true,
+    message: "Availability updated successfully",
+    data: {
+      availability: profile.availability,
+      now: profile.checkSchedule(),
+    },
+  });
+});
+
 // PWA Push Notifications disabled - user preference
 // /**
 //  * @desc    Subscribe to push notifications
@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
-const User = require("../models/User");
 const VolunteerProfile = require("../models/VolunteerProfile");
+const sessionService = require("../services/sessionService");
+const { hasPermission } = require("../config/permissions");
 
 const createError = (statusCode, message) => {
   const err = new Error(message);
@@ -11,7 +12,7 @@ const createError = (statusCode, message) => {
 const jwtSecret =
   process.env.JWT_SECRET || "your-secret-key-change-this-in-production";
 
-// Protect routes - verify JWT token (401 on missing/invalid)
+// Protect routes - verify JWT token and its session (401 on missing/invalid/revoked)
 exports.protect = async (req, res, next) => {
   try {
     let token;
@@ -30,45 +31,29 @@ exports.protect = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, jwtSecret);
-    
-    // Handle dev admin user from .env
-    if (decoded.id === "dev-admin-user") {
-      req.user = {
-        id: "dev-admin-user",
-        _id: "dev-admin-user",
-        fullName: "Admin User",
-        email: process.env.ADMIN_EMAIL,
-        role: "admin",
-        isActive: true,
-      };
-      return next();
-    }
-
-    const user = await User.findById(decoded.id).select("-password");
-
-    if (!user) {
-      return next(createError(401, "User not found"));
-    }
-
-    if (!user.isActive) {
-      return next(createError(401, "Account has been deactivated"));
-    }
+    const { user, session } = await sessionService.authenticate(decoded);
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (err) {
-    next(createError(401, "Not authorized to access this route"));
+    next(createError(401, err.statusCode === 401 ? err.message : "Not authorized to access this route"));
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
+// Require every listed permission (see config/permissions.js), e.g. requirePermission("alerts:review")
+exports.requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!req.user) {
+      return next(createError(401, "Authentication required"));
+    }
+
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
       return next(
         createError(
           403,
-          `User role '${req.user.role}' is not authorized to access this route`
+          `Role '${req.user.role}' lacks the ${missing.join(", ")} permission needed for this route`
         )
       );
     }
@@ -93,7 +78,9 @@ exports.optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, jwtSecret);
-        req.user = await User.findById(decoded.id).select("-password");
+        const { user, session } = await sessionService.authenticate(decoded);
+        req.user = user;
+        req.authSession = session;
       } catch (error) {
         // Invalid token, but continue anyway
         req.user = null;
@@ -107,14 +94,21 @@ exports.optionalAuth = async (req, res, next) => {
   }
 };
 
-exports.isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    return next();
+// Block unverified accounts from volunteer actions when REQUIRE_EMAIL_VERIFICATION=true
+// (accounts that can manage users, i.e. admins, are never blocked)
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== "true") return next();
+  if (!req.user) {
+    return next(createError(401, "Authentication required"));
   }
-  return res.status(403).json({
-    success: false,
-    error: 'Access denied. Admins only.'
-  });
+  if (req.user.isEmailVerified || hasPermission(req.user, "users:manage")) return next();
+
+  next(
+    createError(
+      403,
+      "Please verify your email address first (POST /api/auth/resend-verification sends a new link)"
+    )
+  );
 };
 
 // Require volunteer profile to be completed
@@ -0,0 +1,87 @@
+const multer = require("multer");
+const { getLimits } = require("../services/photoService");
+
+// Helper function to create errors
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Accept up to PHOTO_MAX_FILES images (jpeg/png/webp, PHOTO_MAX_SIZE_MB each)
+ * from a multipart field, kept in memory for processing by photoService.
+ * @param {string} field - Form field name
+ */
+const uploadPhotos = (field) => {
+  const { maxSizeBytes, maxFiles, allowedTypes } = getLimits();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeBytes, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(
+          createError(415, `Unsupported file type ${file.mimetype}. Use JPEG, PNG or WebP.`)
+        );
+      }
+      cb(null, true);
+    },
+  }).array(field, maxFiles);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Each photo must be under ${+(maxSizeBytes / 1024 / 1024).toFixed(2)}MB`,
+          LIMIT_FILE_COUNT: `Upload at most ${maxFiles} photos at a time`,
+          LIMIT_UNEXPECTED_FILE: `Photos must be sent in the "${field}" field (max ${maxFiles})`,
+        };
+        const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        return next(createError(statusCode, messages[err.code] || err.message));
+      }
+
+      next(err);
+    });
+  };
+};
+
+/**
+ * Accept one tree import file (CSV or GeoJSON, TREE_IMPORT_MAX_SIZE_MB) from a
+ * multipart field, kept in memory. The format is checked by treeImportService.
+ * @param {string} field - Form field name
+ */
+const uploadImportFile = (field) => {
+  const maxSizeMb = parseFloat(process.env.TREE_IMPORT_MAX_SIZE_MB) || 5;
+  const maxSizeBytes = Math.round(maxSizeMb * 1024 * 1024);
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeBytes, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Import files must be under ${+maxSizeMb.toFixed(2)}MB`,
+          LIMIT_FILE_COUNT: "Upload one import file at a time",
+          LIMIT_UNEXPECTED_FILE: `The import file must be sent in the "${field}" field`,
+        };
+        const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        return next(createError(statusCode, messages[err.code] || err.message));
+      }
+
+      next(err);
+    });
+  };
+};
+
+module.exports = {
+  uploadPhotos,
+  uploadImportFile,
+};
@@ -1,4 +1,121 @@
 const mongoose = require("mongoose");
+const { ROLES } = require("../config/permissions");
+
+// Event types recorded in an alert's append-only history
+const ALERT_EVENT_TYPES = [
+  "created",
+  "promoted",
+  "broadcast",
+  "accepted",
+  "joined",
+  "left",
+  "checked_in",
+  "crew_resized",
+  "declined",
+  "started",
+  "submitted",
+  "approved",
+  "rejected",
+  "completed",
+  "cancelled",
+  "expired",
+  "escalated",
+];
+
+// Device position reported when a volunteer starts or completes work
+const checkInSchema = new mongoose.Schema(
+  {
+    at: Date,
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: [Number],
+    },
+    accuracyMeters: Number,
+    distanceMeters: {
+      type: Number,
+      comment: "Distance from alert.location",
+    },
+    toleranceMeters: Number,
+    withinRange: Boolean,
+    flagReason: {
+      type: String,
+      enum: ["out_of_range", "location_missing", null],
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One volunteer on an alert's crew; single-volunteer alerts have just the lead
+const crewMemberSchema = new mongoose.Schema({
+  volunteer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "VolunteerProfile",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["lead", "member"],
+    default: "member",
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  checkIn: checkInSchema,
+  checkedInAt: Date,
+  minutes: {
+    type: Number,
+    comment: "Joined to completion; credited to this member's stats",
+  },
+});
+
+const alertEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ALERT_EVENT_TYPES,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    actor: {
+      kind: {
+        type: String,
+        // reviewer: approved or rejected work through the alerts:review permission
+        enum: ["system", "volunteer", "admin", "owner", "reviewer"],
+        default: "system",
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      volunteer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "VolunteerProfile",
+        default: null,
+      },
+    },
+    fromStatus: String,
+    toStatus: String,
+    reason: {
+      type: String,
+      maxlength: 500,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+      comment: "Event-specific data, e.g. wave size, escalation radius, previous holder",
+    },
+  },
+  { _id: false }
+);
 
 const alertSchema = new mongoose.Schema(
   {
@@ -14,9 +131,26 @@ const alertSchema = new mongoose.Schema(
         "heavy_rain",
         "strong_wind",
         "multiple_threats",
+        "routine",
       ],
       required: [true, "Alert type is required"],
     },
+    category: {
+      type: String,
+      enum: ["emergency", "routine"],
+      default: "emergency",
+      comment: "routine = scheduled care from a CarePlan; kept out of emergency priority and stats",
+    },
+    carePlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CarePlan",
+      default: null,
+    },
+    dueDate: {
+      type: Date,
+      default: null,
+      comment: "When a routine care task falls due",
+    },
     priority: {
       type: String,
       enum: ["critical", "high", "medium", "low"],
@@ -24,9 +158,28 @@ const alertSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "assigned", "in_progress", "completed", "cancelled", "expired"],
+      enum: [
+        "pending",
+        "assigned",
+        "in_progress",
+        "awaiting_review",
+        "completed",
+        "cancelled",
+        "expired",
+      ],
       default: "pending",
     },
+    source: {
+      type: String,
+      enum: ["observed", "forecast"],
+      default: "observed",
+      comment: "observed = current conditions, forecast = upcoming event predicted ahead",
+    },
+    predictedOnset: {
+      type: Date,
+      default: null,
+      comment: "Forecast time the first threshold violation is expected",
+    },
     description: {
       type: String,
       required: [true, "Alert description is required"],
@@ -49,6 +202,12 @@ const alertSchema = new mongoose.Schema(
         excessAmount: Number,
       },
     ],
+    speciesProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SpeciesProfile",
+      default: null,
+      comment: "Species profile whose thresholds raised this alert (null = env defaults)",
+    },
     location: {
       type: {
         type: String,
@@ -70,6 +229,17 @@ const alertSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "VolunteerProfile",
       default: null,
+      comment: "Crew lead (the only volunteer on single-volunteer alerts)",
+    },
+    volunteersNeeded: {
+      type: Number,
+      default: 1,
+      min: [1, "An alert needs at least one volunteer"],
+      max: [20, "An alert can need at most 20 volunteers"],
+    },
+    crew: {
+      type: [crewMemberSchema],
+      default: [],
     },
     actionRequired: {
       type: [String],
@@ -81,13 +251,67 @@ const alertSchema = new mongoose.Schema(
         "secure_branches",
         "check_stability",
         "mulch_base",
+        "prune_tree",
         "inspect_damage",
         "other",
       ],
     },
     acceptedAt: Date,
     startedAt: Date,
+    submittedAt: {
+      type: Date,
+      comment: "When the volunteer last submitted the work for review",
+    },
     completedAt: Date,
+    workMinutes: {
+      type: Number,
+      comment: "Acceptance to completion; credited to the volunteer once approved",
+    },
+    checkIns: {
+      start: checkInSchema,
+      complete: checkInSchema,
+    },
+    locationReview: {
+      flagged: {
+        type: Boolean,
+        default: false,
+        comment: "A check-in was out of range or had no location; needs an admin look",
+      },
+      flaggedAt: Date,
+      resolution: {
+        type: String,
+        enum: ["accepted", "disputed"],
+      },
+      note: {
+        type: String,
+        maxlength: 1000,
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: Date,
+    },
+    review: {
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+      },
+      feedback: {
+        type: String,
+        maxlength: 1000,
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reviewerRole: {
+        type: String,
+        enum: [...ROLES, "owner"],
+        comment: "Reviewer's role when reviewing via alerts:review, otherwise owner",
+      },
+      reviewedAt: Date,
+    },
     expiresAt: {
       type: Date,
       index: true,
@@ -101,6 +325,92 @@ const alertSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    inspection: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TreeInspection",
+      default: null,
+      comment: "Tree inspection recorded when the work was completed",
+    },
+    photos: [
+      {
+        kind: {
+          type: String,
+          enum: ["before", "after"],
+          required: true,
+        },
+        url: {
+          type: String,
+          required: true,
+        },
+        thumbnailUrl: String,
+        key: String,
+        thumbnailKey: String,
+        storage: {
+          type: String,
+          comment: "Storage adapter that holds the file (local, s3)",
+        },
+        contentType: String,
+        size: Number,
+        originalName: String,
+        width: Number,
+        height: Number,
+        capturedAt: {
+          type: Date,
+          comment: "Taken from the photo's EXIF; GPS data is stripped on upload",
+        },
+        locationStripped: {
+          type: Boolean,
+          default: false,
+        },
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "VolunteerProfile",
+        },
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    reachRadiusKm: {
+      type: Number,
+      default: 0,
+      comment: "Set by escalation: volunteers within this distance are reached even beyond their preferredRadius",
+    },
+    pendingSince: {
+      type: Date,
+      default: Date.now,
+      comment: "When the alert last became pending (unclaimed)",
+    },
+    escalationLevel: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastEscalatedAt: Date,
+    escalations: [
+      {
+        level: Number,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        radiusKm: Number,
+        fromPriority: String,
+        toPriority: String,
+        volunteersNotified: Number,
+        adminNotified: {
+          type: Boolean,
+          default: false,
+        },
+        minutesUnclaimed: Number,
+      },
+    ],
+    history: {
+      type: [alertEventSchema],
+      default: [],
+      comment: "Append-only event log; only add entries via recordEvent / appendEvent",
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -114,9 +424,15 @@ const alertSchema = new mongoose.Schema(
 // Indexes for efficient queries
 alertSchema.index({ tree: 1, status: 1 });
 alertSchema.index({ assignedTo: 1, status: 1 });
+alertSchema.index({ "crew.volunteer": 1, status: 1 });
 alertSchema.index({ status: 1, priority: -1, createdAt: -1 });
 alertSchema.index({ location: "2dsphere" });
 alertSchema.index({ expiresAt: 1 });
+alertSchema.index({ source: 1, predictedOnset: 1 });
+alertSchema.index({ status: 1, escalationLevel: 1, pendingSince: 1 });
+alertSchema.index({ status: 1, submittedAt: 1 });
+alertSchema.index({ "locationReview.flagged": 1, "locationReview.resolvedAt": 1 });
+alertSchema.index({ carePlan: 1, tree: 1, dueDate: -1 });
 
 // Method to check if alert has expired
 alertSchema.methods.isExpired = function () {
@@ -124,13 +440,110 @@ alertSchema.methods.isExpired = function () {
   return Date.now() > this.expiresAt.getTime();
 };
 
-// Method to check if alert can be accepted
+// Method to check if this is scheduled care rather than an emergency
+alertSchema.methods.isRoutine = function () {
+  return this.category === "routine";
+};
+
+// Method to check if this alert needs more than one volunteer
+alertSchema.methods.isTeamAlert = function () {
+  return (this.volunteersNeeded || 1) > 1;
+};
+
+// Method to find a volunteer's crew entry
+alertSchema.methods.crewMember = function (volunteerId) {
+  return this.crew.find((member) => member.volunteer.toString() === volunteerId.toString());
+};
+
+// Method to check if enough volunteers have joined (legacy alerts only have assignedTo)
+alertSchema.methods.isCrewFull = function () {
+  const size = this.crew.length || (this.assignedTo ? 1 : 0);
+  return size >= (this.volunteersNeeded || 1);
+};
+
+// Method to check if alert can be accepted (team alerts stay open until the crew is full)
 alertSchema.methods.canBeAccepted = function () {
-  return (
-    this.status === "pending" &&
-    this.isActive &&
-    !this.isExpired()
-  );
+  const open =
+    this.status === "pending" ||
+    (this.status === "assigned" && this.isTeamAlert() && !this.isCrewFull());
+
+  return open && this.isActive && !this.isExpired();
+};
+
+// Static method for the start deadline set once an alert is fully staffed
+alertSchema.statics.startDeadline = function () {
+  const timeoutMinutes = process.env.ALERT_ACCEPT_TIMEOUT || 30;
+  return new Date(Date.now() + timeoutMinutes * 60 * 1000);
+};
+
+// Static filter for alerts a volunteer is on, as lead or crew member
+alertSchema.statics.memberQuery = function (volunteerId) {
+  return { $or: [{ assignedTo: volunteerId }, { "crew.volunteer": volunteerId }] };
+};
+
+// Static filter for alerts still looking for volunteers: pending, or a team
+// alert that is assigned but short of volunteersNeeded (those have no expiresAt yet)
+alertSchema.statics.openQuery = function () {
+  return {
+    $or: [
+      { status: "pending" },
+      {
+        status: "assigned",
+        $expr: {
+          $and: [
+            { $gt: ["$volunteersNeeded", 1] },
+            { $lt: [{ $size: { $ifNull: ["$crew", []] } }, "$volunteersNeeded"] },
+          ],
+        },
+      },
+    ],
+  };
+};
+
+// Build a history entry; `toStatus` defaults to the status the alert ends up in
+const buildEvent = (type, { actor, fromStatus, toStatus, reason, details } = {}) => ({
+  type,
+  at: new Date(),
+  actor: actor || { kind: "system" },
+  fromStatus,
+  toStatus,
+  reason,
+  details,
+});
+
+// Method to append an event to the history (saved with the next save())
+// Call after changing status so toStatus reflects the new state
+alertSchema.methods.recordEvent = function (type, event = {}) {
+  this.history.push(buildEvent(type, { toStatus: this.status, ...event }));
+  return this;
+};
+
+// Static method to append an event without loading/saving the document
+alertSchema.statics.appendEvent = function (alertId, type, event = {}) {
+  return this.updateOne({ _id: alertId }, { $push: { history: buildEvent(type, event) } });
+};
+
+// Update fragment to append an event inside an atomic findOneAndUpdate
+alertSchema.statics.pushEvent = function (type, event = {}) {
+  return { history: buildEvent(type, event) };
+};
+
+// Method to flag a check-in for admin review when it is out of range or has no location
+alertSchema.methods.flagCheckIn = function (checkIn) {
+  if (!checkIn.withinRange) {
+    this.locationReview = {
+      flagged: true,
+      flaggedAt: checkIn.at,
+    };
+  }
+  return this;
+};
+
+// Method to store a start/complete check-in and flag it for admin review if needed
+alertSchema.methods.recordCheckIn = function (stage, checkIn) {
+  this.checkIns = this.checkIns || {};
+  this.checkIns[stage] = checkIn;
+  return this.flagCheckIn(checkIn);
 };
 
 // Method to auto-expire and release back to pending
@@ -140,8 +553,20 @@ alertSchema.methods.autoExpire = async function () {
     this.isExpired() &&
     !this.startedAt
   ) {
+    this.recordEvent("expired", {
+      fromStatus: this.status,
+      toStatus: "pending",
+      reason: "Not started before the acceptance timeout",
+      details: {
+        volunteer: this.assignedTo,
+        crew: this.crew.map((member) => member.volunteer),
+        acceptedAt: this.acceptedAt,
+        expiresAt: this.expiresAt,
+      },
+    });
     this.status = "pending";
     this.assignedTo = null;
+    this.crew = [];
     this.acceptedAt = null;
     this.expiresAt = null;
     await this.save();
@@ -150,29 +575,65 @@ alertSchema.methods.autoExpire = async function () {
   return false;
 };
 
-// Static method to find nearby pending alerts
-alertSchema.statics.findNearbyPending = function (coordinates, radiusKm) {
-  return this.find({
-    status: "pending",
-    isActive: true,
-    location: {
-      $near: {
-        $geometry: {
-          type: "Point",
-          coordinates: coordinates,
+// Static method to find pending alerts (and team alerts with open crew spots) a volunteer
+// should see: those within the volunteer's own radius, plus escalated alerts whose reach
+// covers the volunteer.
+// Mirrors VolunteerProfile matching in alertService.findNearbyVolunteers.
+alertSchema.statics.findNearbyPending = async function (coordinates, radiusKm, source) {
+  const alerts = await this.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates },
+        distanceField: "distanceMeters",
+        spherical: true,
+        query: {
+          // Team alerts stay open to join after the lead accepts
+          $or: [{ status: "pending" }, { status: "assigned", volunteersNeeded: { $gt: 1 } }],
+          isActive: true,
+          ...(source ? { source } : {}),
         },
-        $maxDistance: radiusKm * 1000, // Convert km to meters
       },
     },
-  })
-    .populate("tree", "name species location")
-    .sort({ priority: -1, createdAt: 1 });
+    {
+      $match: {
+        $expr: {
+          $and: [
+            {
+              $lte: [
+                "$distanceMeters",
+                {
+                  $multiply: [{ $max: [radiusKm, { $ifNull: ["$reachRadiusKm", 0] }] }, 1000],
+                },
+              ],
+            },
+            {
+              $lt: [
+                { $size: { $ifNull: ["$crew", []] } },
+                { $ifNull: ["$volunteersNeeded", 1] },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    // Emergencies always come before routine care
+    { $addFields: { routineRank: { $cond: [{ $eq: ["$category", "routine"] }, 1, 0] } } },
+    { $sort: { routineRank: 1, priority: -1, createdAt: 1 } },
+    { $project: { history: 0, routineRank: 0 } },
+  ]);
+
+  alerts.forEach((alert) => {
+    alert.distanceKm = parseFloat((alert.distanceMeters / 1000).toFixed(2));
+    alert.openSpots = (alert.volunteersNeeded || 1) - (alert.crew || []).length;
+  });
+
+  return this.populate(alerts, { path: "tree", select: "name species location" });
 };
 
 // Static method to get volunteer's active alert
 alertSchema.statics.getVolunteerActiveAlert = function (volunteerId) {
   return this.findOne({
-    assignedTo: volunteerId,
+    ...this.memberQuery(volunteerId),
     status: { $in: ["assigned", "in_progress"] },
     isActive: true,
   })
@@ -186,15 +647,20 @@ alertSchema.statics.getVolunteerActiveAlert = function (volunteerId) {
     });
 };
 
-// Pre-save middleware to set expiry time when assigned
+// Pre-save middleware to set expiry time once assigned and fully staffed
 alertSchema.pre("save", async function () {
   if (
-    this.isModified("status") &&
+    (this.isModified("status") || this.isModified("crew")) &&
     this.status === "assigned" &&
-    !this.expiresAt
+    !this.expiresAt &&
+    this.isCrewFull()
   ) {
-    const timeoutMinutes = process.env.ALERT_ACCEPT_TIMEOUT || 30;
-    this.expiresAt = new Date(Date.now() + timeoutMinutes * 60 * 1000);
+    this.expiresAt = this.constructor.startDeadline();
+  }
+
+  // Restart the unclaimed clock whenever the alert goes back to pending
+  if (!this.isNew && this.isModified("status") && this.status === "pending") {
+    this.pendingSince = new Date();
   }
 });
 
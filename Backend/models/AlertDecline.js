@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const DECLINE_REASONS = [
+  "too_far",
+  "no_tools",
+  "unsafe",
+  "busy",
+  "lacks_skills",
+  "other",
+];
+
+const alertDeclineSchema = new mongoose.Schema(
+  {
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Alert",
+      required: [true, "Alert reference is required"],
+    },
+    volunteer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VolunteerProfile",
+      required: [true, "Volunteer reference is required"],
+    },
+    reason: {
+      type: String,
+      enum: {
+        values: DECLINE_REASONS,
+        message: `Reason must be one of: ${DECLINE_REASONS.join(", ")}`,
+      },
+      required: [true, "Decline reason is required"],
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+    // Snapshot of the alert at decline time, so analytics don't need a join
+    alertType: String,
+    alertPriority: String,
+    alertSource: String,
+    area: {
+      type: String,
+      default: "Unknown",
+      comment: "City (or district) of the alert location",
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: [Number],
+    },
+    distanceKm: {
+      type: Number,
+      comment: "Volunteer's distance from the alert when declining",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One decline per volunteer per alert (declining again updates the reason)
+alertDeclineSchema.index({ alert: 1, volunteer: 1 }, { unique: true });
+alertDeclineSchema.index({ createdAt: -1, reason: 1 });
+
+// Static method to list volunteers who declined an alert
+alertDeclineSchema.statics.volunteersWhoDeclined = async function (alertId) {
+  const ids = await this.distinct("volunteer", { alert: alertId });
+  return new Set(ids.map((id) => id.toString()));
+};
+
+module.exports = mongoose.model("AlertDecline", alertDeclineSchema);
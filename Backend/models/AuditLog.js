@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const AUDIT_ACTIONS = ["role.bootstrap", "role.promote", "role.demote"];
+
+// Append-only record of privileged account changes (who did what to whom)
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: {
+        values: AUDIT_ACTIONS,
+        message: `Action must be one of: ${AUDIT_ACTIONS.join(", ")}`,
+      },
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      comment: "Admin who made the change; empty for command line scripts",
+    },
+    via: {
+      type: String,
+      enum: ["api", "cli"],
+      default: "api",
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Snapshot, so the entry still reads correctly after the user changes
+    targetEmail: String,
+    fromRole: String,
+    toRole: String,
+    region: {
+      type: String,
+      comment: "Region assigned with a region-scoped role (coordinator)",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    ip: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
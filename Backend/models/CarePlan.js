@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alert actions each kind of care task asks for
+const TASK_ACTIONS = {
+  watering: ["water_tree"],
+  mulching: ["mulch_base"],
+  pruning: ["prune_tree"],
+};
+
+const carePlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Plan name cannot exceed 100 characters"],
+    },
+    task: {
+      type: String,
+      enum: {
+        values: Object.keys(TASK_ACTIONS),
+        message: `Task must be one of: ${Object.keys(TASK_ACTIONS).join(", ")}`,
+      },
+      required: [true, "Care task is required"],
+    },
+    // A plan targets either one tree or every tree of a species
+    tree: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tree",
+      default: null,
+    },
+    species: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    intervalDays: {
+      type: Number,
+      required: [true, "Interval in days is required"],
+      min: [1, "Interval must be at least 1 day"],
+      max: [365, "Interval cannot exceed 365 days"],
+    },
+    startAfterDays: {
+      type: Number,
+      default: 0,
+      min: [0, "startAfterDays cannot be negative"],
+      comment: "Days after the tree's plantedDate before the plan applies",
+    },
+    endAfterDays: {
+      type: Number,
+      default: null,
+      min: [1, "endAfterDays must be at least 1"],
+      comment: "Days after plantedDate when the plan stops (null = no end), e.g. 365 for the first year",
+    },
+    volunteersNeeded: {
+      type: Number,
+      default: 1,
+      min: [1, "A task needs at least one volunteer"],
+      max: [20, "A task can need at most 20 volunteers"],
+    },
+    instructions: {
+      type: String,
+      maxlength: [500, "Instructions cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+      comment: "When the scheduler last checked this plan",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+carePlanSchema.index({ isActive: 1, tree: 1 });
+carePlanSchema.index({ isActive: 1, species: 1 });
+
+carePlanSchema.pre("validate", function () {
+  if (!this.tree === !this.species) {
+    this.invalidate("tree", "A care plan needs either a tree or a species (not both)");
+  }
+  if (this.endAfterDays !== null && this.endAfterDays <= this.startAfterDays) {
+    this.invalidate("endAfterDays", "endAfterDays must be after startAfterDays");
+  }
+});
+
+// Method to list the alert actions for this plan's task
+carePlanSchema.methods.actions = function () {
+  return TASK_ACTIONS[this.task] || [];
+};
+
+// Method to check whether the plan covers a tree at a given time (by tree age)
+carePlanSchema.methods.appliesTo = function (tree, now = new Date()) {
+  if (!tree.plantedDate || tree.status === "DEAD") return false;
+
+  const ageDays = (now.getTime() - tree.plantedDate.getTime()) / DAY_MS;
+  if (ageDays < this.startAfterDays) return false;
+  return this.endAfterDays === null || ageDays <= this.endAfterDays;
+};
+
+/**
+ * When the next task for a tree falls due: one interval after the last
+ * generated task, or when the plan starts applying (never before the plan existed).
+ * @param {Object} tree - Tree document
+ * @param {Date|null} lastDueDate - dueDate of the latest task generated for this tree
+ * @returns {Date}
+ */
+carePlanSchema.methods.nextDueDate = function (tree, lastDueDate = null) {
+  if (lastDueDate) {
+    return new Date(lastDueDate.getTime() + this.intervalDays * DAY_MS);
+  }
+
+  const start = tree.plantedDate.getTime() + this.startAfterDays * DAY_MS;
+  return new Date(Math.max(start, (this.createdAt || new Date()).getTime()));
+};
+
+carePlanSchema.statics.TASK_ACTIONS = TASK_ACTIONS;
+
+module.exports = mongoose.model("CarePlan", carePlanSchema);
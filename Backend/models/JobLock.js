@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Distributed lock so scheduled jobs don't overlap across server instances.
+// _id is the job name; a lock whose expiresAt has passed is free to take.
+const jobLockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    owner: {
+      type: String,
+      required: true,
+    },
+    acquiredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Try to take (or renew) a lock.
+ * @param {string} name - Job name
+ * @param {string} owner - Unique id of the caller (instance + run)
+ * @param {number} ttlMs - Lock lifetime; renew before it runs out
+ * @returns {Promise<boolean>} true when the caller holds the lock
+ */
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ owner }, { expiresAt: { $lte: now } }],
+      },
+      {
+        $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+        $setOnInsert: { acquiredAt: now },
+      },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // Duplicate key on upsert means another owner holds a live lock
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Release a lock held by owner (no-op if someone else holds it)
+ */
+jobLockSchema.statics.release = function (name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
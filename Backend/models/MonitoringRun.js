@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+const monitoringRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      default: "weather-monitoring",
+    },
+    trigger: {
+      type: String,
+      enum: ["cron", "manual"],
+      default: "cron",
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed", "interrupted"],
+      default: "running",
+    },
+    instanceId: {
+      type: String,
+      comment: "Host and process that executed the run",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+    durationMs: Number,
+    treesTotal: {
+      type: Number,
+      default: 0,
+    },
+    treesChecked: {
+      type: Number,
+      default: 0,
+    },
+    alertsCreated: {
+      type: Number,
+      default: 0,
+    },
+    errorCount: {
+      type: Number,
+      default: 0,
+    },
+    failures: [
+      {
+        tree: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Tree",
+        },
+        treeName: String,
+        message: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    cursor: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      comment: "Last tree _id of the most recent fully processed batch",
+    },
+    resumedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MonitoringRun",
+      default: null,
+    },
+    failureReason: String,
+    cacheStats: {
+      hits: Number,
+      misses: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+monitoringRunSchema.index({ job: 1, startedAt: -1 });
+monitoringRunSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.model("MonitoringRun", monitoringRunSchema);
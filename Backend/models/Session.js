@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Refresh tokens are only stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const REVOKE_REASONS = ["logout", "revoked", "revoked_all", "password_changed", "token_reuse"];
+
+// One logged-in device. Access tokens carry the session id (sid) so a revoked
+// session stops working immediately; its refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      select: false,
+      comment: "Last rotated-out refresh token; seeing it again after the grace window means it was stolen",
+    },
+    rotatedAt: {
+      type: Date,
+      comment: "When previousTokenHash was rotated out",
+    },
+    device: String,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      comment: "Refresh token expiry, pushed back on every rotation",
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: REVOKE_REASONS,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Drop sessions a week after they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Method to check the session can still be used
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Method to replace the refresh token (returns the new raw token; only its hash is saved)
+sessionSchema.methods.issueRefreshToken = function (lifetimeMs) {
+  const token = crypto.randomBytes(48).toString("hex");
+  if (this.refreshTokenHash) {
+    this.previousTokenHash = this.refreshTokenHash;
+    this.rotatedAt = new Date();
+  }
+  this.refreshTokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + lifetimeMs);
+  this.lastUsedAt = new Date();
+  return token;
+};
+
+// Static method to find the session a raw refresh token belongs to.
+// `reused` is true when the token was already rotated out (see rotatedAt).
+sessionSchema.statics.findByRefreshToken = async function (token) {
+  if (!token) return { session: null, reused: false };
+
+  const hash = hashToken(token.toString());
+  const session = await this.findOne({ refreshTokenHash: hash }).select("+refreshTokenHash");
+  if (session) return { session, reused: false };
+
+  const stale = await this.findOne({ previousTokenHash: hash });
+  return { session: stale, reused: !!stale };
+};
+
+// Static method to swap the presented refresh token for a new one in a single
+// conditional update, so of two concurrent refreshes only one can rotate.
+// Returns null when the token is no longer current (or the session was revoked).
+sessionSchema.statics.swapRefreshToken = async function (sessionId, presentedToken, lifetimeMs, fields = {}) {
+  const token = crypto.randomBytes(48).toString("hex");
+  const presentedHash = hashToken(presentedToken.toString());
+  const now = new Date();
+
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        ...fields,
+        refreshTokenHash: hashToken(token),
+        previousTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + lifetimeMs),
+      },
+    },
+    { new: true }
+  );
+
+  return session ? { session, refreshToken: token } : null;
+};
+
+// Static method for a user's sessions that are still usable
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model("Session", sessionSchema);
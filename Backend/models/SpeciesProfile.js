@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const speciesProfileSchema = new mongoose.Schema(
+  {
+    species: {
+      type: String,
+      required: [true, "Please provide tree species"],
+      trim: true,
+      lowercase: true,
+      minlength: [2, "Species name must be at least 2 characters"],
+    },
+    growthStage: {
+      type: String,
+      enum: ["PLANTED", "GROWING", "MATURE", "ANY"],
+      default: "ANY",
+      comment: "Matches Tree.status; ANY applies to every stage without its own profile",
+    },
+    thresholds: {
+      temperature: {
+        type: Number,
+        required: [true, "Temperature threshold is required"],
+        min: [-50, "Temperature threshold must be at least -50°C"],
+        max: [70, "Temperature threshold cannot exceed 70°C"],
+        comment: "Maximum tolerated temperature in °C",
+      },
+      rainfall: {
+        type: Number,
+        required: [true, "Rainfall threshold is required"],
+        min: [0, "Rainfall threshold cannot be negative"],
+        comment: "Maximum tolerated rainfall in mm/h",
+      },
+      windSpeed: {
+        type: Number,
+        required: [true, "Wind speed threshold is required"],
+        min: [0, "Wind speed threshold cannot be negative"],
+        comment: "Maximum tolerated wind speed in km/h",
+      },
+    },
+    notes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+speciesProfileSchema.index({ species: 1, growthStage: 1 }, { unique: true });
+
+module.exports = mongoose.model("SpeciesProfile", speciesProfileSchema);
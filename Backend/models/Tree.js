@@ -1,5 +1,48 @@
 const mongoose = require("mongoose");
 
+const TREE_STATUSES = ["PLANTED", "GROWING", "MATURE", "DEAD"];
+// Living stages only move forward; any living stage can die
+const GROWTH_ORDER = ["PLANTED", "GROWING", "MATURE"];
+const DEATH_CAUSES = ["drought", "storm", "vandalism", "disease"];
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: [...TREE_STATUSES, null],
+      default: null,
+    },
+    to: {
+      type: String,
+      enum: TREE_STATUSES,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: {
+      type: String,
+      maxlength: 300,
+    },
+    cause: {
+      type: String,
+      enum: [...DEATH_CAUSES, null],
+      default: null,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    correction: {
+      type: Boolean,
+      default: false,
+      comment: "Admin override of the normal lifecycle rules",
+    },
+  },
+  { _id: false }
+);
+
 const treeSchema = new mongoose.Schema(
   {
     name: {
@@ -25,9 +68,30 @@ const treeSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["PLANTED", "GROWING", "MATURE", "DEAD"],
+      enum: TREE_STATUSES,
       default: "PLANTED",
     },
+    statusChangedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deathCause: {
+      type: String,
+      enum: {
+        values: [...DEATH_CAUSES, null],
+        message: `Cause of death must be one of: ${DEATH_CAUSES.join(", ")}`,
+      },
+      default: null,
+    },
+    diedAt: {
+      type: Date,
+      default: null,
+    },
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: [],
+      comment: "Lifecycle transitions; only add entries via transitionTo",
+    },
     imageUrl: String,
     notes: {
       type: String,
@@ -69,6 +133,24 @@ const treeSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    health: {
+      score: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null,
+      },
+      rating: {
+        type: String,
+        enum: ["healthy", "fair", "poor", "critical", null],
+        default: null,
+      },
+      lastInspectedAt: Date,
+      lastInspection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TreeInspection",
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -80,5 +162,87 @@ const treeSchema = new mongoose.Schema(
 treeSchema.index({ location: "2dsphere" });
 treeSchema.index({ owner: 1 });
 treeSchema.index({ species: 1 });
+treeSchema.index({ status: 1, plantedDate: 1 });
+
+/**
+ * Why a lifecycle transition isn't allowed, or null when it is.
+ * Living stages only move forward (PLANTED -> GROWING -> MATURE), any of them
+ * can become DEAD with a cause, and DEAD is final. Admin corrections skip the
+ * ordering rules but still need a cause for DEAD.
+ */
+treeSchema.statics.transitionError = function (from, to, { cause, correction = false } = {}) {
+  if (!TREE_STATUSES.includes(to)) {
+    return `Status must be one of: ${TREE_STATUSES.join(", ")}`;
+  }
+  if (from === to) {
+    return `Tree is already ${to}`;
+  }
+  if (to === "DEAD" && !DEATH_CAUSES.includes(cause)) {
+    return `A cause is required when marking a tree DEAD (${DEATH_CAUSES.join(", ")})`;
+  }
+  if (correction) return null;
+
+  if (from === "DEAD") {
+    return "A DEAD tree cannot change status";
+  }
+  if (to !== "DEAD" && GROWTH_ORDER.indexOf(to) < GROWTH_ORDER.indexOf(from)) {
+    return `A tree cannot go back from ${from} to ${to}`;
+  }
+  return null;
+};
+
+// Method to apply a lifecycle transition (check transitionError first; saved with the next save())
+treeSchema.methods.transitionTo = function (
+  to,
+  { reason, cause, changedBy, correction = false, at = new Date() } = {}
+) {
+  const from = this.status;
+
+  this.status = to;
+  this.statusChangedAt = at;
+  if (to === "DEAD") {
+    this.deathCause = cause;
+    this.diedAt = at;
+  } else {
+    this.deathCause = null;
+    this.diedAt = null;
+  }
+
+  this.statusHistory.push({
+    from,
+    to,
+    at,
+    reason,
+    cause: to === "DEAD" ? cause : null,
+    changedBy,
+    correction,
+  });
+  return this;
+};
+
+// DEAD needs a cause; new trees start their history with the status they were registered in
+treeSchema.pre("validate", function () {
+  // Checked only on change so older DEAD trees without a cause can still be edited
+  if ((this.isNew || this.isModified("status")) && this.status === "DEAD" && !this.deathCause) {
+    this.invalidate("deathCause", `A cause is required for a DEAD tree (${DEATH_CAUSES.join(", ")})`);
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    const at = this.status === "PLANTED" && this.plantedDate ? this.plantedDate : new Date();
+    this.statusChangedAt = at;
+    if (this.status === "DEAD" && !this.diedAt) this.diedAt = at;
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      at,
+      reason: "Registered",
+      cause: this.status === "DEAD" ? this.deathCause : null,
+      changedBy: this.owner,
+    });
+  }
+});
+
+treeSchema.statics.STATUSES = TREE_STATUSES;
+treeSchema.statics.DEATH_CAUSES = DEATH_CAUSES;
 
 module.exports = mongoose.model("Tree", treeSchema);
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+const MAX_RECORDED_FAILURES = 500;
+
+// One bulk tree import and the background geocoding of its trees
+const treeImportSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "geojson"],
+      required: true,
+    },
+    fileName: String,
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    imported: {
+      type: Number,
+      default: 0,
+    },
+    rejected: {
+      type: Number,
+      default: 0,
+    },
+    // Per-row validation report (capped; `rejected` has the full count)
+    failures: [
+      {
+        _id: false,
+        row: Number,
+        issues: [
+          {
+            _id: false,
+            field: String,
+            message: String,
+          },
+        ],
+      },
+    ],
+    trees: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tree",
+      },
+    ],
+    geocoding: {
+      status: {
+        type: String,
+        enum: ["pending", "running", "completed", "failed"],
+        default: "pending",
+      },
+      cursor: {
+        type: Number,
+        default: 0,
+        comment: "Index into trees of the next tree to geocode (resumes here after a restart)",
+      },
+      resolved: {
+        type: Number,
+        default: 0,
+      },
+      unresolved: {
+        type: Number,
+        default: 0,
+        comment: "Trees left with the fallback Lat/Lon address",
+      },
+      startedAt: Date,
+      finishedAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+treeImportSchema.index({ owner: 1, createdAt: -1 });
+treeImportSchema.index({ "geocoding.status": 1 });
+
+treeImportSchema.statics.MAX_RECORDED_FAILURES = MAX_RECORDED_FAILURES;
+
+module.exports = mongoose.model("TreeImport", treeImportSchema);
@@ -0,0 +1,200 @@
+const mongoose = require("mongoose");
+
+// Points taken off a perfect score of 100
+const CANOPY_PENALTY = {
+  excellent: 0,
+  good: 10,
+  fair: 25,
+  poor: 45,
+  dead: 100,
+};
+const SEVERITY_PENALTY = {
+  pest: { low: 5, moderate: 12, severe: 25 },
+  damage: { low: 5, moderate: 15, severe: 30 },
+};
+const MAX_PEST_PENALTY = 40;
+const MAX_DAMAGE_PENALTY = 50;
+
+const SEVERITIES = ["low", "moderate", "severe"];
+
+const treeInspectionSchema = new mongoose.Schema(
+  {
+    tree: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tree",
+      required: [true, "Tree reference is required"],
+    },
+    inspector: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inspector is required"],
+    },
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Alert",
+      default: null,
+      comment: "Alert whose completion produced this inspection",
+    },
+    inspectedAt: {
+      type: Date,
+      default: Date.now,
+      validate: {
+        validator: (value) => value <= Date.now() + 60 * 1000,
+        message: "Inspection date cannot be in the future",
+      },
+    },
+    heightM: {
+      type: Number,
+      min: [0, "Height cannot be negative"],
+      max: [150, "Height cannot exceed 150 m"],
+    },
+    trunkDiameterCm: {
+      type: Number,
+      min: [0, "Trunk diameter cannot be negative"],
+      max: [1500, "Trunk diameter cannot exceed 1500 cm"],
+      comment: "Diameter at breast height (1.3 m)",
+    },
+    canopy: {
+      condition: {
+        type: String,
+        enum: Object.keys(CANOPY_PENALTY),
+        required: [true, "Canopy condition is required"],
+      },
+      densityPercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
+    },
+    pests: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 100,
+        },
+        severity: {
+          type: String,
+          enum: SEVERITIES,
+          default: "low",
+        },
+      },
+    ],
+    damage: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: [
+            "broken_branch",
+            "trunk_wound",
+            "bark_damage",
+            "root_damage",
+            "leaning",
+            "storm",
+            "vandalism",
+            "fire",
+            "other",
+          ],
+          required: true,
+        },
+        severity: {
+          type: String,
+          enum: SEVERITIES,
+          default: "low",
+        },
+        notes: {
+          type: String,
+          maxlength: 300,
+        },
+      },
+    ],
+    photos: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        thumbnailUrl: String,
+        key: String,
+        thumbnailKey: String,
+        storage: String,
+        capturedAt: Date,
+        uploadedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    notes: {
+      type: String,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+    },
+    healthScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+      comment: "Computed from canopy, pests and damage on save",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+treeInspectionSchema.index({ tree: 1, inspectedAt: -1 });
+treeInspectionSchema.index({ alert: 1 });
+
+/**
+ * Health score 0-100: canopy condition, then pests and damage by severity
+ * (each group capped so one category can't zero a living tree on its own).
+ */
+treeInspectionSchema.statics.calculateHealthScore = function ({ canopy, pests = [], damage = [] }) {
+  const penalty = (items, table, cap) =>
+    Math.min(
+      cap,
+      items.reduce((sum, item) => sum + (table[item.severity] || 0), 0)
+    );
+
+  const score =
+    100 -
+    (CANOPY_PENALTY[canopy?.condition] || 0) -
+    penalty(pests, SEVERITY_PENALTY.pest, MAX_PEST_PENALTY) -
+    penalty(damage, SEVERITY_PENALTY.damage, MAX_DAMAGE_PENALTY);
+
+  return Math.max(0, Math.min(100, Math.round(score)));
+};
+
+// Static method to turn a score into a label
+treeInspectionSchema.statics.ratingFor = function (score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 80) return "healthy";
+  if (score >= 60) return "fair";
+  if (score >= 30) return "poor";
+  return "critical";
+};
+
+// Static method to copy the latest inspection's score onto the tree
+treeInspectionSchema.statics.refreshTreeHealth = async function (treeId) {
+  const latest = await this.findOne({ tree: treeId }).sort({ inspectedAt: -1, createdAt: -1 });
+
+  const health = latest
+    ? {
+        score: latest.healthScore,
+        rating: this.ratingFor(latest.healthScore),
+        lastInspectedAt: latest.inspectedAt,
+        lastInspection: latest._id,
+      }
+    : { score: null, rating: null, lastInspectedAt: null, lastInspection: null };
+
+  await mongoose.model("Tree").updateOne({ _id: treeId }, { $set: { health } });
+  return health;
+};
+
+treeInspectionSchema.pre("validate", function () {
+  this.healthScore = this.constructor.calculateHealthScore(this);
+});
+
+module.exports = mongoose.model("TreeInspection", treeInspectionSchema);
@@ -1,5 +1,15 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { ROLES, hasPermission } = require("../config/permissions");
+
+// Emailed tokens are only stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
 
 const userSchema = new mongoose.Schema(
   {
@@ -29,27 +39,111 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin", "volunteer"],
+      enum: ROLES,
       default: "user",
     },
+    region: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      comment: "City or district a coordinator is responsible for",
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
     lastLogin: Date,
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+      comment: "Tokens issued before this are rejected by protect",
+    },
   },
   { timestamps: true }
 );
 
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
 userSchema.pre("save", async function () {
   if (!this.isModified("password")) return;
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Back-dated a second so a token issued right after the change stays valid
+  if (!this.isNew) this.passwordChangedAt = new Date(Date.now() - 1000);
 });
 
 userSchema.methods.comparePassword = function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to issue an email verification token (EMAIL_VERIFICATION_EXPIRES_HOURS, default 24)
+// Returns the raw token for the email; only its hash is saved
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + numberFromEnv("EMAIL_VERIFICATION_EXPIRES_HOURS", 24) * 60 * 60 * 1000
+  );
+  return token;
+};
+
+// Method to issue a password reset token (PASSWORD_RESET_EXPIRES_MINUTES, default 30)
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(
+    Date.now() + numberFromEnv("PASSWORD_RESET_EXPIRES_MINUTES", 30) * 60 * 1000
+  );
+  return token;
+};
+
+// Method to check whether the password changed after a JWT was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt || !issuedAt) return false;
+  return this.passwordChangedAt.getTime() > issuedAt * 1000;
+};
+
+// Method to check a permission from config/permissions.js (e.g. "alerts:review")
+userSchema.methods.can = function (permission) {
+  return hasPermission(this.role, permission);
+};
+
+// Static method to find the user holding an unexpired token of the given kind
+userSchema.statics.findByToken = function (kind, token) {
+  const fields = {
+    verification: ["emailVerificationToken", "emailVerificationExpires"],
+    reset: ["passwordResetToken", "passwordResetExpires"],
+  }[kind];
+  if (!fields || !token) return Promise.resolve(null);
+
+  const [tokenField, expiresField] = fields;
+  return this.findOne({
+    [tokenField]: hashToken(token.toString()),
+    [expiresField]: { $gt: new Date() },
+  });
+};
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+const APPLICATION_STATUSES = ["pending", "approved", "rejected", "withdrawn"];
+
+// A user's request to become a volunteer. Carries the details the
+// VolunteerProfile is created from when an admin approves it.
+const volunteerApplicationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      default: "pending",
+    },
+    motivation: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Motivation cannot exceed 1000 characters"],
+    },
+    phone: {
+      type: String,
+      required: [true, "Phone number is required"],
+      trim: true,
+      match: [/^\+?[\d\s-()]+$/, "Please provide a valid phone number"],
+    },
+    skills: {
+      type: [String],
+      default: [],
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number],
+        required: [true, "Location coordinates are required"],
+      },
+      address: {
+        formatted: String,
+        city: String,
+        district: String,
+        country: String,
+      },
+    },
+    preferredRadius: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 50,
+    },
+    emergencyContact: {
+      name: String,
+      phone: String,
+      relationship: String,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    volunteerProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VolunteerProfile",
+      comment: "Profile created on approval",
+    },
+  },
+  { timestamps: true }
+);
+
+// At most one open application per user
+volunteerApplicationSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+volunteerApplicationSchema.index({ status: 1, createdAt: 1 });
+
+// Method to build the VolunteerProfile fields from the application
+volunteerApplicationSchema.methods.toProfileFields = function () {
+  const { user, phone, skills, location, preferredRadius, emergencyContact } = this.toObject();
+  return {
+    user,
+    phone,
+    skills,
+    location: {
+      type: "Point",
+      coordinates: location.coordinates,
+      address: location.address || {},
+    },
+    preferredRadius,
+    emergencyContact: emergencyContact || {},
+    status: "available",
+    isAvailable: true,
+  };
+};
+
+volunteerApplicationSchema.statics.STATUSES = APPLICATION_STATUSES;
+
+module.exports = mongoose.model("VolunteerApplication", volunteerApplicationSchema);
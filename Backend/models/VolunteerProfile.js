@@ -1,4 +1,10 @@
 const mongoose = require("mongoose");
+const {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimeZone,
+  checkAvailability,
+} = require("../utils/availability");
 
 const volunteerProfileSchema = new mongoose.Schema(
   {
@@ -82,6 +88,68 @@ const volunteerProfileSchema = new mongoose.Schema(
       default: true,
       comment: "Whether the volunteer is currently accepting alerts",
     },
+    availability: {
+      timezone: {
+        type: String,
+        default: "UTC",
+        validate: {
+          validator: isValidTimeZone,
+          message: "Please provide a valid IANA time zone (e.g. Asia/Kolkata)",
+        },
+      },
+      weekly: {
+        type: [
+          {
+            _id: false,
+            day: {
+              type: Number,
+              min: 0,
+              max: 6,
+              required: true,
+              comment: "0 = Sunday ... 6 = Saturday",
+            },
+            start: {
+              type: String,
+              required: true,
+              match: [TIME_PATTERN, "Window start must be HH:mm"],
+            },
+            end: {
+              type: String,
+              required: true,
+              match: [TIME_PATTERN, "Window end must be HH:mm"],
+            },
+          },
+        ],
+        default: [],
+        comment: "Local-time windows when alerts may be sent; empty means any time",
+      },
+      leave: {
+        type: [
+          {
+            startDate: {
+              type: String,
+              required: true,
+              match: [DATE_PATTERN, "Leave start must be YYYY-MM-DD"],
+            },
+            endDate: {
+              type: String,
+              required: true,
+              match: [DATE_PATTERN, "Leave end must be YYYY-MM-DD"],
+            },
+            reason: {
+              type: String,
+              maxlength: 200,
+            },
+          },
+        ],
+        default: [],
+      },
+      allowCriticalOverride: {
+        type: Boolean,
+        default: false,
+        comment: "Receive critical alerts even outside weekly windows (not during leave)",
+      },
+    },
     stats: {
       totalAlerts: {
         type: Number,
@@ -109,6 +177,15 @@ const volunteerProfileSchema = new mongoose.Schema(
         default: 0,
         comment: "Average time to complete alerts in minutes",
       },
+      // Scheduled care tasks are counted separately from emergency alerts
+      routineTasksCompleted: {
+        type: Number,
+        default: 0,
+      },
+      routineHours: {
+        type: Number,
+        default: 0,
+      },
     },
     // PWA Push Notifications disabled - user preference
     // pushSubscription: {
@@ -140,15 +217,33 @@ volunteerProfileSchema.virtual("userDetails", {
   justOne: true,
 });
 
+// Method to check the availability schedule (weekly windows, leave, critical override)
+volunteerProfileSchema.methods.checkSchedule = function (options = {}) {
+  return checkAvailability(this.availability, options);
+};
+
 // Method to check if volunteer can accept new alerts
-volunteerProfileSchema.methods.canAcceptAlerts = function () {
-  return this.isActive && this.isAvailable && this.status === "available";
+// Pass the alert priority so critical alerts can override quiet hours when opted in
+volunteerProfileSchema.methods.canAcceptAlerts = function (options = {}) {
+  return (
+    this.isActive &&
+    this.isAvailable &&
+    this.status === "available" &&
+    this.checkSchedule(options).available
+  );
 };
 
 // Method to update statistics after alert completion
 volunteerProfileSchema.methods.updateStatsAfterCompletion = function (
-  completionTimeMinutes
+  completionTimeMinutes,
+  { routine = false } = {}
 ) {
+  if (routine) {
+    this.stats.routineTasksCompleted += 1;
+    this.stats.routineHours += completionTimeMinutes / 60;
+    return;
+  }
+
   this.stats.completedAlerts += 1;
   
   // Calculate new average completion time
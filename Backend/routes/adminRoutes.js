@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/adminController");
+const { protect, requirePermission } = require("../middleware/auth");
+
+// All routes manage user accounts
+router.use(protect, requirePermission("users:manage"));
+
+router.get("/users", adminController.getUsers);
+router.post("/users/:id/promote", adminController.promoteUser);
+router.post("/users/:id/demote", adminController.demoteUser);
+router.get("/audit-log", adminController.getAuditLog);
+
+module.exports = router;
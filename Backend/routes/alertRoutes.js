@@ -1,38 +1,69 @@
 const express = require("express");
 const router = express.Router();
 const alertController = require("../controllers/alertController");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission, requireVerifiedEmail } = require("../middleware/auth");
+const { uploadPhotos } = require("../middleware/upload");
 
 // All routes require authentication
 router.use(protect);
 
 // Volunteer-specific routes
-router.get("/nearby", authorize("volunteer", "admin"), alertController.getNearbyAlerts);
-router.get("/my-alerts", authorize("volunteer", "admin"), alertController.getMyAlerts);
-router.get("/my-active", authorize("volunteer", "admin"), alertController.getMyActiveAlert);
-
-// Alert actions (Volunteer only)
-router.post("/:id/accept", authorize("volunteer", "admin"), alertController.acceptAlert);
-router.post("/:id/decline", authorize("volunteer", "admin"), alertController.declineAlert);
-router.post("/:id/start", authorize("volunteer", "admin"), alertController.startWork);
-router.post("/:id/complete", authorize("volunteer", "admin"), alertController.completeAlert);
-router.post("/:id/cancel", authorize("volunteer", "admin"), alertController.cancelMyAlert);
-
-// Admin monitoring routes
-router.get("/statistics", authorize("admin"), alertController.getAlertStatistics);
-router.get("/leaderboard", authorize("admin"), alertController.getVolunteerLeaderboard);
-router.get("/map", authorize("admin"), alertController.getAlertsByRegion);
-router.post("/seed", authorize("admin"), alertController.seedTestData);
-
-// Debug routes (Admin only)
-router.post("/debug/check-weather", authorize("admin"), alertController.debugCheckWeather);
-router.get("/debug/status", authorize("admin"), alertController.debugStatus);
-
-// View routes (all authenticated users)
-router.get("/tree/:treeId", alertController.getTreeAlerts);
-router.get("/:id", alertController.getAlertById);
-
-// Admin list view (must be after specific routes)
-router.get("/", authorize("admin"), alertController.getAllAlerts);
+router.get("/nearby", requirePermission("alerts:respond"), alertController.getNearbyAlerts);
+router.get("/my-alerts", requirePermission("alerts:respond"), alertController.getMyAlerts);
+router.get("/my-active", requirePermission("alerts:respond"), alertController.getMyActiveAlert);
+
+// Alert actions (volunteers; verified email required when REQUIRE_EMAIL_VERIFICATION=true)
+const volunteerAction = [requirePermission("alerts:respond"), requireVerifiedEmail];
+router.post("/:id/accept", volunteerAction, alertController.acceptAlert);
+router.post("/:id/decline", volunteerAction, alertController.declineAlert);
+router.post("/:id/start", volunteerAction, alertController.startWork);
+router.post("/:id/complete", volunteerAction, alertController.completeAlert);
+router.post("/:id/cancel", volunteerAction, alertController.cancelMyAlert);
+
+// Team alerts: crew check-in (members) and crew size (alert managers)
+router.post("/:id/crew/check-in", volunteerAction, alertController.crewCheckIn);
+router.patch("/:id/crew-size", requirePermission("alerts:manage"), alertController.setCrewSize);
+
+// Photo evidence (multipart, field "photos")
+router.post(
+  "/:id/photos",
+  volunteerAction,
+  uploadPhotos("photos"),
+  alertController.uploadAlertPhotos
+);
+router.delete("/:id/photos/:photoId", requirePermission("alerts:respond"), alertController.deleteAlertPhoto);
+
+// Review of submitted work (alerts:review or the tree owner, checked in the controller)
+router.get("/reviews", alertController.getReviewQueue);
+router.post("/:id/review", alertController.reviewAlert);
+
+// Monitoring and analytics routes
+const analytics = requirePermission("alerts:analytics");
+const manage = requirePermission("alerts:manage");
+router.get("/statistics", analytics, alertController.getAlertStatistics);
+router.get("/leaderboard", analytics, alertController.getVolunteerLeaderboard);
+router.get("/map", analytics, alertController.getAlertsByRegion);
+router.get("/declines/analytics", analytics, alertController.getDeclineAnalytics);
+router.get("/checkins/flagged", manage, alertController.getFlaggedCheckIns);
+router.post("/:id/checkins/resolve", manage, alertController.resolveCheckInFlag);
+
+// Seed, debug and monitoring run history
+const debug = requirePermission("system:debug");
+router.post("/seed", debug, alertController.seedTestData);
+router.post("/debug/check-weather", debug, alertController.debugCheckWeather);
+router.get("/debug/status", debug, alertController.debugStatus);
+router.get("/monitoring/runs", debug, alertController.getMonitoringRuns);
+router.get("/monitoring/runs/:id", debug, alertController.getMonitoringRunById);
+
+// View routes (every role has alerts:view; single-alert handlers also check
+// the caller is a participant, the tree owner or an alert manager)
+const view = requirePermission("alerts:view");
+router.get("/tree/:treeId", view, alertController.getTreeAlerts);
+router.get("/:id/timeline", view, alertController.getAlertTimeline);
+router.get("/:id/crew", view, alertController.getCrew);
+router.get("/:id", view, alertController.getAlertById);
+
+// Full list view (must be after specific routes)
+router.get("/", manage, alertController.getAllAlerts);
 
 module.exports = router;
@@ -3,18 +3,24 @@ const router = express.Router();
 const {
   register,
   login,
+  refresh,
   logout,
   getMe,
   verifyEmail,
   forgotPassword,
   resetPassword,
-  updatePassword
+  resendVerification,
+  updatePassword,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
 } = require("../controllers/authController");
 const { protect } = require("../middleware/auth");
 
 // PUBLIC
 router.post("/register", register);
 router.post("/login", login);
+router.post("/refresh", refresh);
 router.get("/verify-email/:token", verifyEmail);
 router.post("/forgot-password", forgotPassword);
 router.put("/reset-password/:token", resetPassword);
@@ -23,5 +29,9 @@ router.put("/reset-password/:token", resetPassword);
 router.post("/logout", protect, logout);
 router.get("/me", protect, getMe);
 router.put("/update-password", protect, updatePassword);
+router.post("/resend-verification", protect, resendVerification);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, revokeAllSessions);
+router.delete("/sessions/:sessionId", protect, revokeSession);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const carePlanController = require("../controllers/carePlanController");
+const { protect, requirePermission } = require("../middleware/auth");
+
+// All routes require authentication
+router.use(protect);
+
+router.post("/run", requirePermission("care-plans:manage"), carePlanController.runScheduler);
+
+// Create/update/delete check care-plans:manage or tree ownership in the controller
+router
+  .route("/")
+  .get(carePlanController.getPlans)
+  .post(carePlanController.createPlan);
+
+router
+  .route("/:id")
+  .get(carePlanController.getPlan)
+  .put(carePlanController.updatePlan)
+  .delete(carePlanController.deletePlan);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 // routes/eventRoutes.js
 const express = require('express');
 const router = express.Router();
-const { protect, isAdmin } = require('../middleware/auth.js'); 
+const { protect, requirePermission } = require('../middleware/auth.js');
 const eventController = require('../controllers/eventController.js');
 
 // Public routes (no authentication required)
@@ -16,9 +16,9 @@ router.get('/user/created', protect, eventController.getUserCreatedEvents);
 router.get('/user/joined', protect, eventController.getUserJoinedEvents);
 
 // Event CRUD operations
-router.post('/', protect, isAdmin, eventController.createEvent);
-router.put('/:id', protect, isAdmin, eventController.updateEvent);
-router.delete('/:id', protect, isAdmin, eventController.deleteEvent);
+router.post('/', protect, requirePermission('events:manage'), eventController.createEvent);
+router.put('/:id', protect, requirePermission('events:manage'), eventController.updateEvent);
+router.delete('/:id', protect, requirePermission('events:manage'), eventController.deleteEvent);
 
 // Event participation
 router.post('/:id/join', protect, eventController.joinEvent);
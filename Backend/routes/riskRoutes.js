@@ -4,7 +4,9 @@ const router = express.Router();
 // const rateLimit = require('express-rate-limit');
 const riskController = require('../controllers/riskController.js');
 const { validatePolygon } = require('../middleware/validation');
-const { protect , isAdmin} = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+
+const canAnalyze = requirePermission('risk:analyze');
 
 router.use(protect);
 // Rate limiting for analysis endpoint
@@ -15,13 +17,13 @@ router.use(protect);
 // });
 
 // CRUD Operations
-router.post('/analyze', validatePolygon,protect,isAdmin, riskController.analyzeRisk);
+router.post('/analyze', validatePolygon,protect,canAnalyze, riskController.analyzeRisk);
 router.get('/high', protect, riskController.getHighRisks);
 router.get('/stats', protect, riskController.getRiskStats);
 router.get('/', protect, riskController.getAllRisks);
 router.get('/:id', protect, riskController.getRiskById);
-router.put('/update/:id', protect, isAdmin, riskController.updateRisk);
-router.delete('/:id', protect, isAdmin, riskController.deleteRisk);
-router.post('/:riskId/link-event', protect, isAdmin, riskController.linkEventToRisk);
+router.put('/update/:id', protect, canAnalyze, riskController.updateRisk);
+router.delete('/:id', protect, canAnalyze, riskController.deleteRisk);
+router.post('/:riskId/link-event', protect, canAnalyze, riskController.linkEventToRisk);
 
 module.exports = router;
\ No newline at end of file
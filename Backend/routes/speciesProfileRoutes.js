@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const speciesProfileController = require("../controllers/speciesProfileController");
+const { protect, requirePermission } = require("../middleware/auth");
+
+// All routes require authentication
+router.use(protect);
+
+router
+  .route("/")
+  .get(speciesProfileController.getProfiles)
+  .post(requirePermission("species:manage"), speciesProfileController.createProfile);
+
+router
+  .route("/:id")
+  .get(speciesProfileController.getProfile)
+  .put(requirePermission("species:manage"), speciesProfileController.updateProfile)
+  .delete(requirePermission("species:manage"), speciesProfileController.deleteProfile);
+
+module.exports = router;
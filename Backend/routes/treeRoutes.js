@@ -8,16 +8,53 @@ const {
   getNearbyTrees,
   getTree,
   updateTree,
-  deleteTree
+  deleteTree,
+  changeTreeStatus,
+  getTreeStatusHistory,
+  getSurvivalReport,
+  exportTrees
 } = require("../controllers/treeController");
+const {
+  getInspections,
+  getInspection,
+  addInspection,
+  addInspectionPhotos,
+  deleteInspection
+} = require("../controllers/treeInspectionController");
+const { importTrees, getImports, getImport } = require("../controllers/treeImportController");
 
-const { protect } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { uploadPhotos, uploadImportFile } = require("../middleware/upload");
 
 router.use(protect);
 
 router.route("/").get(getTrees).post(createTree);
 router.get("/all", getAllTrees);
 router.get("/nearby", getNearbyTrees);
+router.get("/export", exportTrees);
+router.get("/reports/survival", requirePermission("trees:reports"), getSurvivalReport);
+
+// Bulk import (CSV or GeoJSON)
+router.post("/import", uploadImportFile("file"), importTrees);
+router.get("/imports", getImports);
+router.get("/imports/:importId", getImport);
+
 router.route("/:id").get(getTree).put(updateTree).delete(deleteTree);
 
+// Lifecycle
+router.post("/:id/status", changeTreeStatus);
+router.get("/:id/status-history", getTreeStatusHistory);
+
+// Health inspections
+router.route("/:id/inspections").get(getInspections).post(addInspection);
+router
+  .route("/:id/inspections/:inspectionId")
+  .get(getInspection)
+  .delete(deleteInspection);
+router.post(
+  "/:id/inspections/:inspectionId/photos",
+  uploadPhotos("photos"),
+  addInspectionPhotos
+);
+
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const volunteerApplicationController = require("../controllers/volunteerApplicationController");
+const { protect, requirePermission, requireVerifiedEmail } = require("../middleware/auth");
+
+// All routes require authentication
+router.use(protect);
+
+// Applicant
+router.post("/", requireVerifiedEmail, volunteerApplicationController.submitApplication);
+router
+  .route("/mine")
+  .get(volunteerApplicationController.getMyApplications)
+  .delete(volunteerApplicationController.withdrawApplication);
+
+// Review queue
+const review = requirePermission("volunteers:review");
+router.get("/", review, volunteerApplicationController.getApplications);
+router.post("/:id/approve", review, volunteerApplicationController.approveApplication);
+router.post("/:id/reject", review, volunteerApplicationController.rejectApplication);
+
+// Reviewers or the applicant (checked in the controller)
+router.get("/:id", volunteerApplicationController.getApplication);
+
+module.exports = router;
@@ -1,20 +1,20 @@
 const express = require("express");
 const router = express.Router();
 const volunteerController = require("../controllers/volunteerController");
-const { protect, authorize } = require("../middleware/auth");
+const { protect, requirePermission, requireVerifiedEmail } = require("../middleware/auth");
 
 // PWA Push Notifications disabled - user preference
 // Public route
 // router.get("/vapid-public-key", volunteerController.getVapidPublicKey);
 
-// Protected routes - Volunteer role required
+// Protected routes - volunteers (alerts:respond) only
 router.use(protect);
-router.use(authorize("volunteer", "admin"));
+router.use(requirePermission("alerts:respond"));
 
 // Profile management
 router
   .route("/profile")
-  .post(volunteerController.createProfile)
+  .post(requireVerifiedEmail, volunteerController.createProfile)
   .get(volunteerController.getMyProfile)
   .put(volunteerController.updateProfile);
 
@@ -22,6 +22,12 @@ router
 router.patch("/status", volunteerController.updateStatus);
 router.patch("/location", volunteerController.updateLocation);
 
+// Availability schedule (weekly windows, leave, critical override)
+router
+  .route("/availability")
+  .get(volunteerController.getAvailability)
+  .put(volunteerController.updateAvailability);
+
 // Statistics
 router.get("/stats", volunteerController.getMyStats);
 
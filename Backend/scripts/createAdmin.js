@@ -0,0 +1,104 @@
+/**
+ * Bootstrap Script: Create the first admin
+ *
+ * Creates a real admin User (or promotes an existing account) and writes an
+ * audit record. Run once per deployment; later admins are promoted through
+ * POST /api/admin/users/:id/promote.
+ *
+ * Usage:
+ *   node Backend/scripts/createAdmin.js --email=admin@example.com --name="Jane Admin" --password=...
+ *   npm run create-admin -- --email=... --password=...
+ *
+ * ADMIN_EMAIL / ADMIN_NAME / ADMIN_PASSWORD from .env are used when flags are missing.
+ * Refuses to run when an admin already exists, unless --force is passed.
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { changeRole } = require("../services/roleService");
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/FORISSWELL";
+
+// --key=value and bare --flag arguments
+const parseArgs = (argv) =>
+  argv.reduce((args, arg) => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+    return args;
+  }, {});
+
+async function createAdmin() {
+  const args = parseArgs(process.argv.slice(2));
+  const email = (args.email || process.env.ADMIN_EMAIL || "").toLowerCase().trim();
+  const fullName = args.name || process.env.ADMIN_NAME || "Admin User";
+  const password = args.password || process.env.ADMIN_PASSWORD;
+  let exitCode = 0;
+
+  if (!email) {
+    console.error("❌ Provide --email=<address> (or ADMIN_EMAIL)");
+    process.exit(1);
+  }
+
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB\n");
+
+    const existingAdmins = await User.countDocuments({ role: "admin" });
+    if (existingAdmins > 0 && !args.force) {
+      console.log(
+        `An admin already exists (${existingAdmins}). Promote users from the admin API instead, or pass --force.`
+      );
+      exitCode = 1;
+      return;
+    }
+
+    let user = await User.findOne({ email });
+
+    if (user) {
+      if (user.role === "admin") {
+        console.log(`✅ ${email} is already an admin. Nothing to do.`);
+        return;
+      }
+      console.log(`Promoting existing user: ${email} (${user.role})`);
+    } else {
+      if (!password || password.length < 8) {
+        console.error("❌ A new admin needs --password=<at least 8 characters> (or ADMIN_PASSWORD)");
+        exitCode = 1;
+        return;
+      }
+
+      console.log(`Creating admin: ${email}`);
+      user = await User.create({
+        fullName,
+        email,
+        password,
+        role: "user",
+        isEmailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+    }
+
+    await changeRole(user, "admin", {
+      via: "cli",
+      action: "role.bootstrap",
+      reason: args.reason || "Admin bootstrap script",
+    });
+
+    console.log(`\n✅ ${email} is now an admin`);
+    if (process.env.ADMIN_PASSWORD && !args.password) {
+      console.log("You can now remove ADMIN_PASSWORD from .env; it is no longer used for login.");
+    }
+  } catch (error) {
+    console.error("❌ Admin bootstrap failed:", error);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("\n✅ Database connection closed");
+    process.exit(exitCode);
+  }
+}
+
+// Run the bootstrap
+createAdmin();
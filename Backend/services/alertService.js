@@ -1,16 +1,35 @@
+const os = require("os");
 const cron = require("node-cron");
+const pLimit = require("p-limit");
 const Tree = require("../models/Tree");
 const Alert = require("../models/Alert");
 const VolunteerProfile = require("../models/VolunteerProfile");
+const AlertDecline = require("../models/AlertDecline");
+const MonitoringRun = require("../models/MonitoringRun");
+const JobLock = require("../models/JobLock");
 const weatherService = require("./weatherService");
+const speciesThresholdService = require("./speciesThresholdService");
+const weatherCache = require("./weatherCache");
+const volunteerMatchingService = require("./volunteerMatchingService");
 // PWA Push Notifications disabled - user preference
 // const pushNotificationService = require("./pushNotificationService");
 const logger = require("../utils/logger");
+const { checkAvailability } = require("../utils/availability");
+const { distanceKm } = require("../utils/geo");
+
+const MONITORING_JOB = "weather-monitoring";
+const MAX_RECORDED_FAILURES = 100;
+// Broadcast events keep the count of notified volunteers but only this many ids
+const HISTORY_VOLUNTEER_SAMPLE = 10;
+const MAX_PREFERRED_RADIUS_KM = 50;
 
 class AlertService {
   constructor() {
     this.monitoringJob = null;
     this.expiryJob = null;
+    this.escalationJob = null;
+    this.isMonitoringRunning = false;
+    this.instanceId = `${os.hostname()}-${process.pid}`;
   }
 
   /**
@@ -23,7 +42,7 @@ class AlertService {
     // Monitor weather every configured interval
     this.monitoringJob = cron.schedule(cronExpression, async () => {
       logger.info("Starting automated weather check for all trees...");
-      await this.checkAllTreesWeather();
+      await this.checkAllTreesWeather({ trigger: "cron" });
     });
 
     // Check for expired alerts every 5 minutes
@@ -31,6 +50,11 @@ class AlertService {
       await this.expireOldAlerts();
     });
 
+    // Escalate unclaimed alerts every minute
+    this.escalationJob = cron.schedule("* * * * *", async () => {
+      await this.escalateUnclaimedAlerts();
+    });
+
     logger.info(
       `Weather monitoring started with interval: ${interval}ms (${cronExpression})`
     );
@@ -48,6 +72,10 @@ class AlertService {
       this.expiryJob.stop();
       logger.info("Alert expiry monitoring stopped");
     }
+    if (this.escalationJob) {
+      this.escalationJob.stop();
+      logger.info("Alert escalation monitoring stopped");
+    }
   }
 
   /**
@@ -71,133 +99,412 @@ class AlertService {
   }
 
   /**
-   * Main function: Check weather for all active trees
+   * Main function: Check weather for all active trees.
+   * Runs are serialized across instances with a JobLock, process trees with
+   * bounded concurrency in _id order, and record progress in a MonitoringRun so
+   * an interrupted run is resumed from its last completed batch. The lock is
+   * renewed after every batch; a run that loses it stops as "interrupted".
+   * @param {Object} [options]
+   * @param {string} [options.trigger="cron"] - "cron" or "manual"
+   * @returns {Promise<Object|null>} MonitoringRun, or null when another run holds the lock
    */
-  async checkAllTreesWeather() {
+  async checkAllTreesWeather({ trigger = "cron" } = {}) {
+    if (this.isMonitoringRunning) {
+      logger.warn("Weather check skipped: a run is already in progress on this instance");
+      return null;
+    }
+
+    const lockOwner = `${this.instanceId}:${Date.now()}`;
+    const lockTtl = parseInt(process.env.MONITORING_LOCK_TTL_MS) || 600000;
+
+    this.isMonitoringRunning = true;
+    const startedAt = Date.now();
+    const cacheBefore = weatherCache.getStats();
+    let acquired = false;
+    let lostLock = false;
+    let run = null;
+
     try {
-      // Fetch all active trees with location data
-      const trees = await Tree.find({
+      acquired = await JobLock.acquire(MONITORING_JOB, lockOwner, lockTtl);
+      if (!acquired) {
+        logger.warn("Weather check skipped: another instance holds the monitoring lock");
+        return null;
+      }
+
+      const resumeFrom = await this.markInterruptedRuns();
+
+      run = await MonitoringRun.create({
+        job: MONITORING_JOB,
+        trigger,
+        instanceId: this.instanceId,
+        startedAt: new Date(startedAt),
+        resumedFrom: resumeFrom ? resumeFrom._id : null,
+        cursor: resumeFrom ? resumeFrom.cursor : null,
+      });
+
+      // Fetch all active, living trees with location data
+      const filter = {
         isActive: true,
+        status: { $ne: "DEAD" },
         "location.coordinates": { $exists: true },
-      }).select("name species location owner");
+      };
+      if (run.cursor) {
+        filter._id = { $gt: run.cursor };
+        logger.info(`Resuming interrupted run ${resumeFrom._id} after tree ${run.cursor}`);
+      }
+
+      const trees = await Tree.find(filter)
+        .select("name species status location owner")
+        .sort({ _id: 1 });
+
+      run.treesTotal = trees.length;
 
       console.log("\n🌳 ALERT CHECK DEBUG START");
       console.log(`📍 Found ${trees.length} active trees with locations`);
-      logger.info(`Checking weather for ${trees.length} trees...`);
+      logger.info(`Checking weather for ${trees.length} trees (run ${run._id})...`);
 
       if (trees.length === 0) {
         console.warn("⚠️  No trees found in database!");
-        return;
-      }
+      } else {
+        // Drop stale grid cells so the cache doesn't grow across runs
+        weatherCache.prune();
 
-      let alertsCreated = 0;
+        // Load species profiles once per run instead of once per tree
+        const profileIndex = await speciesThresholdService.loadProfileIndex();
 
-      for (const tree of trees) {
-        try {
-          const treeName = tree.name || tree.species || "Unknown";
-          console.log(`\n🔍 Checking tree: ${treeName} (${tree._id})`);
-          
-          // Get weather data for tree location
-          const [longitude, latitude] = tree.location.coordinates;
-          console.log(`📡 Coordinates: lat=${latitude}, lon=${longitude}`);
-          
-          const weatherData = await weatherService.getWeatherByCoordinates(
-            latitude,
-            longitude
-          );
+        const concurrency = parseInt(process.env.MONITORING_CONCURRENCY) || 5;
+        const batchSize = parseInt(process.env.MONITORING_BATCH_SIZE) || 50;
+        const limit = pLimit(concurrency);
 
-          console.log(`🌡️  Weather Data:`, {
-            temperature: weatherData.temperature,
-            rainfall: weatherData.rainfall,
-            windSpeed: weatherData.windSpeed,
-            description: weatherData.description,
-          });
+        for (let i = 0; i < trees.length; i += batchSize) {
+          const batch = trees.slice(i, i + batchSize);
 
-          // Evaluate if weather violates thresholds
-          const evaluation = this.evaluateWeatherThresholds(weatherData);
+          const results = await Promise.all(
+            batch.map((tree) => limit(() => this.checkTreeWeatherSafely(tree, profileIndex)))
+          );
 
-          console.log(`⚙️  Threshold Evaluation:`, {
-            violations: evaluation.violations.length,
-            priority: evaluation.priority,
-            details: evaluation.violations,
+          results.forEach((result) => {
+            run.treesChecked += 1;
+            if (result.alertCreated) run.alertsCreated += 1;
+            if (result.error) {
+              run.errorCount += 1;
+              if (run.failures.length < MAX_RECORDED_FAILURES) {
+                run.failures.push(result.error);
+              }
+            }
           });
 
-          if (evaluation.violations.length > 0) {
-            // Check if there's already a pending/assigned alert for this tree
-            const existingAlert = await Alert.findOne({
-              tree: tree._id,
-              status: { $in: ["pending", "assigned", "in_progress"] },
-              isActive: true,
-            });
-
-            if (!existingAlert) {
-              console.log(`✅ Creating alert for ${treeName}...`);
-              
-              // Create new alert
-              const alert = await this.createAutomatedAlert(
-                tree,
-                weatherData,
-                evaluation
-              );
-
-              console.log(`📢 Alert created (ID: ${alert._id}), searching for volunteers...`);
-
-              // Find nearby volunteers
-              const volunteers = await this.findNearbyVolunteers(
-                tree.location.coordinates,
-                process.env.VOLUNTEER_MATCH_RADIUS || 5
-              );
-
-              console.log(`👥 Found ${volunteers.length} nearby volunteers`);
-
-              // Broadcast to volunteers
-              if (volunteers.length > 0) {
-                await this.broadcastAlertToVolunteers(alert, volunteers);
-                console.log(`✈️  Alert broadcasted to ${volunteers.length} volunteers`);
-                logger.info(
-                  `Alert ${alert._id} for ${treeName} broadcasted to ${volunteers.length} volunteers`
-                );
-              } else {
-                console.warn(`⚠️  No available volunteers found near tree: ${treeName}`);
-                logger.warn(
-                  `No available volunteers found near tree: ${treeName} (${tree._id})`
-                );
-              }
+          // Checkpoint progress and keep the lock alive
+          run.cursor = batch[batch.length - 1]._id;
+          await run.save();
 
-              alertsCreated++;
-            } else {
-              console.log(`⏭️  Alert already exists for this tree, skipping...`);
-            }
-          } else {
-            console.log(`✅ No violations detected for ${treeName}`);
+          // Another instance took the lock after it expired: stop rather than overlap
+          if (!(await JobLock.acquire(MONITORING_JOB, lockOwner, lockTtl))) {
+            lostLock = true;
+            break;
           }
-        } catch (error) {
-          const treeName = tree.name || tree.species || "Unknown tree";
-          console.error(`❌ Error checking weather for tree: ${treeName}`);
-          console.error(error);
-          logger.error(`Error checking weather for tree: ${treeName} (${tree._id}):`, error);
         }
       }
 
-      console.log(`\n✨ Weather check completed. ${alertsCreated} new alerts created.\n`);
-      logger.info(`Weather check completed. ${alertsCreated} new alerts created.`);
+      if (lostLock) {
+        run.status = "interrupted";
+        run.failureReason = "Monitoring lock expired and was taken by another instance";
+        logger.warn(`Weather check ${run._id} stopped: lost the monitoring lock after ${run.treesChecked} trees`);
+        return run;
+      }
+
+      run.status = "completed";
+
+      console.log(`\n✨ Weather check completed. ${run.alertsCreated} new alerts created.\n`);
+      console.log(`🗄️  Weather cache:`, weatherCache.getStats());
+      logger.info(
+        `Weather check completed. ${run.treesChecked} trees, ${run.alertsCreated} new alerts, ${run.errorCount} errors.`
+      );
     } catch (error) {
       logger.error("Error in checkAllTreesWeather:", error);
+      if (run) {
+        run.status = "failed";
+        run.failureReason = error.message;
+      }
+    } finally {
+      if (run) {
+        const cacheAfter = weatherCache.getStats();
+        run.finishedAt = new Date();
+        run.durationMs = Date.now() - startedAt;
+        run.cacheStats = {
+          hits: cacheAfter.hits - cacheBefore.hits,
+          misses: cacheAfter.misses - cacheBefore.misses,
+        };
+        await run.save().catch((err) => logger.error("Error saving monitoring run:", err));
+      }
+
+      if (acquired && !lostLock) {
+        await JobLock.release(MONITORING_JOB, lockOwner).catch((err) =>
+          logger.error("Error releasing monitoring lock:", err)
+        );
+      }
+      this.isMonitoringRunning = false;
+    }
+
+    return run;
+  }
+
+  /**
+   * Mark runs left "running" by a crashed instance as interrupted.
+   * Only called while holding the lock, so no live run can be "running".
+   * @returns {Promise<Object|null>} Most recent interrupted run to resume, if it has a cursor
+   */
+  async markInterruptedRuns() {
+    const stale = await MonitoringRun.find({ job: MONITORING_JOB, status: "running" }).sort({
+      startedAt: -1,
+    });
+
+    if (stale.length === 0) return null;
+
+    await MonitoringRun.updateMany(
+      { _id: { $in: stale.map((r) => r._id) } },
+      { $set: { status: "interrupted", failureReason: "Run did not finish (instance stopped)" } }
+    );
+    logger.warn(`Marked ${stale.length} stale monitoring run(s) as interrupted`);
+
+    return stale[0].cursor ? stale[0] : null;
+  }
+
+  /**
+   * Check one tree, capturing errors instead of throwing
+   * @returns {Promise<{alertCreated: boolean, error?: Object}>}
+   */
+  async checkTreeWeatherSafely(tree, profileIndex) {
+    try {
+      return await this.checkTreeWeather(tree, profileIndex);
+    } catch (error) {
+      const treeName = tree.name || tree.species || "Unknown tree";
+      console.error(`❌ Error checking weather for tree: ${treeName}`);
+      console.error(error);
+      logger.error(`Error checking weather for tree: ${treeName} (${tree._id}):`, error);
+
+      return {
+        alertCreated: false,
+        error: { tree: tree._id, treeName, message: error.message, at: new Date() },
+      };
+    }
+  }
+
+  /**
+   * Check current (and optionally forecast) weather for a single tree
+   * @returns {Promise<{alertCreated: boolean}>}
+   */
+  async checkTreeWeather(tree, profileIndex) {
+    let alertCreated = false;
+
+    const treeName = tree.name || tree.species || "Unknown";
+    console.log(`\n🔍 Checking tree: ${treeName} (${tree._id})`);
+    
+    // Get weather data for tree location
+    const [longitude, latitude] = tree.location.coordinates;
+    console.log(`📡 Coordinates: lat=${latitude}, lon=${longitude}`);
+    
+    const weatherData = await weatherService.getWeatherByCoordinates(
+      latitude,
+      longitude
+    );
+
+    console.log(`🌡️  Weather Data:`, {
+      temperature: weatherData.temperature,
+      rainfall: weatherData.rainfall,
+      windSpeed: weatherData.windSpeed,
+      description: weatherData.description,
+    });
+
+    // Evaluate if weather violates this tree's species thresholds
+    const thresholds = await speciesThresholdService.resolveThresholds(
+      tree,
+      profileIndex
+    );
+    const evaluation = this.evaluateWeatherThresholds(weatherData, thresholds);
+
+    console.log(`⚙️  Threshold Evaluation:`, {
+      violations: evaluation.violations.length,
+      priority: evaluation.priority,
+      details: evaluation.violations,
+    });
+
+    // Check if there's already a pending/assigned alert for this tree
+    const existingAlert = await Alert.findOne({
+      tree: tree._id,
+      status: { $in: ["pending", "assigned", "in_progress"] },
+      isActive: true,
+    });
+
+    if (evaluation.violations.length > 0) {
+      if (!existingAlert) {
+        console.log(`✅ Creating alert for ${treeName}...`);
+        
+        // Create new alert
+        const alert = await this.createAutomatedAlert(
+          tree,
+          weatherData,
+          evaluation
+        );
+
+        console.log(`📢 Alert created (ID: ${alert._id}), searching for volunteers...`);
+        await this.notifyNearbyVolunteers(alert, tree);
+
+        alertCreated = true;
+      } else if (existingAlert.source === "forecast") {
+        // The predicted event has arrived - the upcoming alert becomes an observed one
+        await this.promoteForecastAlert(existingAlert, tree, weatherData, evaluation);
+        console.log(`🔁 Forecast alert ${existingAlert._id} promoted to observed`);
+      } else {
+        console.log(`⏭️  Alert already exists for this tree, skipping...`);
+      }
+    } else {
+      console.log(`✅ No violations detected for ${treeName}`);
+
+      if (this.isForecastEnabled() && !existingAlert) {
+        const upcoming = await this.checkTreeForecast(tree, thresholds);
+
+        if (upcoming) {
+          console.log(
+            `🔮 Forecast violation for ${treeName} expected at ${upcoming.weatherData.time.toISOString()}`
+          );
+
+          const alert = await this.createAutomatedAlert(
+            tree,
+            upcoming.weatherData,
+            upcoming.evaluation,
+            { predictedOnset: upcoming.weatherData.time }
+          );
+
+          await this.notifyNearbyVolunteers(alert, tree);
+          alertCreated = true;
+        }
+      }
+    }
+
+    return { alertCreated };
+  }
+
+  /**
+   * Whether completed work must be approved (ALERT_REVIEW_REQUIRED) before it counts
+   */
+  isReviewRequired() {
+    return process.env.ALERT_REVIEW_REQUIRED === "true";
+  }
+
+  /**
+   * Whether forecast (pre-emptive) alerts are enabled
+   */
+  isForecastEnabled() {
+    return process.env.ALERT_FORECAST_ENABLED === "true";
+  }
+
+  /**
+   * Look ahead in the forecast for the first threshold violation at a tree
+   * @returns {Promise<{weatherData: Object, evaluation: Object}|null>}
+   */
+  async checkTreeForecast(tree, thresholds) {
+    const hours = parseInt(process.env.ALERT_FORECAST_HOURS) || 48;
+    const [longitude, latitude] = tree.location.coordinates;
+
+    const forecast = await weatherService.getForecastByCoordinates(
+      latitude,
+      longitude,
+      hours
+    );
+
+    for (const entry of forecast) {
+      if (entry.time.getTime() <= Date.now()) continue;
+
+      const evaluation = this.evaluateWeatherThresholds(entry, thresholds);
+      if (evaluation.violations.length > 0) {
+        return { weatherData: entry, evaluation };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn an upcoming (forecast) alert into an observed one once conditions hit
+   */
+  async promoteForecastAlert(alert, tree, weatherData, evaluation) {
+    alert.recordEvent("promoted", {
+      details: {
+        predictedOnset: alert.predictedOnset,
+        fromPriority: alert.priority,
+        toPriority: evaluation.priority,
+      },
+    });
+    alert.source = "observed";
+    alert.priority = evaluation.priority;
+    alert.description = this.generateAlertDescription(tree, evaluation);
+    alert.weatherData = {
+      temperature: weatherData.temperature,
+      humidity: weatherData.humidity,
+      rainfall: weatherData.rainfall,
+      windSpeed: weatherData.windSpeed,
+      conditions: weatherData.description,
+    };
+    alert.thresholdViolations = evaluation.violations;
+    await alert.save();
+
+    if (global.io) {
+      global.io.to(`alert-${alert._id}`).emit("alert-status-changed", {
+        alertId: alert._id,
+        status: alert.status,
+        source: alert.source,
+      });
+    }
+
+    return alert;
+  }
+
+  /**
+   * Find volunteers near an alert and broadcast it to them
+   */
+  async notifyNearbyVolunteers(alert, tree) {
+    const treeName = tree.name || tree.species || "Unknown";
+
+    const volunteers = await this.findNearbyVolunteers(alert.location.coordinates, 0, {
+      priority: alert.priority,
+    });
+
+    console.log(`👥 Found ${volunteers.length} nearby volunteers`);
+
+    if (volunteers.length > 0) {
+      await this.dispatchAlert(alert, volunteers);
+      console.log(`✈️  Alert dispatched to ${volunteers.length} volunteers`);
+      logger.info(
+        `Alert ${alert._id} for ${treeName} broadcasted to ${volunteers.length} volunteers`
+      );
+    } else {
+      console.warn(`⚠️  No available volunteers found near tree: ${treeName}`);
+      logger.warn(
+        `No available volunteers found near tree: ${treeName} (${tree._id})`
+      );
     }
+
+    return volunteers;
   }
 
   /**
    * Evaluate weather data against thresholds
+   * @param {Object} weatherData - Current weather for the tree location
+   * @param {Object} [thresholds] - Resolved species thresholds (env defaults if omitted)
    */
-  evaluateWeatherThresholds(weatherData) {
+  evaluateWeatherThresholds(
+    weatherData,
+    thresholds = speciesThresholdService.getDefaultThresholds()
+  ) {
     const violations = [];
     let maxExcess = 0;
 
-    const tempThreshold = parseFloat(process.env.ALERT_TEMP_THRESHOLD || 35);
-    const rainThreshold = parseFloat(process.env.ALERT_RAIN_THRESHOLD || 50);
-    const windThreshold = parseFloat(process.env.ALERT_WIND_THRESHOLD || 40);
+    const tempThreshold = thresholds.temperature;
+    const rainThreshold = thresholds.rainfall;
+    const windThreshold = thresholds.windSpeed;
 
-    console.log(`🎯 Threshold Values:`, {
+    console.log(`🎯 Threshold Values (${thresholds.source}):`, {
       tempThreshold,
       rainThreshold,
       windThreshold,
@@ -252,7 +559,7 @@ class AlertService {
     // Calculate priority based on violations
     const priority = this.calculatePriority(violations, maxExcess);
 
-    return { violations, priority, maxExcess };
+    return { violations, priority, maxExcess, thresholds };
   }
 
   /**
@@ -276,8 +583,12 @@ class AlertService {
 
   /**
    * Create automated alert in database
+   * @param {Object} [options]
+   * @param {Date} [options.predictedOnset] - Set for forecast alerts; marks the alert as upcoming
    */
-  async createAutomatedAlert(tree, weatherData, evaluation) {
+  async createAutomatedAlert(tree, weatherData, evaluation, options = {}) {
+    const predictedOnset = options.predictedOnset || null;
+
     const alertType =
       evaluation.violations.length > 1
         ? "multiple_threats"
@@ -296,13 +607,15 @@ class AlertService {
     });
 
     // Generate description
-    const description = this.generateAlertDescription(tree, evaluation);
+    const description = this.generateAlertDescription(tree, evaluation, predictedOnset);
 
     const alert = new Alert({
       tree: tree._id,
       type: alertType,
       priority: evaluation.priority,
       status: "pending",
+      source: predictedOnset ? "forecast" : "observed",
+      predictedOnset,
       description,
       weatherData: {
         temperature: weatherData.temperature,
@@ -312,10 +625,20 @@ class AlertService {
         conditions: weatherData.description,
       },
       thresholdViolations: evaluation.violations,
+      speciesProfile: evaluation.thresholds?.profileId || null,
       location: tree.location,
       actionRequired: [...new Set(actionRequired)], // Remove duplicates
+      volunteersNeeded: this.crewSizeFor(tree, evaluation),
     });
 
+    alert.recordEvent("created", {
+      details: {
+        source: alert.source,
+        priority: alert.priority,
+        violations: evaluation.violations.map((v) => v.type),
+        thresholdSource: evaluation.thresholds?.source,
+      },
+    });
     await alert.save();
     
     const treeName = tree.name || tree.species || "Unknown tree";
@@ -324,10 +647,64 @@ class AlertService {
     return alert;
   }
 
+  /**
+   * Create a routine care alert from a CarePlan. Routine alerts go through the
+   * same dispatch pipeline but always stay "low" priority and are never escalated.
+   * @param {Object} tree - Tree document
+   * @param {Object} plan - CarePlan document
+   * @param {Date} dueDate - When the task falls due
+   */
+  async createRoutineAlert(tree, plan, dueDate) {
+    const treeName = tree.name || tree.species || "Unknown tree";
+    const label = plan.name || `${plan.task.charAt(0).toUpperCase()}${plan.task.slice(1)}`;
+
+    const alert = new Alert({
+      tree: tree._id,
+      type: "routine",
+      category: "routine",
+      priority: "low",
+      status: "pending",
+      description:
+        `🌱 Scheduled care: ${label} for ${treeName} (due ${dueDate.toISOString().slice(0, 10)})` +
+        (plan.instructions ? `. ${plan.instructions}` : ""),
+      location: tree.location,
+      actionRequired: plan.actions(),
+      volunteersNeeded: plan.volunteersNeeded,
+      carePlan: plan._id,
+      dueDate,
+    });
+
+    alert.recordEvent("created", {
+      details: {
+        category: "routine",
+        carePlan: plan._id,
+        task: plan.task,
+        dueDate,
+      },
+    });
+    await alert.save();
+
+    logger.info(`Created routine ${plan.task} alert ${alert._id} for tree: ${treeName} (${tree._id})`);
+
+    return alert;
+  }
+
+  /**
+   * Volunteers an automated alert needs: storm damage to a mature tree takes a
+   * crew of ALERT_STORM_CREW_SIZE (default 3), everything else one volunteer.
+   */
+  crewSizeFor(tree, evaluation) {
+    const storm = evaluation.violations.some((v) => v.type === "strong_wind");
+    if (!storm || tree.status !== "MATURE") return 1;
+
+    const size = parseInt(process.env.ALERT_STORM_CREW_SIZE);
+    return Math.min(Math.max(Number.isFinite(size) ? size : 3, 1), 20);
+  }
+
   /**
    * Generate human-readable alert description
    */
-  generateAlertDescription(tree, evaluation) {
+  generateAlertDescription(tree, evaluation, predictedOnset = null) {
     const treeName = tree.name || `${tree.species} tree`;
     const violations = evaluation.violations.map((v) => {
       return `${v.type.replace(/_/g, " ")}: ${v.actualValue.toFixed(
@@ -335,7 +712,11 @@ class AlertService {
       )} (threshold: ${v.threshold})`;
     });
 
-    return `${treeName} requires immediate attention. ${violations.join(
+    const lead = predictedOnset
+      ? `${treeName} is forecast to need attention from ${predictedOnset.toISOString()}.`
+      : `${treeName} requires immediate attention.`;
+
+    return `${lead} ${violations.join(
       ", "
     )}. Location: ${
       tree.location.address?.formatted || "coordinates provided"
@@ -343,28 +724,66 @@ class AlertService {
   }
 
   /**
-   * Find volunteers within radius of location
+   * Find available volunteers whose own preferredRadius covers the location.
+   * @param {number[]} coordinates - [longitude, latitude]
+   * @param {number} [reachRadiusKm=0] - Escalation override: also include volunteers
+   *   within this distance even if it is beyond their preferredRadius
+   * @param {Object} [options]
+   * @param {string} [options.priority] - Alert priority; skips volunteers outside their
+   *   availability schedule unless critical and they opted into overrides
+   * @returns {Promise<Array<Object>>} Lean profiles (nearest first) with `distanceKm` and populated user
    */
-  async findNearbyVolunteers(coordinates, radiusKm) {
+  async findNearbyVolunteers(coordinates, reachRadiusKm = 0, { priority } = {}) {
     try {
-      console.log(`\n🔎 Searching for volunteers within ${radiusKm}km of:`, coordinates);
-      
-      const volunteers = await VolunteerProfile.find({
-        isActive: true,
-        isAvailable: true,
-        status: "available",
-        location: {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates: coordinates,
+      const reachKm = Number(reachRadiusKm) || 0;
+      console.log(
+        `\n🔎 Searching for volunteers whose radius covers (reach override ${reachKm}km):`,
+        coordinates
+      );
+
+      const results = await VolunteerProfile.aggregate([
+        {
+          $geoNear: {
+            near: { type: "Point", coordinates },
+            distanceField: "distanceMeters",
+            // preferredRadius is capped at 50km by the schema
+            maxDistance: Math.max(MAX_PREFERRED_RADIUS_KM, reachKm) * 1000,
+            spherical: true,
+            query: {
+              isActive: true,
+              isAvailable: true,
+              status: "available",
+            },
+          },
+        },
+        {
+          $match: {
+            $expr: {
+              $lte: [
+                "$distanceMeters",
+                {
+                  $multiply: [{ $max: [{ $ifNull: ["$preferredRadius", 5] }, reachKm] }, 1000],
+                },
+              ],
             },
-            $maxDistance: radiusKm * 1000, // Convert km to meters
           },
         },
-      })
-        .populate("user", "fullName email")
-        .limit(50); // Limit to 50 nearest volunteers
+      ]);
+
+      // Skip volunteers in quiet hours or on leave, then keep the 50 nearest
+      const now = new Date();
+      const scheduled = results
+        .filter((volunteer) => checkAvailability(volunteer.availability, { at: now, priority }).available)
+        .slice(0, 50);
+
+      scheduled.forEach((volunteer) => {
+        volunteer.distanceKm = parseFloat((volunteer.distanceMeters / 1000).toFixed(2));
+      });
+
+      const volunteers = await VolunteerProfile.populate(scheduled, {
+        path: "user",
+        select: "fullName email",
+      });
 
       console.log(`🔎 Volunteer search result: Found ${volunteers.length} available volunteers`);
       
@@ -386,10 +805,66 @@ class AlertService {
     }
   }
 
+  /**
+   * Rank volunteers for an alert and notify them in waves: the best
+   * ALERT_WAVE_SIZE matches right away, then the next wave every
+   * ALERT_WAVE_INTERVAL_SECONDS for as long as the alert stays unclaimed.
+   * @param {Object} alert - Alert document
+   * @param {Array<Object>} volunteers - Candidates from findNearbyVolunteers
+   * @returns {Promise<Array>} Ranked matches, best first
+   */
+  async dispatchAlert(alert, volunteers) {
+    // Volunteers who already declined this alert, or are on its crew, are not pinged again
+    const skip = await AlertDecline.volunteersWhoDeclined(alert._id);
+    (alert.crew || []).forEach((member) => skip.add(member.volunteer.toString()));
+    const candidates = volunteers.filter((v) => !skip.has(v._id.toString()));
+
+    const ranked = await volunteerMatchingService.rankVolunteers(alert, candidates);
+    if (ranked.length === 0) return ranked;
+
+    const waveSize = parseInt(process.env.ALERT_WAVE_SIZE) || 5;
+    const intervalMs = (parseInt(process.env.ALERT_WAVE_INTERVAL_SECONDS) || 120) * 1000;
+    const waves = volunteerMatchingService.toWaves(ranked, waveSize);
+
+    console.log(
+      `🏅 Ranked ${ranked.length} volunteers into ${waves.length} wave(s); top score ${ranked[0].score}`
+    );
+
+    await this.broadcastAlertToVolunteers(alert, waves[0].map((m) => m.volunteer), {
+      wave: 1,
+      matches: waves[0],
+    });
+
+    waves.slice(1).forEach((wave, index) => {
+      const timer = setTimeout(async () => {
+        try {
+          // Stop sending waves once someone has taken the alert
+          const current = await Alert.findById(alert._id);
+          if (!current || !current.canBeAccepted()) return;
+
+          await this.broadcastAlertToVolunteers(current, wave.map((m) => m.volunteer), {
+            wave: index + 2,
+            matches: wave,
+          });
+        } catch (error) {
+          logger.error(`Error sending wave ${index + 2} for alert ${alert._id}:`, error);
+        }
+      }, intervalMs * (index + 1));
+
+      // Pending waves shouldn't keep the process alive on shutdown
+      if (timer.unref) timer.unref();
+    });
+
+    return ranked;
+  }
+
   /**
    * Broadcast alert to volunteers via Socket.io and push notifications
+   * @param {Object} [options]
+   * @param {number} [options.wave] - Wave number when sent by dispatchAlert
+   * @param {Array} [options.matches] - Match scores from volunteerMatchingService
    */
-  async broadcastAlertToVolunteers(alert, volunteers) {
+  async broadcastAlertToVolunteers(alert, volunteers, { wave, matches = [] } = {}) {
     try {
       // Populate alert data for rich notification
       await alert.populate("tree", "name species location imageUrl");
@@ -408,27 +883,188 @@ class AlertService {
         location: alert.location,
         weatherData: alert.weatherData,
         actionRequired: alert.actionRequired,
+        source: alert.source,
+        predictedOnset: alert.predictedOnset,
         createdAt: alert.createdAt,
       };
 
       // Send Socket.io notifications
       if (global.io) {
         console.log(`📡 Socket.io available, sending to ${volunteers.length} volunteers...`);
+        const matchByVolunteer = new Map(
+          matches.map((m) => [m.volunteer._id.toString(), m])
+        );
+
         volunteers.forEach((volunteer) => {
           const socketRoom = `volunteer-${volunteer.user._id}`;
+          const match = matchByVolunteer.get(volunteer._id.toString());
           console.log(`   ➤ Sending to room: ${socketRoom}`);
-          global.io.to(socketRoom).emit("new-alert", alertData);
+          global.io.to(socketRoom).emit("new-alert", {
+            ...alertData,
+            ...(wave ? { wave } : {}),
+            ...(match
+              ? {
+                  match: {
+                    score: match.score,
+                    distanceKm: match.distanceKm,
+                    matchedSkills: match.matchedSkills,
+                  },
+                }
+              : {}),
+          });
         });
         console.log(`✅ Socket.io notifications sent`);
       } else {
         console.warn(`⚠️  Socket.io not available (global.io is undefined)`);
       }
+
+      await Alert.appendEvent(alert._id, "broadcast", {
+        toStatus: alert.status,
+        details: {
+          wave: wave || null,
+          volunteersNotified: volunteers.length,
+          volunteers: volunteers.slice(0, HISTORY_VOLUNTEER_SAMPLE).map((volunteer) => volunteer._id),
+          reachRadiusKm: alert.reachRadiusKm || 0,
+          delivered: !!global.io,
+        },
+      });
     } catch (error) {
       console.error("❌ Error broadcasting alert:", error);
       logger.error("Error broadcasting alert:", error);
     }
   }
 
+  /**
+   * Escalation policy from env:
+   *   ALERT_ESCALATION_INTERVAL_MINUTES - unclaimed time before each step (default 15)
+   *   ALERT_ESCALATION_RADII_KM - search radius per step, comma separated (default 10,20,40)
+   * @returns {{intervalMs: number, steps: Array<{radiusKm: number}>}}
+   */
+  getEscalationPolicy() {
+    const intervalMinutes = parseFloat(process.env.ALERT_ESCALATION_INTERVAL_MINUTES) || 15;
+    const steps = (process.env.ALERT_ESCALATION_RADII_KM || "10,20,40")
+      .split(",")
+      .map((value) => parseFloat(value))
+      .filter((radiusKm) => Number.isFinite(radiusKm) && radiusKm > 0)
+      .map((radiusKm) => ({ radiusKm }));
+
+    return { intervalMs: intervalMinutes * 60 * 1000, steps };
+  }
+
+  /**
+   * Raise priority by one level (critical stays critical)
+   */
+  bumpPriority(priority) {
+    const order = ["low", "medium", "high", "critical"];
+    const index = order.indexOf(priority);
+    return order[Math.min(Math.max(index, 0) + 1, order.length - 1)];
+  }
+
+  /**
+   * Escalate pending alerts nobody has accepted in time: widen the search
+   * radius, re-broadcast, bump priority and, at the last step, notify admins.
+   * Team alerts that are assigned but still understaffed escalate the same way.
+   */
+  async escalateUnclaimedAlerts() {
+    try {
+      const { intervalMs, steps } = this.getEscalationPolicy();
+      if (steps.length === 0) return;
+
+      const now = Date.now();
+      const alerts = await Alert.find({
+        ...Alert.openQuery(),
+        isActive: true,
+        // Routine care can wait; only emergencies escalate
+        category: { $ne: "routine" },
+        escalationLevel: { $lt: steps.length },
+        pendingSince: { $lte: new Date(now - intervalMs) },
+      });
+
+      for (const alert of alerts) {
+        // Next step is due one interval after the later of pending-since and the last step
+        let clockStart = Math.max(
+          alert.pendingSince.getTime(),
+          alert.lastEscalatedAt ? alert.lastEscalatedAt.getTime() : 0
+        );
+        // Upcoming (forecast) alerts only start escalating as their onset approaches
+        if (alert.source === "forecast" && alert.predictedOnset) {
+          clockStart = Math.max(clockStart, alert.predictedOnset.getTime() - intervalMs);
+        }
+        if (now - clockStart < intervalMs) continue;
+
+        await this.escalateAlert(alert, steps);
+      }
+    } catch (error) {
+      logger.error("Error escalating unclaimed alerts:", error);
+    }
+  }
+
+  /**
+   * Apply the next escalation step to a single alert
+   */
+  async escalateAlert(alert, steps) {
+    const level = alert.escalationLevel + 1;
+    const step = steps[level - 1];
+    const isFinalStep = level === steps.length;
+    const fromPriority = alert.priority;
+    const toPriority = this.bumpPriority(fromPriority);
+
+    // Claim this step atomically so two instances don't escalate the same alert twice
+    const claimed = await Alert.findOneAndUpdate(
+      { _id: alert._id, ...Alert.openQuery(), escalationLevel: alert.escalationLevel },
+      {
+        $set: {
+          escalationLevel: level,
+          lastEscalatedAt: new Date(),
+          priority: toPriority,
+          reachRadiusKm: step.radiusKm,
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const volunteers = await this.findNearbyVolunteers(
+      claimed.location.coordinates,
+      step.radiusKm,
+      { priority: claimed.priority }
+    );
+    if (volunteers.length > 0) {
+      await this.dispatchAlert(claimed, volunteers);
+    }
+
+    if (isFinalStep && global.io) {
+      global.io.to("admin").emit("alert-escalated", {
+        alertId: claimed._id,
+        level,
+        priority: toPriority,
+        radiusKm: step.radiusKm,
+        pendingSince: claimed.pendingSince,
+        volunteersNotified: volunteers.length,
+      });
+    }
+
+    const escalation = {
+      level,
+      radiusKm: step.radiusKm,
+      fromPriority,
+      toPriority,
+      volunteersNotified: volunteers.length,
+      adminNotified: isFinalStep && !!global.io,
+      minutesUnclaimed: Math.round((Date.now() - claimed.pendingSince.getTime()) / 60000),
+    };
+    claimed.escalations.push(escalation);
+    claimed.recordEvent("escalated", { details: escalation });
+    await claimed.save();
+
+    logger.info(
+      `Alert ${claimed._id} escalated to level ${level}/${steps.length} ` +
+        `(${step.radiusKm}km, ${fromPriority} -> ${toPriority}, ${volunteers.length} volunteers)`
+    );
+
+    return claimed;
+  }
+
   /**
    * Expire old alerts that weren't started
    */
@@ -441,6 +1077,9 @@ class AlertService {
       });
 
       for (const alert of alerts) {
+        const previousCrew = alert.crew.length
+          ? alert.crew.map((member) => member.volunteer)
+          : [alert.assignedTo].filter(Boolean);
         const expired = await alert.autoExpire();
         if (expired) {
           logger.info(`Alert ${alert._id} expired and released back to pending`);
@@ -449,18 +1088,30 @@ class AlertService {
           await alert.populate("tree", "name species location");
           const volunteers = await this.findNearbyVolunteers(
             alert.location.coordinates,
-            process.env.VOLUNTEER_MATCH_RADIUS || 5
+            alert.reachRadiusKm,
+            { priority: alert.priority }
           );
 
           if (volunteers.length > 0) {
-            await this.broadcastAlertToVolunteers(alert, volunteers);
+            await this.dispatchAlert(alert, volunteers);
           }
 
-          // Notify original volunteer that alert was released
-          if (alert.assignedTo && global.io) {
-            global.io
-              .to(`volunteer-${alert.assignedTo}`)
-              .emit("alert-expired", { alertId: alert._id });
+          // Free the released crew and tell them
+          // (rooms are keyed by user id, crew entries are volunteer profiles)
+          if (previousCrew.length > 0) {
+            await VolunteerProfile.updateMany(
+              { _id: { $in: previousCrew }, status: "busy" },
+              { $set: { status: "available" } }
+            );
+
+            if (global.io) {
+              const holders = await VolunteerProfile.find({ _id: { $in: previousCrew } }).select("user");
+              holders.forEach((holder) => {
+                global.io
+                  .to(`volunteer-${holder.user}`)
+                  .emit("alert-expired", { alertId: alert._id });
+              });
+            }
           }
         }
       }
@@ -469,6 +1120,52 @@ class AlertService {
     }
   }
 
+  /**
+   * Compare a volunteer's device position with the alert location.
+   * Tolerance is ALERT_CHECKIN_TOLERANCE_METERS (default 200) plus the device's
+   * reported accuracy, capped at the tolerance so a vague fix can't double it.
+   * @param {Object} alert - Alert document
+   * @param {Object} position
+   * @param {number[]} [position.coordinates] - [longitude, latitude] from the device
+   * @param {number} [position.accuracy] - Device accuracy radius in meters
+   * @returns {Object} Check-in record for alert.checkIns (flagged when missing or out of range)
+   */
+  evaluateCheckIn(alert, { coordinates, accuracy } = {}) {
+    const toleranceMeters = parseFloat(process.env.ALERT_CHECKIN_TOLERANCE_METERS) || 200;
+    const accuracyMeters = Number.isFinite(Number(accuracy)) ? Math.max(0, Number(accuracy)) : null;
+
+    const valid =
+      Array.isArray(coordinates) &&
+      coordinates.length === 2 &&
+      coordinates.every((value) => Number.isFinite(Number(value))) &&
+      Math.abs(coordinates[0]) <= 180 &&
+      Math.abs(coordinates[1]) <= 90;
+
+    if (!valid) {
+      return {
+        at: new Date(),
+        toleranceMeters,
+        withinRange: false,
+        flagReason: "location_missing",
+      };
+    }
+
+    const point = coordinates.map(Number);
+    const distanceMeters = Math.round(distanceKm(point, alert.location.coordinates) * 1000);
+    const allowedMeters = toleranceMeters + Math.min(accuracyMeters || 0, toleranceMeters);
+    const withinRange = distanceMeters <= allowedMeters;
+
+    return {
+      at: new Date(),
+      location: { type: "Point", coordinates: point },
+      accuracyMeters,
+      distanceMeters,
+      toleranceMeters,
+      withinRange,
+      flagReason: withinRange ? null : "out_of_range",
+    };
+  }
+
   /**
    * Notify volunteers when alert is accepted by someone
    */
@@ -0,0 +1,173 @@
+const os = require("os");
+const cron = require("node-cron");
+const Tree = require("../models/Tree");
+const Alert = require("../models/Alert");
+const CarePlan = require("../models/CarePlan");
+const JobLock = require("../models/JobLock");
+const alertService = require("./alertService");
+const logger = require("../utils/logger");
+
+const CARE_JOB = "care-scheduling";
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const OPEN_STATUSES = ["pending", "assigned", "in_progress", "awaiting_review"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+class CareScheduleService {
+  constructor() {
+    this.scheduleJob = null;
+    this.isRunning = false;
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+  }
+
+  /**
+   * Start the care scheduler (CARE_SCHEDULE_CRON, default daily at 06:00)
+   */
+  startCareScheduling() {
+    const expression = process.env.CARE_SCHEDULE_CRON || "0 6 * * *";
+    if (!cron.validate(expression)) {
+      logger.error(`Invalid CARE_SCHEDULE_CRON "${expression}"; care scheduling not started`);
+      return;
+    }
+
+    this.scheduleJob = cron.schedule(expression, async () => {
+      await this.runCarePlans({ trigger: "cron" });
+    });
+
+    logger.info(`Care scheduling started (${expression})`);
+  }
+
+  /**
+   * Stop the care scheduler
+   */
+  stopCareScheduling() {
+    if (this.scheduleJob) {
+      this.scheduleJob.stop();
+      logger.info("Care scheduling stopped");
+    }
+  }
+
+  /**
+   * Trees a plan covers: its own tree, or every active tree of its species
+   */
+  async treesForPlan(plan) {
+    if (plan.tree) {
+      return Tree.find({ _id: plan.tree, isActive: true });
+    }
+    return Tree.find({
+      species: new RegExp(`^${escapeRegex(plan.species)}$`, "i"),
+      isActive: true,
+    });
+  }
+
+  /**
+   * Generate routine alerts for every care task that has fallen due.
+   * A tree's own plan for a task replaces its species plan for that task, and
+   * no new task is created while the previous one for the same plan is still open.
+   * The lock is renewed before each plan; a run that loses it stops (`interrupted`),
+   * since the open-task check would not stop two instances creating duplicates.
+   * @param {Object} [options]
+   * @param {string} [options.trigger="cron"] - "cron" or "manual"
+   * @returns {Promise<Object|null>} Run summary, or null when another run holds the lock
+   */
+  async runCarePlans({ trigger = "cron" } = {}) {
+    if (this.isRunning) {
+      logger.warn("Care scheduling skipped: a run is already in progress on this instance");
+      return null;
+    }
+
+    const owner = `${this.instanceId}-${Date.now()}`;
+    if (!(await JobLock.acquire(CARE_JOB, owner, LOCK_TTL_MS))) {
+      logger.info("Care scheduling skipped: another instance holds the lock");
+      return null;
+    }
+
+    this.isRunning = true;
+    const summary = {
+      trigger,
+      plans: 0,
+      treesChecked: 0,
+      created: 0,
+      failed: 0,
+      interrupted: false,
+    };
+
+    try {
+      const now = new Date();
+      const plans = await CarePlan.find({ isActive: true });
+      summary.plans = plans.length;
+
+      const overridden = new Set(
+        plans.filter((plan) => plan.tree).map((plan) => `${plan.tree}|${plan.task}`)
+      );
+
+      for (const plan of plans) {
+        if (!(await JobLock.acquire(CARE_JOB, owner, LOCK_TTL_MS))) {
+          summary.interrupted = true;
+          logger.warn("Care scheduling stopped: the lock expired and another instance took it");
+          break;
+        }
+
+        const trees = await this.treesForPlan(plan);
+
+        for (const tree of trees) {
+          if (!plan.tree && overridden.has(`${tree._id}|${plan.task}`)) continue;
+          if (!plan.appliesTo(tree, now)) continue;
+          summary.treesChecked += 1;
+
+          try {
+            const alert = await this.scheduleTask(plan, tree, now);
+            if (alert) summary.created += 1;
+          } catch (error) {
+            summary.failed += 1;
+            logger.error(`Care plan ${plan._id} failed for tree ${tree._id}:`, error);
+          }
+        }
+
+        plan.lastRunAt = now;
+        await plan.save();
+      }
+
+      logger.info(
+        `Care scheduling (${trigger}): ${summary.created} task(s) created ` +
+          `from ${summary.plans} plan(s), ${summary.treesChecked} tree(s) checked`
+      );
+      return summary;
+    } finally {
+      this.isRunning = false;
+      await JobLock.release(CARE_JOB, owner);
+    }
+  }
+
+  /**
+   * Create and dispatch the next task of a plan for one tree if it is due
+   * @returns {Promise<Object|null>} The new alert, or null when nothing is due
+   */
+  async scheduleTask(plan, tree, now = new Date()) {
+    const open = await Alert.exists({
+      carePlan: plan._id,
+      tree: tree._id,
+      status: { $in: OPEN_STATUSES },
+      isActive: true,
+    });
+    if (open) return null;
+
+    const last = await Alert.findOne({ carePlan: plan._id, tree: tree._id })
+      .sort({ dueDate: -1 })
+      .select("dueDate");
+
+    const dueDate = plan.nextDueDate(tree, last?.dueDate || null);
+    if (dueDate > now) return null;
+
+    // Missed runs don't pile up: a task more than an interval overdue is due now
+    // and the next one counts from here
+    const intervalMs = plan.intervalDays * 24 * 60 * 60 * 1000;
+    const effectiveDue = now - dueDate > intervalMs ? now : dueDate;
+
+    const alert = await alertService.createRoutineAlert(tree, plan, effectiveDue);
+    await alertService.notifyNearbyVolunteers(alert, tree);
+    return alert;
+  }
+}
+
+module.exports = new CareScheduleService();
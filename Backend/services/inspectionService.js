@@ -0,0 +1,85 @@
+const TreeInspection = require("../models/TreeInspection");
+
+const INSPECTION_FIELDS = [
+  "inspectedAt",
+  "heightM",
+  "trunkDiameterCm",
+  "canopy",
+  "pests",
+  "damage",
+  "notes",
+];
+
+/**
+ * Pick the inspection fields a client may set from a request body.
+ * Photos hosted elsewhere can be passed as `photoUrls`; uploads go through the photos route.
+ */
+const pickInspectionFields = (body = {}) => {
+  const fields = {};
+  INSPECTION_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+
+  if (Array.isArray(body.photoUrls)) {
+    fields.photos = body.photoUrls
+      .filter((url) => typeof url === "string" && url.trim())
+      .map((url) => ({ url: url.trim() }));
+  }
+  return fields;
+};
+
+/**
+ * Build and validate (but don't save) an inspection, so callers can check it
+ * before changing anything else
+ * @param {Object} tree - Tree document or id
+ * @param {string} inspector - User id
+ * @param {Object} body - Request body fields
+ * @param {Object} [options]
+ * @param {Object} [options.alert] - Alert the inspection came from
+ * @param {Array} [options.photos] - Extra photo entries (e.g. the alert's after photos)
+ * @returns {Promise<Object>} Unsaved TreeInspection document
+ */
+const prepareInspection = async (tree, inspector, body, { alert = null, photos = [] } = {}) => {
+  const fields = pickInspectionFields(body);
+
+  const inspection = new TreeInspection({
+    ...fields,
+    photos: [...(fields.photos || []), ...photos],
+    tree: tree._id || tree,
+    inspector,
+    alert: alert ? alert._id : null,
+  });
+
+  await inspection.validate();
+  return inspection;
+};
+
+/**
+ * Save a prepared inspection and refresh the tree's health score
+ * @returns {Promise<{inspection: Object, health: Object}>}
+ */
+const saveInspection = async (inspection) => {
+  await inspection.save();
+  const health = await TreeInspection.refreshTreeHealth(inspection.tree);
+  return { inspection, health };
+};
+
+/**
+ * Inspection photo entries that point at an alert's "after" photos.
+ * Storage keys are left out so deleting the inspection never deletes the alert's files.
+ */
+const photosFromAlert = (alert) =>
+  (alert.photos || [])
+    .filter((photo) => photo.kind === "after")
+    .map((photo) => ({
+      url: photo.url,
+      thumbnailUrl: photo.thumbnailUrl,
+      capturedAt: photo.capturedAt,
+    }));
+
+module.exports = {
+  pickInspectionFields,
+  prepareInspection,
+  saveInspection,
+  photosFromAlert,
+};
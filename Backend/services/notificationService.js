@@ -2,16 +2,24 @@
 const nodemailer = require('nodemailer');
 const Event = require('../models/Event');
 
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
 class NotificationService {
   constructor() {
     // Create email transporter
+    // EMAIL_* or the SMTP_* names used in .env.example
     this.transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-      port: process.env.EMAIL_PORT || 587,
+      host: process.env.EMAIL_HOST || process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: process.env.EMAIL_PORT || process.env.SMTP_PORT || 587,
       secure: false,
       auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
+        user: process.env.EMAIL_USER || process.env.SMTP_USER,
+        pass: process.env.EMAIL_PASS || process.env.SMTP_PASS
       }
     });
   }
@@ -82,10 +90,42 @@ class NotificationService {
     }
   }
 
-  async sendEmail({ to, subject, html }) {
+  async sendVerificationEmail(user, url) {
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Confirm your Forisswell email address',
+      html: this.getVerificationEmailTemplate(user, url),
+      fromName: 'Forisswell'
+    });
+  }
+
+  async sendPasswordResetEmail(user, url) {
+    return this.sendEmail({
+      to: user.email,
+      subject: 'Reset your Forisswell password',
+      html: this.getPasswordResetEmailTemplate(user, url),
+      fromName: 'Forisswell'
+    });
+  }
+
+  async sendVolunteerApplicationDecision(user, application) {
+    const approved = application.status === 'approved';
+    return this.sendEmail({
+      to: user.email,
+      subject: approved
+        ? 'Welcome aboard: your Forisswell volunteer application was approved'
+        : 'Your Forisswell volunteer application',
+      html: this.getVolunteerApplicationDecisionTemplate(user, application),
+      fromName: 'Forisswell'
+    });
+  }
+
+  // Resolves true when the email was handed to the transport (or logged in development)
+  async sendEmail({ to, subject, html, fromName = 'Community Events' }) {
     try {
+      const sender = process.env.EMAIL_FROM || process.env.SENDER_EMAIL || 'noreply@plantapp.com';
       const mailOptions = {
-        from: `"Community Events" <${process.env.EMAIL_FROM || 'noreply@plantapp.com'}>`,
+        from: `"${fromName}" <${sender}>`,
         to,
         subject,
         html
@@ -95,12 +135,14 @@ class NotificationService {
       if (process.env.NODE_ENV === 'development') {
         console.log('Email sent:', { to, subject });
         console.log('Content:', html);
-        return;
+        return true;
       }
 
       await this.transporter.sendMail(mailOptions);
+      return true;
     } catch (error) {
       console.error('Error sending email:', error);
+      return false;
     }
   }
 
@@ -137,6 +179,59 @@ class NotificationService {
     `;
   }
 
+  getVerificationEmailTemplate(user, url) {
+    const hours = parseFloat(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2e7d32;">Confirm your email</h2>
+        <p>Hello ${escapeHtml(user.fullName)},</p>
+        <p>Please confirm this address to finish setting up your Forisswell account.</p>
+        <p style="margin: 30px 0;">
+          <a href="${escapeHtml(url)}" style="background-color: #2e7d32; color: #fff; padding: 12px 20px; border-radius: 5px; text-decoration: none;">Confirm email</a>
+        </p>
+        <p>This link expires in ${hours} hours and can only be used once.</p>
+        <p>If you didn't create an account, you can ignore this email.</p>
+      </div>
+    `;
+  }
+
+  getPasswordResetEmailTemplate(user, url) {
+    const minutes = parseFloat(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2e7d32;">Reset your password</h2>
+        <p>Hello ${escapeHtml(user.fullName)},</p>
+        <p>Someone asked to reset the password for your Forisswell account.</p>
+        <p style="margin: 30px 0;">
+          <a href="${escapeHtml(url)}" style="background-color: #2e7d32; color: #fff; padding: 12px 20px; border-radius: 5px; text-decoration: none;">Choose a new password</a>
+        </p>
+        <p>This link expires in ${minutes} minutes and can only be used once.</p>
+        <p>If it wasn't you, ignore this email; your password won't change.</p>
+      </div>
+    `;
+  }
+
+  getVolunteerApplicationDecisionTemplate(user, application) {
+    const approved = application.status === 'approved';
+    const note = application.reviewNote
+      ? `<p><strong>${approved ? 'Note' : 'Reason'}:</strong> ${escapeHtml(application.reviewNote)}</p>`
+      : '';
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2e7d32;">${approved ? 'You are now a volunteer' : 'Volunteer application update'}</h2>
+        <p>Hello ${escapeHtml(user.fullName)},</p>
+        ${approved
+          ? '<p>Your application was approved. Your volunteer profile is ready, and you will start receiving tree care alerts near you.</p>'
+          : '<p>Thank you for applying. Unfortunately we could not approve your volunteer application this time.</p>'}
+        ${note}
+        ${approved ? '' : '<p>You are welcome to apply again later.</p>'}
+      </div>
+    `;
+  }
+
   getJoinConfirmationTemplate(event, user, status) {
     const statusMessage = status === 'confirmed' 
       ? 'You have successfully joined' 
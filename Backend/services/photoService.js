@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+const { getStorage, adapters } = require("./photoStorage");
+const logger = require("../utils/logger");
+
+const THUMBNAIL_WIDTH = 320;
+const MAX_DIMENSION = 2560;
+
+/**
+ * Upload limits from env:
+ *   PHOTO_MAX_SIZE_MB - per file (default 8)
+ *   PHOTO_MAX_FILES   - per request (default 5)
+ *   PHOTO_MAX_PER_ALERT - total kept on one alert (default 20)
+ */
+const getLimits = () => ({
+  maxSizeBytes: Math.round((parseFloat(process.env.PHOTO_MAX_SIZE_MB) || 8) * 1024 * 1024),
+  maxFiles: parseInt(process.env.PHOTO_MAX_FILES) || 5,
+  maxPerAlert: parseInt(process.env.PHOTO_MAX_PER_ALERT) || 20,
+  allowedTypes: ["image/jpeg", "image/png", "image/webp"],
+});
+
+// EXIF dates are stored as "YYYY:MM:DD HH:MM:SS"; exif-reader parses them as UTC
+const toExifDate = (date) =>
+  date.toISOString().slice(0, 19).replace("T", " ").replace(/-/g, ":");
+
+/**
+ * Read capture time (and whether GPS data was present) from the original EXIF
+ */
+const readExif = (exifBuffer) => {
+  if (!exifBuffer) return { capturedAt: null, hadLocation: false };
+
+  try {
+    const exif = exifReader(exifBuffer);
+    const capturedAt = exif.Photo?.DateTimeOriginal || exif.Image?.DateTime || null;
+    return {
+      capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt : null,
+      hadLocation: !!exif.GPSInfo && Object.keys(exif.GPSInfo).length > 0,
+    };
+  } catch (error) {
+    logger.warn(`Could not parse photo EXIF: ${error.message}`);
+    return { capturedAt: null, hadLocation: false };
+  }
+};
+
+/**
+ * Normalise an uploaded image: apply EXIF orientation, cap its size and re-encode
+ * as JPEG with all metadata dropped except the capture time (so GPS location never
+ * leaves the device), plus a small thumbnail.
+ * @param {Buffer} buffer - Raw upload
+ * @returns {Promise<{image: Buffer, thumbnail: Buffer, width: number, height: number, capturedAt: Date|null, hadLocation: boolean}>}
+ */
+const processPhoto = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  const { capturedAt, hadLocation } = readExif(metadata.exif);
+
+  const exif = capturedAt
+    ? {
+        IFD0: { DateTime: toExifDate(capturedAt) },
+        IFD2: { DateTimeOriginal: toExifDate(capturedAt) },
+      }
+    : null;
+
+  let pipeline = sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 85, mozjpeg: true });
+  if (exif) pipeline = pipeline.withExif(exif);
+
+  const { data: image, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(image)
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  return {
+    image,
+    thumbnail,
+    width: info.width,
+    height: info.height,
+    capturedAt,
+    hadLocation,
+  };
+};
+
+/**
+ * Process and store one photo under a key prefix
+ * @param {string} prefix - e.g. "alerts/<id>/before"
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<Object>} Stored photo fields (url, thumbnailUrl, keys, size, capturedAt...)
+ */
+const storePhoto = async (prefix, file) => {
+  const processed = await processPhoto(file.buffer);
+  const storage = getStorage();
+
+  const id = crypto.randomUUID();
+  const baseKey = `${prefix}-${id}`;
+
+  const original = await storage.save(`${baseKey}.jpg`, processed.image, "image/jpeg");
+  let thumb;
+  try {
+    thumb = await storage.save(`${baseKey}-thumb.jpg`, processed.thumbnail, "image/jpeg");
+  } catch (error) {
+    await storage.remove(original.key).catch(() => {});
+    throw error;
+  }
+
+  return {
+    url: original.url,
+    thumbnailUrl: thumb.url,
+    key: original.key,
+    thumbnailKey: thumb.key,
+    storage: storage.name,
+    contentType: "image/jpeg",
+    size: processed.image.length,
+    originalName: file.originalname,
+    width: processed.width,
+    height: processed.height,
+    capturedAt: processed.capturedAt,
+    locationStripped: processed.hadLocation,
+    uploadedAt: new Date(),
+  };
+};
+
+/**
+ * Process and store one photo for an alert
+ * @param {Object} alert - Alert document
+ * @param {Object} file - Multer file (memory storage)
+ * @param {Object} options
+ * @param {string} options.kind - "before" | "after"
+ * @param {Object} options.uploadedBy - VolunteerProfile id
+ * @returns {Promise<Object>} Entry for alert.photos
+ */
+const storeAlertPhoto = async (alert, file, { kind, uploadedBy }) => ({
+  kind,
+  ...(await storePhoto(`alerts/${alert._id}/${kind}`, file)),
+  uploadedBy,
+});
+
+/**
+ * Delete a stored photo and its thumbnail (best effort)
+ */
+const removePhoto = async (photo) => {
+  const storage = adapters[photo.storage] || getStorage();
+  await Promise.all(
+    [photo.key, photo.thumbnailKey]
+      .filter(Boolean)
+      .map((key) =>
+        storage.remove(key).catch((error) => {
+          logger.error(`Failed to delete photo ${key}:`, error);
+        })
+      )
+  );
+};
+
+module.exports = {
+  getLimits,
+  processPhoto,
+  storePhoto,
+  storeAlertPhoto,
+  removePhoto,
+};
@@ -0,0 +1,35 @@
+const localStorage = require("./localStorage");
+const s3Storage = require("./s3Storage");
+
+/**
+ * Photo storage adapters all implement the same interface:
+ *   name: string
+ *   save(key, buffer, contentType) -> { key, url }
+ *   remove(key) -> void
+ */
+const adapters = {
+  [localStorage.name]: localStorage,
+  [s3Storage.name]: s3Storage,
+};
+
+/**
+ * Adapter selected by PHOTO_STORAGE (defaults to local disk).
+ * @returns {Object} Storage adapter
+ */
+const getStorage = () => {
+  const name = (process.env.PHOTO_STORAGE || localStorage.name).toLowerCase();
+  const adapter = adapters[name];
+
+  if (!adapter) {
+    throw new Error(
+      `Unknown PHOTO_STORAGE "${name}". Use one of: ${Object.keys(adapters).join(", ")}`
+    );
+  }
+
+  return adapter;
+};
+
+module.exports = {
+  getStorage,
+  adapters,
+};
@@ -0,0 +1,44 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "..", "uploads");
+
+/**
+ * Directory photos are written to (PHOTO_UPLOAD_DIR, default Backend/uploads).
+ * app.js serves it at /uploads.
+ */
+const getUploadDir = () => path.resolve(process.env.PHOTO_UPLOAD_DIR || DEFAULT_DIR);
+
+// Keys are generated by photoService, but never let one escape the upload dir
+const resolveKey = (key) => {
+  const dir = getUploadDir();
+  const filePath = path.resolve(dir, key);
+  if (!filePath.startsWith(dir + path.sep)) {
+    throw new Error(`Invalid photo key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  const baseUrl = (process.env.PHOTO_PUBLIC_BASE_URL || "/uploads").replace(/\/$/, "");
+  return { key, url: `${baseUrl}/${key}` };
+};
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+};
+
+module.exports = {
+  name: "local",
+  getUploadDir,
+  save,
+  remove,
+};
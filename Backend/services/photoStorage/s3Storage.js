@@ -0,0 +1,85 @@
+/**
+ * S3-compatible storage (AWS S3, MinIO, Cloudflare R2, DigitalOcean Spaces...).
+ *   S3_BUCKET            - bucket name (required)
+ *   S3_REGION            - region (default us-east-1)
+ *   S3_ENDPOINT          - custom endpoint for non-AWS providers
+ *   S3_FORCE_PATH_STYLE  - "true" for MinIO-style bucket URLs
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY - credentials (default AWS credential chain)
+ *   S3_PUBLIC_BASE_URL   - public URL prefix for objects (e.g. a CDN)
+ */
+let client = null;
+
+const getConfig = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required when PHOTO_STORAGE=s3");
+  }
+
+  return {
+    bucket,
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    publicBaseUrl: process.env.S3_PUBLIC_BASE_URL,
+  };
+};
+
+const getClient = () => {
+  if (!client) {
+    // Loaded lazily so local-only deployments never touch the AWS SDK
+    const { S3Client } = require("@aws-sdk/client-s3");
+    const { region, endpoint, forcePathStyle } = getConfig();
+    const hasKeys = process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY;
+
+    client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      ...(hasKeys
+        ? {
+            credentials: {
+              accessKeyId: process.env.S3_ACCESS_KEY_ID,
+              secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            },
+          }
+        : {}),
+    });
+  }
+  return client;
+};
+
+const publicUrl = (key) => {
+  const { bucket, region, endpoint, forcePathStyle, publicBaseUrl } = getConfig();
+  if (publicBaseUrl) return `${publicBaseUrl.replace(/\/$/, "")}/${key}`;
+  if (endpoint) {
+    const base = endpoint.replace(/\/$/, "");
+    return forcePathStyle ? `${base}/${bucket}/${key}` : `${base.replace("://", `://${bucket}.`)}/${key}`;
+  }
+  return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+};
+
+const save = async (key, buffer, contentType) => {
+  const { PutObjectCommand } = require("@aws-sdk/client-s3");
+  await getClient().send(
+    new PutObjectCommand({
+      Bucket: getConfig().bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: "public, max-age=31536000, immutable",
+    })
+  );
+
+  return { key, url: publicUrl(key) };
+};
+
+const remove = async (key) => {
+  const { DeleteObjectCommand } = require("@aws-sdk/client-s3");
+  await getClient().send(new DeleteObjectCommand({ Bucket: getConfig().bucket, Key: key }));
+};
+
+module.exports = {
+  name: "s3",
+  save,
+  remove,
+};
@@ -8,6 +8,27 @@ const normalizeBaseUrl = (input) => {
   return withProtocol.replace(/\/+$/, "");
 };
 
+// Nominatim's usage policy allows at most one request per second, so every
+// lookup in this process goes through one queue spaced NOMINATIM_MIN_INTERVAL_MS apart.
+let queue = Promise.resolve();
+let lastRequestAt = 0;
+
+const minIntervalMs = () => {
+  const value = Number(process.env.NOMINATIM_MIN_INTERVAL_MS || 1000);
+  return Number.isFinite(value) && value >= 0 ? value : 1000;
+};
+
+const throttled = (fn) => {
+  const run = queue.then(async () => {
+    const wait = lastRequestAt + minIntervalMs() - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    lastRequestAt = Date.now();
+    return fn();
+  });
+  queue = run.catch(() => {});
+  return run;
+};
+
 const firstNonEmptyString = (...values) => {
   for (const value of values) {
     if (typeof value === "string" && value.trim()) return value.trim();
@@ -17,7 +38,7 @@ const firstNonEmptyString = (...values) => {
 
 /**
  * Reverse geocode coordinates (GeoJSON [lon, lat]) into a human-readable address.
- * Uses OpenStreetMap Nominatim by default.
+ * Uses OpenStreetMap Nominatim by default; requests are rate limited (see throttled).
  *
  * @param {number} lon
  * @param {number} lat
@@ -37,21 +58,23 @@ const reverseGeocode = async (lon, lat) => {
   const url = `${baseUrl}/reverse`;
 
   try {
-    const response = await axios.get(url, {
-      params: {
-        format: "jsonv2",
-        lat,
-        lon,
-        addressdetails: 1,
-        ...(email ? { email } : {}),
-      },
-      headers: {
-        "User-Agent": userAgent,
-        Accept: "application/json",
-        ...(acceptLanguage ? { "Accept-Language": acceptLanguage } : {}),
-      },
-      timeout: Number.isFinite(timeoutMs) ? timeoutMs : 4000,
-    });
+    const response = await throttled(() =>
+      axios.get(url, {
+        params: {
+          format: "jsonv2",
+          lat,
+          lon,
+          addressdetails: 1,
+          ...(email ? { email } : {}),
+        },
+        headers: {
+          "User-Agent": userAgent,
+          Accept: "application/json",
+          ...(acceptLanguage ? { "Accept-Language": acceptLanguage } : {}),
+        },
+        timeout: Number.isFinite(timeoutMs) ? timeoutMs : 4000,
+      })
+    );
 
     const data = response.data || {};
     const address = data.address || {};
@@ -0,0 +1,130 @@
+const os = require("os");
+const crypto = require("crypto");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const JobLock = require("../models/JobLock");
+const { ROLES, permissionsFor, isRegionScoped } = require("../config/permissions");
+const logger = require("../utils/logger");
+
+/**
+ * Direction of a role change, from the permissions each role grants. Roles are
+ * not a ladder (a tree_steward and a coordinator each have permissions the
+ * other lacks), so a change that both adds and removes permissions is "lateral".
+ * @returns {"same"|"promote"|"demote"|"lateral"}
+ */
+const compareRoles = (fromRole, toRole) => {
+  if (fromRole === toRole) return "same";
+
+  const from = permissionsFor(fromRole);
+  const to = permissionsFor(toRole);
+  const gains = to.some((permission) => !from.includes(permission));
+  const losses = from.some((permission) => !to.includes(permission));
+
+  if (gains && losses) return "lateral";
+  return gains ? "promote" : "demote";
+};
+
+// Admin demotions take this lock so two of them can't both pass the
+// "another active admin remains" count before either is saved
+const ADMIN_DEMOTION_LOCK = "admin-demotion";
+const ADMIN_DEMOTION_LOCK_TTL_MS = 30 * 1000;
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Change a user's role and write the audit record.
+ * Refuses changes that would leave no active admin; admin demotions are
+ * serialized with a JobLock so concurrent ones can't both pass that check.
+ * @param {Object} user - User document
+ * @param {string} role - New role
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Admin making the change (omit for CLI)
+ * @param {"api"|"cli"} [options.via="api"]
+ * @param {string} [options.region] - Region for region-scoped roles (coordinator); keeps the current one if omitted
+ * @param {string} [options.reason]
+ * @param {string} [options.ip]
+ * @param {string} [options.action] - Audit action (default promote/demote from the rank change)
+ * @returns {Promise<{user: Object, audit: Object}>}
+ */
+const changeRole = async (
+  user,
+  role,
+  { actor = null, via = "api", region, reason, ip, action } = {}
+) => {
+  if (!ROLES.includes(role)) {
+    throw createError(400, `Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  // Region-scoped roles see nothing without a region; everyone else has none
+  const scoped = isRegionScoped({ role });
+  const newRegion = scoped ? (region || user.region || "").toString().trim() : undefined;
+  if (scoped && !newRegion) {
+    throw createError(400, `Please provide the region this ${role} looks after`);
+  }
+
+  const fromRole = user.role;
+  if (fromRole === role && !action) {
+    throw createError(400, `User is already ${role === "admin" ? "an" : "a"} ${role}`);
+  }
+
+  const demotesAdmin = fromRole === "admin" && role !== "admin";
+  const lockOwner = `${os.hostname()}-${process.pid}-${crypto.randomUUID()}`;
+  if (demotesAdmin && !(await JobLock.acquire(ADMIN_DEMOTION_LOCK, lockOwner, ADMIN_DEMOTION_LOCK_TTL_MS))) {
+    throw createError(409, "Another admin is being demoted, please try again");
+  }
+
+  try {
+    if (demotesAdmin) {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: "admin",
+        isActive: true,
+      });
+      if (otherAdmins === 0) {
+        throw createError(409, "Cannot demote the last active admin");
+      }
+    }
+
+    user.role = role;
+    user.region = newRegion;
+    await user.save({ validateBeforeSave: false });
+  } finally {
+    if (demotesAdmin) {
+      await JobLock.release(ADMIN_DEMOTION_LOCK, lockOwner).catch((err) =>
+        logger.error("Failed to release admin demotion lock:", err)
+      );
+    }
+  }
+
+  const audit = await AuditLog.create({
+    action: action || (compareRoles(fromRole, role) === "promote" ? "role.promote" : "role.demote"),
+    actor: actor ? actor._id : undefined,
+    via,
+    targetUser: user._id,
+    targetEmail: user.email,
+    fromRole,
+    toRole: role,
+    region: newRegion,
+    reason,
+    ip,
+  });
+
+  // Live sockets joined role rooms (e.g. "admin") at connect; make them reconnect
+  if (global.io && fromRole !== role) {
+    global.io.in(`volunteer-${user._id}`).disconnectSockets(true);
+  }
+
+  logger.info(
+    `Role change: ${user.email} ${fromRole} -> ${role} by ${actor ? actor.email : via}`
+  );
+  return { user, audit };
+};
+
+module.exports = {
+  compareRoles,
+  changeRole,
+};
@@ -0,0 +1,236 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { describeDevice } = require("../utils/userAgent");
+const logger = require("../utils/logger");
+
+const jwtSecret =
+  process.env.JWT_SECRET || "your-secret-key-change-this-in-production";
+
+const ACCESS_COOKIE = "token";
+const REFRESH_COOKIE = "refreshToken";
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const refreshLifetimeMs = () => {
+  const days = parseFloat(process.env.REFRESH_TOKEN_EXPIRES_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+};
+
+// How long a just-rotated refresh token is still accepted. Covers tabs that
+// refreshed at the same time and sent the cookie before the new one was set.
+const reuseGraceMs = () => {
+  const seconds = parseFloat(process.env.REFRESH_REUSE_GRACE_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 30) * 1000;
+};
+
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.COOKIE_SAME_SITE || "lax",
+});
+
+class SessionService {
+  constructor() {
+    this.ACCESS_COOKIE = ACCESS_COOKIE;
+    this.REFRESH_COOKIE = REFRESH_COOKIE;
+  }
+
+  /**
+   * Start a session for a freshly authenticated user
+   * @returns {Promise<{session: Object, refreshToken: string}>}
+   */
+  async startSession(user, req) {
+    const userAgent = (req.get("user-agent") || "").slice(0, 512);
+    const session = new Session({
+      user: user._id,
+      userAgent,
+      device: describeDevice(userAgent),
+      ip: req.ip,
+    });
+    const refreshToken = session.issueRefreshToken(refreshLifetimeMs());
+    await session.save();
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Short-lived access token (JWT_ACCESS_EXPIRES_IN, default 15m) tied to a session
+   * @returns {{token: string, expiresAt: Date}}
+   */
+  signAccessToken(user, session) {
+    const token = jwt.sign({ id: user._id.toString(), sid: session._id.toString() }, jwtSecret, {
+      expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
+    });
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+  }
+
+  /**
+   * Swap a refresh token for a new one. Presenting a token that was already
+   * rotated out revokes the whole session, since someone else has a copy,
+   * unless it was rotated out within the grace window (REFRESH_REUSE_GRACE_SECONDS,
+   * default 30): then the caller gets an access token and no new refresh token,
+   * and keeps the refresh cookie the other request already set.
+   * @returns {Promise<{user: Object, session: Object, refreshToken: ?string}>}
+   */
+  async rotate(refreshToken, req) {
+    let { session, reused } = await Session.findByRefreshToken(refreshToken);
+
+    if (!session) {
+      throw createError(401, "Invalid refresh token, please log in again");
+    }
+
+    if (!reused) {
+      if (!session.isActive()) {
+        throw createError(401, "Session has expired or was revoked, please log in again");
+      }
+      const user = await this.activeUser(session);
+
+      const swapped = await Session.swapRefreshToken(
+        session._id,
+        refreshToken,
+        refreshLifetimeMs(),
+        { ip: req.ip }
+      );
+      if (swapped) {
+        return { user, session: swapped.session, refreshToken: swapped.refreshToken };
+      }
+
+      // A concurrent refresh rotated (or revoked) it first: re-read and treat
+      // this request as a reuse of the now previous token
+      ({ session, reused } = await Session.findByRefreshToken(refreshToken));
+      if (!session || !reused) {
+        throw createError(401, "Session has expired or was revoked, please log in again");
+      }
+    }
+
+    const inGrace =
+      !!session.rotatedAt && Date.now() - session.rotatedAt.getTime() <= reuseGraceMs();
+
+    if (!inGrace) {
+      if (session.isActive()) {
+        await this.revokeSession(session, "token_reuse");
+        logger.warn(`Refresh token reuse detected for session ${session._id}; session revoked`);
+      }
+      throw createError(401, "Invalid refresh token, please log in again");
+    }
+
+    if (!session.isActive()) {
+      throw createError(401, "Session has expired or was revoked, please log in again");
+    }
+
+    const user = await this.activeUser(session);
+    return { user, session, refreshToken: null };
+  }
+
+  // The session's user, revoking the session when the account is gone or deactivated
+  async activeUser(session) {
+    const user = await User.findById(session.user).select("-password");
+    if (!user || !user.isActive) {
+      await this.revokeSession(session, "revoked");
+      throw createError(401, "User not found or inactive");
+    }
+    return user;
+  }
+
+  /**
+   * Resolve the user and session behind a verified access token payload.
+   * Used by both the HTTP `protect` middleware and the Socket.io handshake.
+   * @param {Object} decoded - jwt.verify result
+   * @returns {Promise<{user: Object, session: Object}>}
+   */
+  async authenticate(decoded) {
+    if (!decoded.sid) {
+      throw createError(401, "Session expired, please log in again");
+    }
+
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id).select("-password"),
+      Session.findById(decoded.sid),
+    ]);
+
+    if (!user) {
+      throw createError(401, "User not found");
+    }
+    if (!user.isActive) {
+      throw createError(401, "Account has been deactivated");
+    }
+    if (!session || !session.user.equals(user._id) || !session.isActive()) {
+      throw createError(401, "Session has been revoked, please log in again");
+    }
+    if (user.changedPasswordAfter(decoded.iat)) {
+      throw createError(401, "Password was changed recently, please log in again");
+    }
+
+    return { user, session };
+  }
+
+  /**
+   * Revoke one session and disconnect its sockets
+   */
+  async revokeSession(session, reason = "revoked") {
+    if (session.revokedAt) return session;
+
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { revokedAt: session.revokedAt, revokedReason: reason } }
+    );
+    this.disconnectSockets([session._id]);
+    return session;
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, { except = null, reason = "revoked_all" } = {}) {
+    const filter = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+    if (except) filter._id = { $ne: except };
+
+    const sessions = await Session.find(filter).select("_id");
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map((session) => session._id);
+    await Session.updateMany(
+      { _id: { $in: ids } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    this.disconnectSockets(ids);
+    return ids.length;
+  }
+
+  disconnectSockets(sessionIds) {
+    if (!global.io) return;
+    sessionIds.forEach((id) => global.io.in(`session-${id}`).disconnectSockets(true));
+  }
+
+  setAuthCookies(res, { accessToken, refreshToken }) {
+    if (accessToken) {
+      res.cookie(ACCESS_COOKIE, accessToken.token, {
+        ...baseCookieOptions(),
+        expires: accessToken.expiresAt,
+      });
+    }
+    if (refreshToken) {
+      // Only sent to /api/auth, where the refresh and logout endpoints live
+      res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...baseCookieOptions(),
+        path: "/api/auth",
+        maxAge: refreshLifetimeMs(),
+      });
+    }
+  }
+
+  clearAuthCookies(res) {
+    res.clearCookie(ACCESS_COOKIE, baseCookieOptions());
+    res.clearCookie(REFRESH_COOKIE, { ...baseCookieOptions(), path: "/api/auth" });
+  }
+}
+
+module.exports = new SessionService();
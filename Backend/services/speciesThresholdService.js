@@ -0,0 +1,79 @@
+const SpeciesProfile = require("../models/SpeciesProfile");
+
+/**
+ * Global thresholds from the environment, used when no species profile matches.
+ * @returns {{temperature: number, rainfall: number, windSpeed: number, source: string, profileId: null}}
+ */
+const getDefaultThresholds = () => ({
+  temperature: parseFloat(process.env.ALERT_TEMP_THRESHOLD || 35),
+  rainfall: parseFloat(process.env.ALERT_RAIN_THRESHOLD || 50),
+  windSpeed: parseFloat(process.env.ALERT_WIND_THRESHOLD || 40),
+  source: "default",
+  profileId: null,
+});
+
+const normalizeSpecies = (species) =>
+  typeof species === "string" ? species.trim().toLowerCase() : "";
+
+const profileKey = (species, growthStage) => `${species}|${growthStage}`;
+
+const toThresholds = (profile) => ({
+  temperature: profile.thresholds.temperature,
+  rainfall: profile.thresholds.rainfall,
+  windSpeed: profile.thresholds.windSpeed,
+  source: "profile",
+  profileId: profile._id,
+});
+
+/**
+ * Load every active species profile into a lookup map.
+ * Used by the monitoring loop so each run hits the database once.
+ * @returns {Promise<Map<string, Object>>}
+ */
+const loadProfileIndex = async () => {
+  const profiles = await SpeciesProfile.find({ isActive: true }).lean();
+  const index = new Map();
+  profiles.forEach((profile) => {
+    index.set(profileKey(profile.species, profile.growthStage), profile);
+  });
+  return index;
+};
+
+/**
+ * Resolve the thresholds that apply to a tree.
+ * An exact species + growth stage profile wins over a species-wide (ANY) profile;
+ * the env defaults are used only when neither exists.
+ * @param {Object} tree - Tree document (needs species and status)
+ * @param {Map<string, Object>} [index] - Preloaded index from loadProfileIndex
+ * @returns {Promise<Object>} Thresholds with temperature (°C), rainfall (mm/h), windSpeed (km/h)
+ */
+const resolveThresholds = async (tree, index) => {
+  const species = normalizeSpecies(tree.species);
+  if (!species) return getDefaultThresholds();
+
+  const stage = tree.status || "PLANTED";
+  let exact;
+  let fallback;
+
+  if (index) {
+    exact = index.get(profileKey(species, stage));
+    fallback = index.get(profileKey(species, "ANY"));
+  } else {
+    const profiles = await SpeciesProfile.find({
+      species,
+      growthStage: { $in: [stage, "ANY"] },
+      isActive: true,
+    }).lean();
+    exact = profiles.find((p) => p.growthStage === stage);
+    fallback = profiles.find((p) => p.growthStage === "ANY");
+  }
+
+  const profile = exact || fallback;
+  return profile ? toThresholds(profile) : getDefaultThresholds();
+};
+
+module.exports = {
+  getDefaultThresholds,
+  loadProfileIndex,
+  resolveThresholds,
+};
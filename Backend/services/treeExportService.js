@@ -0,0 +1,210 @@
+const { once } = require("events");
+const Tree = require("../models/Tree");
+const Alert = require("../models/Alert");
+const User = require("../models/User");
+const { toCsvRow } = require("../utils/csv");
+
+const OPEN_ALERT_STATUSES = ["pending", "assigned", "in_progress", "awaiting_review"];
+
+/**
+ * Aggregation that adds the owner's name and an alert summary to each tree,
+ * read through a cursor so an export never holds the whole inventory in memory.
+ */
+const exportPipeline = (filter) => [
+  { $match: filter },
+  { $sort: { _id: 1 } },
+  {
+    $lookup: {
+      from: User.collection.name,
+      localField: "owner",
+      foreignField: "_id",
+      as: "ownerDoc",
+    },
+  },
+  {
+    $lookup: {
+      from: Alert.collection.name,
+      let: { treeId: "$_id" },
+      pipeline: [
+        { $match: { $expr: { $eq: ["$tree", "$$treeId"] }, isActive: true } },
+        { $sort: { createdAt: -1 } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            open: { $sum: { $cond: [{ $in: ["$status", OPEN_ALERT_STATUSES] }, 1, 0] } },
+            latest: {
+              $first: {
+                type: "$type",
+                priority: "$priority",
+                status: "$status",
+                createdAt: "$createdAt",
+              },
+            },
+          },
+        },
+      ],
+      as: "alertSummary",
+    },
+  },
+  {
+    $project: {
+      name: 1,
+      species: 1,
+      status: 1,
+      plantedDate: 1,
+      deathCause: 1,
+      location: 1,
+      health: 1,
+      owner: { $arrayElemAt: ["$ownerDoc.fullName", 0] },
+      alerts: { $arrayElemAt: ["$alertSummary", 0] },
+    },
+  },
+];
+
+// Flat record shared by every format
+const toRecord = (tree) => {
+  const [lon, lat] = tree.location?.coordinates || [];
+  const address = tree.location?.address || {};
+  const alerts = tree.alerts || {};
+  const latest = alerts.latest || {};
+
+  return {
+    id: tree._id.toString(),
+    name: tree.name,
+    species: tree.species,
+    status: tree.status,
+    plantedDate: tree.plantedDate,
+    deathCause: tree.deathCause,
+    lat,
+    lon,
+    address: address.formatted,
+    city: address.city,
+    district: address.district,
+    country: address.country,
+    owner: tree.owner,
+    healthScore: tree.health?.score ?? null,
+    healthRating: tree.health?.rating ?? null,
+    lastInspectedAt: tree.health?.lastInspectedAt ?? null,
+    openAlerts: alerts.open || 0,
+    totalAlerts: alerts.total || 0,
+    latestAlertType: latest.type,
+    latestAlertPriority: latest.priority,
+    latestAlertStatus: latest.status,
+    latestAlertAt: latest.createdAt,
+  };
+};
+
+const COLUMNS = Object.keys(toRecord({ _id: "" }));
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const isoDate = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Each writer returns the text for the header, one tree, and the footer
+const WRITERS = {
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    start: () => '{"type":"FeatureCollection","features":[\n',
+    row: (record, index) => {
+      const { lat, lon, ...properties } = record;
+      const feature = {
+        type: "Feature",
+        id: record.id,
+        geometry: { type: "Point", coordinates: [lon, lat] },
+        properties,
+      };
+      return `${index > 0 ? ",\n" : ""}${JSON.stringify(feature)}`;
+    },
+    end: () => "\n]}\n",
+  },
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    start: () => toCsvRow(COLUMNS),
+    row: (record) => toCsvRow(COLUMNS.map((column) => record[column])),
+    end: () => "",
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    extension: "kml",
+    start: () =>
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Forisswell trees</name>\n',
+    row: (record) => {
+      const data = COLUMNS.filter((column) => !["lat", "lon"].includes(column))
+        .filter((column) => record[column] !== undefined && record[column] !== null)
+        .map(
+          (column) =>
+            `<Data name="${column}"><value>${escapeXml(isoDate(record[column]))}</value></Data>`
+        )
+        .join("");
+
+      return (
+        `<Placemark id="${escapeXml(record.id)}">` +
+        `<name>${escapeXml(record.name || record.species)}</name>` +
+        (record.address ? `<address>${escapeXml(record.address)}</address>` : "") +
+        `<ExtendedData>${data}</ExtendedData>` +
+        `<Point><coordinates>${record.lon},${record.lat}</coordinates></Point>` +
+        "</Placemark>\n"
+      );
+    },
+    end: () => "</Document></kml>\n",
+  },
+};
+
+/**
+ * Stream matching trees to an HTTP response, one tree at a time, waiting
+ * for the client to drain when it falls behind.
+ * @param {Object} res - Express response
+ * @param {Object} filter - Tree match filter (ObjectIds already cast)
+ * @param {"geojson"|"csv"|"kml"} format
+ */
+const streamTrees = async (res, filter, format) => {
+  const writer = WRITERS[format];
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.status(200);
+  res.setHeader("Content-Type", writer.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="trees-${stamp}.${writer.extension}"`);
+
+  const cursor = Tree.aggregate(exportPipeline(filter)).cursor({ batchSize: 200 });
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  const write = async (chunk) => {
+    if (chunk && !res.write(chunk)) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  };
+
+  try {
+    await write(writer.start());
+    let index = 0;
+    for await (const tree of cursor) {
+      if (closed) break;
+      await write(writer.row(toRecord(tree), index));
+      index += 1;
+    }
+    if (!closed) {
+      await write(writer.end());
+    }
+  } finally {
+    await cursor.close();
+    res.end();
+  }
+};
+
+module.exports = {
+  FORMATS: Object.keys(WRITERS),
+  streamTrees,
+};
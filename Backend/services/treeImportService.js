@@ -0,0 +1,355 @@
+const os = require("os");
+const Tree = require("../models/Tree");
+const TreeImport = require("../models/TreeImport");
+const JobLock = require("../models/JobLock");
+const { reverseGeocode } = require("./reverseGeocodingService");
+const { parseCsv } = require("../utils/csv");
+const { fallbackAddress } = require("../utils/geo");
+const logger = require("../utils/logger");
+
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const PREVIEW_ROWS = 5;
+
+// CSV header aliases (lower-cased, spaces/underscores removed) -> tree field
+const CSV_COLUMNS = {
+  lat: "lat",
+  latitude: "lat",
+  lon: "lon",
+  lng: "lon",
+  long: "lon",
+  longitude: "lon",
+  species: "species",
+  planteddate: "plantedDate",
+  planted: "plantedDate",
+  name: "name",
+  status: "status",
+  deathcause: "deathCause",
+  notes: "notes",
+};
+
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getMaxRows = () => parseInt(process.env.TREE_IMPORT_MAX_ROWS) || 1000;
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]/g, "");
+
+/**
+ * Parse CSV text into { row, values } records keyed by tree field.
+ * Row numbers match the file's line numbers (header is row 1).
+ */
+const rowsFromCsv = (text) => {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw createError(400, "The CSV file is empty");
+
+  const columns = header.map((name) => CSV_COLUMNS[normalizeHeader(name)] || null);
+  const missing = ["lat", "lon", "species", "plantedDate"].filter((field) => !columns.includes(field));
+  if (missing.length > 0) {
+    throw createError(400, `CSV is missing required column(s): ${missing.join(", ")}`);
+  }
+
+  return lines.map((cells, index) => {
+    const values = {};
+    columns.forEach((field, column) => {
+      if (field && cells[column] !== undefined && cells[column].trim() !== "") {
+        values[field] = cells[column].trim();
+      }
+    });
+    return { row: index + 2, values };
+  });
+};
+
+/**
+ * Parse a GeoJSON FeatureCollection of Points into { row, values } records.
+ * Row numbers are 1-based feature positions.
+ */
+const rowsFromGeoJson = (input) => {
+  let collection = input;
+  if (typeof input === "string") {
+    try {
+      collection = JSON.parse(input);
+    } catch (error) {
+      throw createError(400, "The GeoJSON file is not valid JSON");
+    }
+  }
+
+  if (!collection || collection.type !== "FeatureCollection" || !Array.isArray(collection.features)) {
+    throw createError(400, "GeoJSON must be a FeatureCollection");
+  }
+
+  return collection.features.map((feature, index) => {
+    const properties = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+    const values = {
+      species: properties.species,
+      plantedDate: properties.plantedDate,
+      name: properties.name,
+      status: properties.status,
+      deathCause: properties.deathCause,
+      notes: properties.notes,
+    };
+
+    if (geometry && geometry.type === "Point" && Array.isArray(geometry.coordinates)) {
+      [values.lon, values.lat] = geometry.coordinates;
+    } else {
+      values.geometryError = "Feature geometry must be a Point";
+    }
+
+    return { row: index + 1, values };
+  });
+};
+
+/**
+ * Build an unsaved Tree from an import row and collect its validation problems
+ * @returns {Promise<{tree: Object|null, issues: Array<{field: string, message: string}>}>}
+ */
+const buildTree = async ({ values }, ownerId) => {
+  const issues = [];
+  const lon = Number(values.lon);
+  const lat = Number(values.lat);
+
+  if (values.geometryError) {
+    issues.push({ field: "geometry", message: values.geometryError });
+  } else {
+    if (values.lat === undefined || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+      issues.push({ field: "lat", message: "Latitude must be a number between -90 and 90" });
+    }
+    if (values.lon === undefined || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+      issues.push({ field: "lon", message: "Longitude must be a number between -180 and 180" });
+    }
+  }
+
+  const plantedDate = values.plantedDate ? new Date(values.plantedDate) : undefined;
+  if (plantedDate && Number.isNaN(plantedDate.getTime())) {
+    issues.push({ field: "plantedDate", message: `"${values.plantedDate}" is not a valid date` });
+  }
+
+  const hasLocation = !issues.some((issue) => ["lat", "lon", "geometry"].includes(issue.field));
+  const tree = new Tree({
+    species: values.species,
+    plantedDate: plantedDate && !Number.isNaN(plantedDate.getTime()) ? plantedDate : undefined,
+    name: values.name,
+    status: values.status ? values.status.toString().toUpperCase() : undefined,
+    deathCause: values.deathCause ? values.deathCause.toString().toLowerCase() : undefined,
+    notes: values.notes,
+    owner: ownerId,
+    location: hasLocation
+      ? { type: "Point", coordinates: [lon, lat], address: fallbackAddress(lon, lat) }
+      : undefined,
+  });
+
+  try {
+    await tree.validate();
+  } catch (error) {
+    if (!error.errors) throw error;
+    Object.values(error.errors).forEach((fieldError) => {
+      // Location problems were already reported as lat/lon
+      if (fieldError.path.startsWith("location") && !hasLocation) return;
+      if (issues.some((issue) => issue.field === fieldError.path)) return;
+      issues.push({ field: fieldError.path, message: fieldError.message });
+    });
+  }
+
+  return { tree: issues.length === 0 ? tree : null, issues };
+};
+
+/**
+ * Parse and validate an import file row by row
+ * @param {Object} input
+ * @param {"csv"|"geojson"} input.format
+ * @param {string|Object} input.content - File text, or a parsed FeatureCollection
+ * @param {string} ownerId - User the trees will belong to
+ * @returns {Promise<{totalRows: number, trees: Array, failures: Array}>}
+ */
+const validateImport = async ({ format, content }, ownerId) => {
+  const rows = format === "csv" ? rowsFromCsv(content) : rowsFromGeoJson(content);
+
+  if (rows.length === 0) {
+    throw createError(400, "The import contains no trees");
+  }
+  if (rows.length > getMaxRows()) {
+    throw createError(413, `An import can contain at most ${getMaxRows()} trees (got ${rows.length})`);
+  }
+
+  const trees = [];
+  const failures = [];
+  for (const row of rows) {
+    const { tree, issues } = await buildTree(row, ownerId);
+    if (tree) {
+      trees.push(tree);
+    } else {
+      failures.push({ row: row.row, issues });
+    }
+  }
+
+  return { totalRows: rows.length, trees, failures };
+};
+
+/**
+ * Summary returned for both dry runs and real imports
+ */
+const buildReport = ({ totalRows, trees, failures }) => ({
+  totalRows,
+  valid: trees.length,
+  rejected: failures.length,
+  failures,
+  preview: trees.slice(0, PREVIEW_ROWS).map((tree) => ({
+    species: tree.species,
+    plantedDate: tree.plantedDate,
+    status: tree.status,
+    coordinates: tree.location.coordinates,
+  })),
+});
+
+class TreeImportService {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+    this.running = new Set();
+  }
+
+  /**
+   * Validate an import and, unless it is a dry run, save the valid trees and
+   * start geocoding them in the background. Invalid rows are skipped and reported.
+   * @param {Object} input - { format, content, fileName }
+   * @param {string} ownerId
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false]
+   * @returns {Promise<{report: Object, importRecord: Object|null}>}
+   */
+  async importTrees({ format, content, fileName }, ownerId, { dryRun = false } = {}) {
+    const result = await validateImport({ format, content }, ownerId);
+    const report = buildReport(result);
+
+    if (dryRun || result.trees.length === 0) {
+      return { report, importRecord: null };
+    }
+
+    const saved = await Tree.insertMany(result.trees);
+
+    const importRecord = await TreeImport.create({
+      owner: ownerId,
+      format,
+      fileName,
+      totalRows: result.totalRows,
+      imported: saved.length,
+      rejected: result.failures.length,
+      failures: result.failures.slice(0, TreeImport.MAX_RECORDED_FAILURES),
+      trees: saved.map((tree) => tree._id),
+    });
+
+    logger.info(
+      `Tree import ${importRecord._id}: ${saved.length} imported, ${result.failures.length} rejected`
+    );
+
+    this.startGeocoding(importRecord._id);
+    return { report, importRecord };
+  }
+
+  /**
+   * Geocode an import in the background (errors are logged, not thrown)
+   */
+  startGeocoding(importId) {
+    setImmediate(() => {
+      this.geocodeImport(importId).catch((error) =>
+        logger.error(`Geocoding failed for tree import ${importId}:`, error)
+      );
+    });
+  }
+
+  /**
+   * Reverse geocode an import's trees one at a time. reverseGeocode is rate
+   * limited for Nominatim, and progress is saved per tree so a restart resumes
+   * at the cursor. A JobLock keeps two instances off the same import; if it
+   * is lost mid-way (taken over after expiring) this instance stops and leaves
+   * the rest to the new holder.
+   */
+  async geocodeImport(importId) {
+    const key = importId.toString();
+    if (this.running.has(key)) return;
+
+    const lockName = `tree-import-${key}`;
+    const owner = `${this.instanceId}-${key}`;
+    if (!(await JobLock.acquire(lockName, owner, LOCK_TTL_MS))) return;
+
+    this.running.add(key);
+    try {
+      const record = await TreeImport.findById(importId);
+      if (!record || record.geocoding.status === "completed") return;
+
+      await TreeImport.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            "geocoding.status": "running",
+            "geocoding.startedAt": record.geocoding.startedAt || new Date(),
+          },
+        }
+      );
+
+      for (let index = record.geocoding.cursor; index < record.trees.length; index += 1) {
+        if (!(await JobLock.acquire(lockName, owner, LOCK_TTL_MS))) {
+          logger.warn(`Tree import ${key}: geocoding lock taken by another instance, stopping at ${index}`);
+          return;
+        }
+
+        const tree = await Tree.findOne({ _id: record.trees[index], isActive: true }).select("location");
+        let resolved = false;
+        if (tree) {
+          const [lon, lat] = tree.location.coordinates;
+          const address = await reverseGeocode(lon, lat);
+          if (address) {
+            await Tree.updateOne({ _id: tree._id }, { $set: { "location.address": address } });
+            resolved = true;
+          }
+        }
+
+        await TreeImport.updateOne(
+          { _id: record._id },
+          {
+            $set: { "geocoding.cursor": index + 1 },
+            $inc: { [resolved ? "geocoding.resolved" : "geocoding.unresolved"]: 1 },
+          }
+        );
+      }
+
+      await TreeImport.updateOne(
+        { _id: record._id },
+        { $set: { "geocoding.status": "completed", "geocoding.finishedAt": new Date() } }
+      );
+      logger.info(`Tree import ${key}: geocoding completed`);
+    } catch (error) {
+      await TreeImport.updateOne({ _id: importId }, { $set: { "geocoding.status": "failed" } });
+      throw error;
+    } finally {
+      this.running.delete(key);
+      await JobLock.release(lockName, owner);
+    }
+  }
+
+  /**
+   * Pick up imports whose geocoding was interrupted (call on server start)
+   */
+  async resumeGeocoding() {
+    const pending = await TreeImport.find({
+      "geocoding.status": { $in: ["pending", "running"] },
+    }).select("_id");
+
+    if (pending.length > 0) {
+      logger.info(`Resuming geocoding for ${pending.length} tree import(s)`);
+    }
+
+    // Sequential, since every lookup shares the same Nominatim rate limit anyway
+    for (const { _id } of pending) {
+      try {
+        await this.geocodeImport(_id);
+      } catch (error) {
+        logger.error(`Geocoding failed for tree import ${_id}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new TreeImportService();
@@ -0,0 +1,137 @@
+const Alert = require("../models/Alert");
+const { distanceKm } = require("../utils/geo");
+
+// Skills that help with each required action on an alert
+const ACTION_SKILLS = {
+  water_tree: ["watering"],
+  provide_shade: ["carpentry", "heavy_lifting"],
+  remove_standing_water: ["watering", "heavy_lifting"],
+  secure_branches: ["pruning", "heavy_lifting"],
+  check_stability: ["heavy_lifting", "carpentry"],
+  mulch_base: ["mulching"],
+  inspect_damage: ["documentation", "photography", "pruning"],
+  other: [],
+};
+
+// Relative weight of each factor in the match score (sums to 1)
+const WEIGHTS = {
+  skill: 0.4,
+  distance: 0.3,
+  completion: 0.2,
+  workload: 0.1,
+};
+
+// Score used for a factor we have no data for (e.g. a brand-new volunteer)
+const NEUTRAL = 0.5;
+
+/**
+ * Skills that would help with an alert's actionRequired list
+ * @param {string[]} actions
+ * @returns {string[]}
+ */
+const requiredSkillsFor = (actions = []) => [
+  ...new Set(actions.flatMap((action) => ACTION_SKILLS[action] || [])),
+];
+
+/**
+ * Score how well one volunteer fits an alert, each factor in 0..1
+ * @param {Object} volunteer - VolunteerProfile document
+ * @param {Object} alert - Alert document
+ * @param {Object} [context]
+ * @param {number} [context.activeAlerts=0] - Alerts the volunteer currently holds
+ * @returns {{score: number, breakdown: Object, distanceKm: number, matchedSkills: string[]}}
+ */
+const scoreVolunteer = (volunteer, alert, { activeAlerts = 0 } = {}) => {
+  const required = requiredSkillsFor(alert.actionRequired);
+  const skills = volunteer.skills || [];
+  const matchedSkills = required.filter((skill) => skills.includes(skill));
+
+  const skill = required.length > 0 ? matchedSkills.length / required.length : NEUTRAL;
+
+  // Proximity is relative to the radius this volunteer is reached within
+  const radiusKm = Math.max(volunteer.preferredRadius || 5, alert.reachRadiusKm || 0);
+  const distance =
+    volunteer.distanceKm ??
+    distanceKm(volunteer.location.coordinates, alert.location.coordinates);
+  const proximity = Math.max(0, 1 - distance / radiusKm);
+
+  const { acceptedAlerts = 0, completedAlerts = 0 } = volunteer.stats || {};
+  const completion =
+    acceptedAlerts > 0 ? Math.min(1, completedAlerts / acceptedAlerts) : NEUTRAL;
+
+  const workload = 1 / (1 + activeAlerts);
+
+  const breakdown = {
+    skill,
+    distance: proximity,
+    completion,
+    workload,
+  };
+
+  const score = Object.keys(WEIGHTS).reduce(
+    (sum, key) => sum + WEIGHTS[key] * breakdown[key],
+    0
+  );
+
+  return {
+    score: parseFloat(score.toFixed(3)),
+    breakdown,
+    distanceKm: parseFloat(distance.toFixed(2)),
+    matchedSkills,
+  };
+};
+
+/**
+ * Rank volunteers for an alert, best match first
+ * @param {Object} alert - Alert document
+ * @param {Array<Object>} volunteers - Profiles from alertService.findNearbyVolunteers
+ * @returns {Promise<Array<{volunteer: Object, score: number, breakdown: Object, distanceKm: number, matchedSkills: string[]}>>}
+ */
+const rankVolunteers = async (alert, volunteers) => {
+  if (volunteers.length === 0) return [];
+
+  // Current workload = alerts each volunteer holds right now
+  const workloads = await Alert.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: volunteers.map((v) => v._id) },
+        status: { $in: ["assigned", "in_progress"] },
+        isActive: true,
+      },
+    },
+    { $group: { _id: "$assignedTo", count: { $sum: 1 } } },
+  ]);
+  const activeByVolunteer = new Map(workloads.map((w) => [w._id.toString(), w.count]));
+
+  return volunteers
+    .map((volunteer) => ({
+      volunteer,
+      ...scoreVolunteer(volunteer, alert, {
+        activeAlerts: activeByVolunteer.get(volunteer._id.toString()) || 0,
+      }),
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Split a ranked list into notification waves
+ * @param {Array} ranked - Output of rankVolunteers
+ * @param {number} waveSize
+ * @returns {Array<Array>}
+ */
+const toWaves = (ranked, waveSize) => {
+  const size = Math.max(1, waveSize);
+  const waves = [];
+  for (let i = 0; i < ranked.length; i += size) {
+    waves.push(ranked.slice(i, i + size));
+  }
+  return waves;
+};
+
+module.exports = {
+  ACTION_SKILLS,
+  requiredSkillsFor,
+  scoreVolunteer,
+  rankVolunteers,
+  toWaves,
+};
@@ -0,0 +1,116 @@
+const logger = require("../utils/logger");
+
+/**
+ * In-memory weather cache keyed by rounded grid cell.
+ * Trees in the same cell share one provider call per TTL window; concurrent
+ * lookups for a cell that is still loading share the same pending request.
+ */
+class WeatherCache {
+  constructor() {
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, errors: 0 };
+  }
+
+  /**
+   * Cell size in degrees (WEATHER_CACHE_CELL_DEG, default 0.05 ≈ 5.5 km)
+   */
+  getCellSize() {
+    return parseFloat(process.env.WEATHER_CACHE_CELL_DEG) || 0.05;
+  }
+
+  /**
+   * Time-to-live in milliseconds (WEATHER_CACHE_TTL_MS, default 10 minutes; 0 disables)
+   */
+  getTtl() {
+    const ttl = parseInt(process.env.WEATHER_CACHE_TTL_MS);
+    return Number.isFinite(ttl) ? ttl : 600000;
+  }
+
+  /**
+   * Build a cache key for a coordinate
+   * @param {string} namespace - e.g. "openweathermap:current"
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   */
+  keyFor(namespace, lat, lon) {
+    const size = this.getCellSize();
+    const latCell = Math.round(lat / size);
+    const lonCell = Math.round(lon / size);
+    return `${namespace}:${latCell}:${lonCell}`;
+  }
+
+  /**
+   * Return the cached value for a key, or load and cache it
+   * @param {string} key - From keyFor
+   * @param {Function} loader - Async function producing the value on a miss
+   */
+  async getOrLoad(key, loader) {
+    const ttl = this.getTtl();
+    if (ttl <= 0) {
+      return loader();
+    }
+
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.stats.hits += 1;
+      return entry.promise;
+    }
+
+    this.stats.misses += 1;
+    const promise = loader();
+    this.entries.set(key, { promise, expiresAt: Date.now() + ttl });
+
+    try {
+      return await promise;
+    } catch (error) {
+      // Never cache failures - the next lookup should retry the provider
+      this.stats.errors += 1;
+      if (this.entries.get(key)?.promise === promise) {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    if (removed > 0) {
+      logger.debug(`Weather cache pruned ${removed} expired entries`);
+    }
+    return removed;
+  }
+
+  /**
+   * Clear all entries and counters
+   */
+  clear() {
+    this.entries.clear();
+    this.stats = { hits: 0, misses: 0, errors: 0 };
+  }
+
+  /**
+   * Snapshot of cache counters for status endpoints
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? parseFloat((this.stats.hits / lookups).toFixed(3)) : 0,
+      entries: this.entries.size,
+      ttlMs: this.getTtl(),
+      cellSizeDeg: this.getCellSize(),
+    };
+  }
+}
+
+module.exports = new WeatherCache();
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const path = require("path");
+const { distanceKm } = require("../../utils/geo");
+
+const FIXTURE_DIR = path.join(__dirname, "fixtures");
+
+const fixtureCache = new Map();
+
+/**
+ * Resolve WEATHER_FIXTURE to a file: either a bundled scenario name
+ * (calm, heatwave, storm) or a path to a JSON file.
+ */
+const resolveFixturePath = () => {
+  const fixture = process.env.WEATHER_FIXTURE || "calm";
+
+  if (/^[\w-]+$/.test(fixture)) {
+    return path.join(FIXTURE_DIR, `${fixture}.json`);
+  }
+
+  return path.resolve(fixture);
+};
+
+const loadFixture = () => {
+  const filePath = resolveFixturePath();
+
+  if (!fixtureCache.has(filePath)) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Weather fixture not found: ${filePath}`);
+    }
+    fixtureCache.set(filePath, JSON.parse(fs.readFileSync(filePath, "utf8")));
+  }
+
+  return fixtureCache.get(filePath);
+};
+
+/**
+ * Pick the scenario that applies at a coordinate: the closest `locations`
+ * entry whose radius covers the point, otherwise the top-level scenario.
+ */
+const scenarioFor = (fixture, lat, lon) => {
+  const matches = (fixture.locations || [])
+    .map((loc) => ({ loc, distance: distanceKm([lon, lat], [loc.lon, loc.lat]) }))
+    .filter(({ loc, distance }) => distance <= (loc.radiusKm || 1))
+    .sort((a, b) => a.distance - b.distance);
+
+  return matches.length > 0 ? matches[0].loc : fixture;
+};
+
+const toWeather = (entry = {}) => ({
+  temperature: entry.temperature ?? 25,
+  humidity: entry.humidity ?? 60,
+  rainfall: entry.rainfall ?? 0,
+  windSpeed: entry.windSpeed ?? 2,
+  description: entry.description || "fixture weather",
+});
+
+/**
+ * Current conditions from the configured fixture.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Weather data object
+ */
+const getCurrent = async (lat, lon) => {
+  const scenario = scenarioFor(loadFixture(), lat, lon);
+  return toWeather(scenario.current);
+};
+
+/**
+ * Scripted forecast from the configured fixture. Entries use `offsetHours`
+ * relative to now so scenarios stay valid whenever they are run.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} hours - How far ahead to read, in hours
+ * @returns {Promise<Array<Object>>} Forecast entries with a `time` Date
+ */
+const getForecast = async (lat, lon, hours) => {
+  const scenario = scenarioFor(loadFixture(), lat, lon);
+  const now = Date.now();
+
+  return (scenario.forecast || [])
+    .filter((entry) => entry.offsetHours <= hours)
+    .map((entry) => ({
+      time: new Date(now + entry.offsetHours * 60 * 60 * 1000),
+      ...toWeather(entry),
+    }));
+};
+
+/**
+ * Drop cached fixture files (e.g. after editing a scenario).
+ */
+const reset = () => {
+  fixtureCache.clear();
+};
+
+module.exports = {
+  name: "fixture",
+  getCurrent,
+  getForecast,
+  reset,
+};
@@ -0,0 +1,37 @@
+const openWeatherMapProvider = require("./openWeatherMapProvider");
+const openMeteoProvider = require("./openMeteoProvider");
+const fixtureProvider = require("./fixtureProvider");
+
+/**
+ * Weather providers all implement the same interface:
+ *   name: string
+ *   getCurrent(lat, lon) -> { temperature °C, humidity %, rainfall mm/h, windSpeed m/s, description }
+ *   getForecast(lat, lon, hours) -> [{ time: Date, ...same fields }]
+ */
+const providers = {
+  [openWeatherMapProvider.name]: openWeatherMapProvider,
+  [openMeteoProvider.name]: openMeteoProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+/**
+ * Provider selected by WEATHER_PROVIDER (defaults to OpenWeatherMap).
+ * @returns {Object} Weather provider
+ */
+const getProvider = () => {
+  const name = (process.env.WEATHER_PROVIDER || openWeatherMapProvider.name).toLowerCase();
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown WEATHER_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(", ")}`
+    );
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  providers,
+};
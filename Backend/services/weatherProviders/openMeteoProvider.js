@@ -0,0 +1,115 @@
+const axios = require("axios");
+
+const DEFAULT_BASE_URL = "https://api.open-meteo.com/v1";
+
+const VARIABLES = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "precipitation",
+  "wind_speed_10m",
+  "weather_code",
+].join(",");
+
+// WMO weather interpretation codes used by Open-Meteo
+const WEATHER_CODES = {
+  0: "clear sky",
+  1: "mainly clear",
+  2: "partly cloudy",
+  3: "overcast",
+  45: "fog",
+  48: "depositing rime fog",
+  51: "light drizzle",
+  53: "moderate drizzle",
+  55: "dense drizzle",
+  61: "slight rain",
+  63: "moderate rain",
+  65: "heavy rain",
+  71: "slight snow",
+  73: "moderate snow",
+  75: "heavy snow",
+  80: "slight rain showers",
+  81: "moderate rain showers",
+  82: "violent rain showers",
+  95: "thunderstorm",
+  96: "thunderstorm with slight hail",
+  99: "thunderstorm with heavy hail",
+};
+
+const describe = (code) => WEATHER_CODES[code] || "No description available";
+
+const getBaseUrl = () =>
+  (process.env.OPEN_METEO_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+
+const request = async (params) => {
+  try {
+    const response = await axios.get(`${getBaseUrl()}/forecast`, {
+      params: {
+        ...params,
+        // Keep the same units the rest of the app expects (°C, mm, m/s)
+        wind_speed_unit: "ms",
+        timeformat: "unixtime",
+        timezone: "GMT",
+      },
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      throw new Error(
+        `Open-Meteo API error: ${error.response.status} - ${error.response.data?.reason || "Unknown error"}`
+      );
+    }
+    throw new Error(`Failed to fetch weather data: ${error.message}`);
+  }
+};
+
+/**
+ * Current conditions from Open-Meteo (no API key required).
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Weather data object
+ */
+const getCurrent = async (lat, lon) => {
+  const data = await request({ latitude: lat, longitude: lon, current: VARIABLES });
+  const current = data.current || {};
+
+  return {
+    temperature: current.temperature_2m,
+    humidity: current.relative_humidity_2m,
+    // Open-Meteo reports precipitation over the preceding hour, i.e. mm/h
+    rainfall: current.precipitation || 0,
+    windSpeed: current.wind_speed_10m,
+    description: describe(current.weather_code),
+  };
+};
+
+/**
+ * Hourly forecast from Open-Meteo.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} hours - How far ahead to read, in hours
+ * @returns {Promise<Array<Object>>} Forecast entries with a `time` Date
+ */
+const getForecast = async (lat, lon, hours) => {
+  const data = await request({
+    latitude: lat,
+    longitude: lon,
+    hourly: VARIABLES,
+    forecast_hours: hours,
+  });
+  const hourly = data.hourly || {};
+
+  return (hourly.time || []).map((time, i) => ({
+    time: new Date(time * 1000),
+    temperature: hourly.temperature_2m?.[i],
+    humidity: hourly.relative_humidity_2m?.[i],
+    rainfall: hourly.precipitation?.[i] || 0,
+    windSpeed: hourly.wind_speed_10m?.[i],
+    description: describe(hourly.weather_code?.[i]),
+  }));
+};
+
+module.exports = {
+  name: "open-meteo",
+  getCurrent,
+  getForecast,
+};
@@ -0,0 +1,99 @@
+const axios = require("axios");
+
+const BASE_URL = "https://api.openweathermap.org/data/2.5";
+
+const getApiKey = () => {
+  const apiKey = process.env.OPENWEATHER_API_KEY;
+
+  if (!apiKey) {
+    throw new Error("OPENWEATHER_API_KEY is not configured");
+  }
+
+  return apiKey;
+};
+
+const toProviderError = (error, fallbackMessage) => {
+  if (error.response) {
+    return new Error(
+      `OpenWeatherMap API error: ${error.response.status} - ${error.response.data?.message || "Unknown error"}`
+    );
+  }
+  return new Error(`${fallbackMessage}: ${error.message}`);
+};
+
+/**
+ * Current conditions from the OpenWeatherMap current-weather endpoint.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Weather data object
+ */
+const getCurrent = async (lat, lon) => {
+  const apiKey = getApiKey();
+
+  try {
+    const response = await axios.get(`${BASE_URL}/weather`, {
+      params: {
+        lat,
+        lon,
+        appid: apiKey,
+        units: "metric",
+      },
+    });
+
+    const data = response.data;
+
+    return {
+      temperature: data.main.temp,
+      humidity: data.main.humidity,
+      rainfall: data.rain?.["1h"] || data.rain?.["3h"] || 0,
+      windSpeed: data.wind.speed,
+      description: data.weather?.[0]?.description || "No description available",
+    };
+  } catch (error) {
+    throw toProviderError(error, "Failed to fetch weather data");
+  }
+};
+
+/**
+ * Short-range forecast from OpenWeatherMap (3-hour steps).
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} hours - How far ahead to read, in hours
+ * @returns {Promise<Array<Object>>} Forecast entries with a `time` Date
+ */
+const getForecast = async (lat, lon, hours) => {
+  const apiKey = getApiKey();
+
+  try {
+    const response = await axios.get(`${BASE_URL}/forecast`, {
+      params: {
+        lat,
+        lon,
+        appid: apiKey,
+        units: "metric",
+      },
+    });
+
+    const horizon = Date.now() + hours * 60 * 60 * 1000;
+
+    return (response.data.list || [])
+      .map((entry) => ({
+        time: new Date(entry.dt * 1000),
+        temperature: entry.main.temp,
+        humidity: entry.main.humidity,
+        // Forecast rain is accumulated over the 3-hour step; report it per hour
+        rainfall: (entry.rain?.["3h"] || 0) / 3,
+        windSpeed: entry.wind.speed,
+        description: entry.weather?.[0]?.description || "No description available",
+      }))
+      .filter((entry) => entry.time.getTime() <= horizon);
+  } catch (error) {
+    throw toProviderError(error, "Failed to fetch forecast data");
+  }
+};
+
+module.exports = {
+  name: "openweathermap",
+  getCurrent,
+  getForecast,
+};
@@ -1,48 +1,49 @@
-const axios = require("axios");
+const { getDefaultThresholds } = require("./speciesThresholdService");
+const { getProvider } = require("./weatherProviders");
+const weatherCache = require("./weatherCache");
 
 /**
- * Fetches weather data from OpenWeatherMap API for given coordinates.
+ * Fetches current weather for given coordinates from the configured provider
+ * (WEATHER_PROVIDER: openweathermap, open-meteo or fixture).
+ * Results are cached per grid cell, see weatherCache.
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @returns {Promise<Object>} Weather data object
  */
 const getWeatherByCoordinates = async (lat, lon) => {
-  const apiKey = process.env.OPENWEATHER_API_KEY;
-
-  if (!apiKey) {
-    throw new Error("OPENWEATHER_API_KEY is not configured");
-  }
-
-  const url = `https://api.openweathermap.org/data/2.5/weather`;
+  const provider = getProvider();
+  const key = weatherCache.keyFor(`${provider.name}:current`, lat, lon);
+  return weatherCache.getOrLoad(key, () => provider.getCurrent(lat, lon));
+};
 
-  try {
-    const response = await axios.get(url, {
-      params: {
-        lat,
-        lon,
-        appid: apiKey,
-        units: "metric",
-      },
-    });
+/**
+ * Fetches the short-range forecast for given coordinates from the configured provider.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} [hours=48] - How far ahead to read, in hours
+ * @returns {Promise<Array<Object>>} Forecast entries ordered by time, each shaped like
+ *   getWeatherByCoordinates output plus a `time` Date
+ */
+const getForecastByCoordinates = async (lat, lon, hours = 48) => {
+  const provider = getProvider();
+  const key = weatherCache.keyFor(`${provider.name}:forecast:${hours}`, lat, lon);
+  const forecast = await weatherCache.getOrLoad(key, () =>
+    provider.getForecast(lat, lon, hours)
+  );
+  return [...forecast].sort((a, b) => a.time - b.time);
+};
 
-    const data = response.data;
+/**
+ * Name of the active weather provider
+ * @returns {string}
+ */
+const getProviderName = () => getProvider().name;
 
-    return {
-      temperature: data.main.temp,
-      humidity: data.main.humidity,
-      rainfall: data.rain?.["1h"] || data.rain?.["3h"] || 0,
-      windSpeed: data.wind.speed,
-      description: data.weather?.[0]?.description || "No description available",
-    };
-  } catch (error) {
-    if (error.response) {
-      throw new Error(
-        `OpenWeatherMap API error: ${error.response.status} - ${error.response.data?.message || "Unknown error"}`
-      );
-    }
-    throw new Error(`Failed to fetch weather data: ${error.message}`);
-  }
-};
+/**
+ * Weather cache hit/miss counters
+ * @returns {Object}
+ */
+const getCacheStats = () => weatherCache.getStats();
 
 /**
  * Convert wind speed from m/s to km/h
@@ -56,13 +57,14 @@ const convertWindSpeed = (ms) => {
 /**
  * Check weather data against configured thresholds
  * @param {Object} weatherData - Weather data from getWeatherByCoordinates
+ * @param {Object} [thresholds] - Species thresholds from speciesThresholdService (env defaults if omitted)
  * @returns {Object} Threshold check results with violations and priority
  */
-const checkThresholds = (weatherData) => {
+const checkThresholds = (weatherData, thresholds = getDefaultThresholds()) => {
   const violations = [];
-  const tempThreshold = parseFloat(process.env.ALERT_TEMP_THRESHOLD || 35);
-  const rainThreshold = parseFloat(process.env.ALERT_RAIN_THRESHOLD || 50);
-  const windThreshold = parseFloat(process.env.ALERT_WIND_THRESHOLD || 40);
+  const tempThreshold = thresholds.temperature;
+  const rainThreshold = thresholds.rainfall;
+  const windThreshold = thresholds.windSpeed;
 
   // Check temperature
   if (weatherData.temperature > tempThreshold) {
@@ -118,6 +120,7 @@ const checkThresholds = (weatherData) => {
     violations,
     priority,
     hasViolations: violations.length > 0,
+    thresholdSource: thresholds.source,
     details: {
       temperature: {
         value: weatherData.temperature,
@@ -140,6 +143,9 @@ const checkThresholds = (weatherData) => {
 
 module.exports = {
   getWeatherByCoordinates,
+  getForecastByCoordinates,
+  getProviderName,
+  getCacheStats,
   convertWindSpeed,
   checkThresholds,
 };
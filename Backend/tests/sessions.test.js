@@ -0,0 +1,337 @@
+// Behaviour tests for refresh-token rotation, session revocation and the
+// HTTP/socket checks that reject revoked sessions. Model queries are replaced
+// with node:test mocks, so no database is needed: `npm test`.
+process.env.JWT_SECRET = "test-secret";
+process.env.REFRESH_REUSE_GRACE_SECONDS = "30";
+
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const Session = require("../models/Session");
+const User = require("../models/User");
+const sessionService = require("../services/sessionService");
+const { protect } = require("../middleware/auth");
+const { authenticateSocket } = require("../config/socket");
+const logger = require("../utils/logger");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const makeUser = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role: "user",
+  email: "jane@example.com",
+  isActive: true,
+  changedPasswordAfter: () => false,
+  ...overrides,
+});
+
+const makeSession = (user, overrides = {}) =>
+  new Session({
+    user: user._id,
+    refreshTokenHash: sha256("current-token"),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides,
+  });
+
+// User.findById(...).select(...) resolves to `user`
+const mockFindUser = (user) =>
+  mock.method(User, "findById", () => ({ select: async () => user }));
+
+// Collects disconnectSockets() calls per room
+const mockIo = () => {
+  const disconnected = [];
+  global.io = {
+    in: (room) => ({ disconnectSockets: () => disconnected.push(room) }),
+  };
+  return disconnected;
+};
+
+beforeEach(() => {
+  mock.method(logger, "warn", () => {});
+  mock.method(logger, "error", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete global.io;
+});
+
+describe("sessionService.rotate", () => {
+  const req = { ip: "10.0.0.1" };
+
+  it("swaps the presented token for a new one", async () => {
+    const user = makeUser();
+    const session = makeSession(user);
+    const rotated = makeSession(user, { refreshTokenHash: sha256("next-token") });
+    mock.method(Session, "findByRefreshToken", async () => ({ session, reused: false }));
+    mockFindUser(user);
+    const swap = mock.method(Session, "swapRefreshToken", async () => ({
+      session: rotated,
+      refreshToken: "next-token",
+    }));
+
+    const result = await sessionService.rotate("current-token", req);
+
+    assert.equal(result.refreshToken, "next-token");
+    assert.equal(result.session, rotated);
+    assert.equal(result.user, user);
+    const [sessionId, presented, , fields] = swap.mock.calls[0].arguments;
+    assert.ok(sessionId.equals(session._id));
+    assert.equal(presented, "current-token");
+    assert.deepEqual(fields, { ip: "10.0.0.1" });
+  });
+
+  it("gives the loser of a concurrent rotation an access token without revoking", async () => {
+    const user = makeUser();
+    const session = makeSession(user);
+    const justRotated = makeSession(user, { rotatedAt: new Date() });
+    const lookups = [
+      { session, reused: false },
+      { session: justRotated, reused: true },
+    ];
+    mock.method(Session, "findByRefreshToken", async () => lookups.shift());
+    mockFindUser(user);
+    mock.method(Session, "swapRefreshToken", async () => null);
+    const revoke = mock.method(Session, "updateOne", async () => ({}));
+
+    const result = await sessionService.rotate("current-token", req);
+
+    assert.equal(result.refreshToken, null);
+    assert.equal(result.session, justRotated);
+    assert.equal(revoke.mock.callCount(), 0);
+  });
+
+  it("accepts a just-rotated token within the grace window", async () => {
+    const user = makeUser();
+    const session = makeSession(user, { rotatedAt: new Date(Date.now() - 5 * 1000) });
+    mock.method(Session, "findByRefreshToken", async () => ({ session, reused: true }));
+    mockFindUser(user);
+    const swap = mock.method(Session, "swapRefreshToken", async () => null);
+
+    const result = await sessionService.rotate("previous-token", req);
+
+    assert.equal(result.refreshToken, null);
+    assert.equal(swap.mock.callCount(), 0);
+  });
+
+  it("revokes the session when an old token is reused after the grace window", async () => {
+    const user = makeUser();
+    const session = makeSession(user, { rotatedAt: new Date(Date.now() - 5 * 60 * 1000) });
+    mock.method(Session, "findByRefreshToken", async () => ({ session, reused: true }));
+    const revoke = mock.method(Session, "updateOne", async () => ({}));
+    const disconnected = mockIo();
+
+    await assert.rejects(sessionService.rotate("previous-token", req), { statusCode: 401 });
+
+    const [filter, update] = revoke.mock.calls[0].arguments;
+    assert.ok(filter._id.equals(session._id));
+    assert.equal(update.$set.revokedReason, "token_reuse");
+    assert.deepEqual(disconnected, [`session-${session._id}`]);
+  });
+
+  it("rejects the current token of a revoked session without rotating", async () => {
+    const user = makeUser();
+    const session = makeSession(user, { revokedAt: new Date(), revokedReason: "logout" });
+    mock.method(Session, "findByRefreshToken", async () => ({ session, reused: false }));
+    const swap = mock.method(Session, "swapRefreshToken", async () => null);
+
+    await assert.rejects(sessionService.rotate("current-token", req), { statusCode: 401 });
+    assert.equal(swap.mock.callCount(), 0);
+  });
+
+  it("rejects unknown tokens", async () => {
+    mock.method(Session, "findByRefreshToken", async () => ({ session: null, reused: false }));
+
+    await assert.rejects(sessionService.rotate("unknown", req), { statusCode: 401 });
+  });
+
+  it("revokes the session when its user has been deactivated", async () => {
+    const user = makeUser({ isActive: false });
+    const session = makeSession(user);
+    mock.method(Session, "findByRefreshToken", async () => ({ session, reused: false }));
+    mockFindUser(user);
+    const swap = mock.method(Session, "swapRefreshToken", async () => null);
+    const revoke = mock.method(Session, "updateOne", async () => ({}));
+
+    await assert.rejects(sessionService.rotate("current-token", req), { statusCode: 401 });
+    assert.equal(swap.mock.callCount(), 0);
+    assert.equal(revoke.mock.calls[0].arguments[1].$set.revokedReason, "revoked");
+  });
+});
+
+describe("Session.swapRefreshToken", () => {
+  it("only updates a session whose current token is the presented one", async () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const update = mock.method(Session, "findOneAndUpdate", async () => null);
+
+    const result = await Session.swapRefreshToken(sessionId, "current-token", 60000);
+
+    assert.equal(result, null);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: sessionId,
+      refreshTokenHash: sha256("current-token"),
+      revokedAt: null,
+    });
+    assert.equal(change.$set.previousTokenHash, sha256("current-token"));
+    assert.notEqual(change.$set.refreshTokenHash, sha256("current-token"));
+    assert.ok(change.$set.rotatedAt instanceof Date);
+  });
+
+  it("returns the raw new token matching the stored hash", async () => {
+    let stored;
+    mock.method(Session, "findOneAndUpdate", async (filter, change) => {
+      stored = change.$set.refreshTokenHash;
+      return { _id: filter._id };
+    });
+
+    const result = await Session.swapRefreshToken(new mongoose.Types.ObjectId(), "current-token", 60000);
+
+    assert.equal(sha256(result.refreshToken), stored);
+  });
+});
+
+describe("session revocation", () => {
+  it("revokes one session and disconnects its sockets", async () => {
+    const session = makeSession(makeUser());
+    const update = mock.method(Session, "updateOne", async () => ({}));
+    const disconnected = mockIo();
+
+    await sessionService.revokeSession(session, "revoked");
+
+    assert.ok(session.revokedAt instanceof Date);
+    assert.equal(update.mock.calls[0].arguments[1].$set.revokedReason, "revoked");
+    assert.deepEqual(disconnected, [`session-${session._id}`]);
+  });
+
+  it("leaves an already revoked session alone", async () => {
+    const session = makeSession(makeUser(), { revokedAt: new Date() });
+    const update = mock.method(Session, "updateOne", async () => ({}));
+
+    await sessionService.revokeSession(session);
+
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it("revokes every other active session of a user", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const keep = new mongoose.Types.ObjectId();
+    const others = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const find = mock.method(Session, "find", () => ({
+      select: async () => others.map((_id) => ({ _id })),
+    }));
+    const updateMany = mock.method(Session, "updateMany", async () => ({}));
+    const disconnected = mockIo();
+
+    const count = await sessionService.revokeAllSessions(userId, {
+      except: keep,
+      reason: "password_changed",
+    });
+
+    assert.equal(count, 2);
+    const filter = find.mock.calls[0].arguments[0];
+    assert.equal(filter.user, userId);
+    assert.equal(filter.revokedAt, null);
+    assert.deepEqual(filter._id, { $ne: keep });
+    assert.equal(updateMany.mock.calls[0].arguments[1].$set.revokedReason, "password_changed");
+    assert.deepEqual(disconnected, others.map((id) => `session-${id}`));
+  });
+});
+
+describe("revoked sessions are rejected", () => {
+  const signFor = (user, session) =>
+    jwt.sign({ id: user._id.toString(), sid: session._id.toString() }, "test-secret");
+
+  const mockLookups = (user, session) => {
+    mockFindUser(user);
+    mock.method(Session, "findById", async () => session);
+  };
+
+  const runProtect = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    let error;
+    await protect(req, {}, (err) => {
+      error = err;
+    });
+    return { req, error };
+  };
+
+  const runSocketAuth = async (token) => {
+    const socket = { handshake: { auth: { token } } };
+    let error;
+    await authenticateSocket(socket, (err) => {
+      error = err;
+    });
+    return { socket, error };
+  };
+
+  it("protect accepts an active session", async () => {
+    const user = makeUser();
+    const session = makeSession(user);
+    mockLookups(user, session);
+
+    const { req, error } = await runProtect(signFor(user, session));
+
+    assert.equal(error, undefined);
+    assert.equal(req.user, user);
+    assert.equal(req.authSession, session);
+  });
+
+  it("protect rejects a revoked session with 401", async () => {
+    const user = makeUser();
+    const session = makeSession(user, { revokedAt: new Date() });
+    mockLookups(user, session);
+
+    const { req, error } = await runProtect(signFor(user, session));
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(req.user, undefined);
+  });
+
+  it("protect rejects a token issued before a password change", async () => {
+    const user = makeUser({ changedPasswordAfter: () => true });
+    const session = makeSession(user);
+    mockLookups(user, session);
+
+    const { error } = await runProtect(signFor(user, session));
+
+    assert.equal(error.statusCode, 401);
+  });
+
+  it("protect rejects tokens without a session id", async () => {
+    const user = makeUser();
+    const token = jwt.sign({ id: user._id.toString() }, "test-secret");
+
+    const { error } = await runProtect(token);
+
+    assert.equal(error.statusCode, 401);
+  });
+
+  it("the socket handshake accepts an active session and attaches the user", async () => {
+    const user = makeUser({ role: "volunteer" });
+    const session = makeSession(user);
+    mockLookups(user, session);
+
+    const { socket, error } = await runSocketAuth(signFor(user, session));
+
+    assert.equal(error, undefined);
+    assert.equal(socket.userId, user._id.toString());
+    assert.equal(socket.userRole, "volunteer");
+    assert.equal(socket.sessionId, session._id.toString());
+  });
+
+  it("the socket handshake rejects a revoked session", async () => {
+    const user = makeUser();
+    const session = makeSession(user, { revokedAt: new Date() });
+    mockLookups(user, session);
+
+    const { socket, error } = await runSocketAuth(signFor(user, session));
+
+    assert.ok(error instanceof Error);
+    assert.match(error.message, /revoked/);
+    assert.equal(socket.userId, undefined);
+  });
+});
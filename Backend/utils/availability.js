@@ -0,0 +1,116 @@
+// Backend/utils/availability.js
+// Helpers for volunteer availability schedules (weekly windows + leave dates).
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Whether a string is an IANA time zone this runtime understands
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (hhmm) => {
+  const [, hours, minutes] = hhmm.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Local weekday, minutes since midnight and YYYY-MM-DD for an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{day: number, minutes: number, date: string}}
+ */
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    day: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+};
+
+/**
+ * Whether local time falls inside any weekly window. A window whose end is
+ * before its start runs past midnight into the next day.
+ */
+const isInWeeklyWindow = (weekly, { day, minutes }) =>
+  weekly.some((window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    if (start < end) {
+      return window.day === day && minutes >= start && minutes < end;
+    }
+    // Overnight window, e.g. Fri 22:00-02:00
+    return (
+      (window.day === day && minutes >= start) ||
+      ((window.day + 1) % 7 === day && minutes < end)
+    );
+  });
+
+/**
+ * Whether a volunteer is on leave on the local date
+ */
+const isOnLeave = (leave, localDate) =>
+  leave.some((entry) => localDate >= entry.startDate && localDate <= entry.endDate);
+
+/**
+ * Check a volunteer availability schedule at an instant.
+ * No weekly windows means "any time"; leave dates always block.
+ * @param {Object} [availability] - VolunteerProfile.availability
+ * @param {Object} [options]
+ * @param {Date} [options.at=new Date()]
+ * @param {string} [options.priority] - Alert priority; critical may override quiet hours
+ * @returns {{available: boolean, reason: string|null}}
+ */
+const checkAvailability = (availability, { at = new Date(), priority } = {}) => {
+  if (!availability) return { available: true, reason: null };
+
+  const timeZone = availability.timezone || "UTC";
+  const local = localParts(at, timeZone);
+
+  if (isOnLeave(availability.leave || [], local.date)) {
+    return { available: false, reason: "on_leave" };
+  }
+
+  const weekly = availability.weekly || [];
+  if (weekly.length === 0 || isInWeeklyWindow(weekly, local)) {
+    return { available: true, reason: null };
+  }
+
+  if (priority === "critical" && availability.allowCriticalOverride) {
+    return { available: true, reason: "critical_override" };
+  }
+
+  return { available: false, reason: "quiet_hours" };
+};
+
+module.exports = {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimeZone,
+  checkAvailability,
+};
@@ -0,0 +1,72 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * into rows of string cells. Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Format one CSV line (quoted where needed, CRLF-terminated).
+ * null/undefined become empty cells, dates are written as ISO strings and
+ * strings that look like formulas are prefixed with a quote.
+ * @param {Array} values
+ * @returns {string}
+ */
+const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      if (value === null || value === undefined) return "";
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      // Keep spreadsheet apps from running user-entered text as a formula
+      if (typeof value === "string" && /^[=+\-@\t]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",") + "\r\n";
+
+module.exports = {
+  parseCsv,
+  toCsvRow,
+};
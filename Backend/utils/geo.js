@@ -0,0 +1,40 @@
+// Backend/utils/geo.js
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two GeoJSON points.
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Distance in kilometers
+ */
+const distanceKm = (from, to) => {
+  const [lon1, lat1] = from;
+  const [lon2, lat2] = to;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Address saved when reverse geocoding fails or hasn't run yet.
+ * @param {number} lon
+ * @param {number} lat
+ */
+const fallbackAddress = (lon, lat) => ({
+  formatted: `Lat ${lat.toFixed(6)}, Lon ${lon.toFixed(6)}`,
+  city: undefined,
+  district: undefined,
+  country: undefined,
+});
+
+module.exports = {
+  distanceKm,
+  fallbackAddress,
+};
@@ -0,0 +1,40 @@
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Samsung Internet", /SamsungBrowser\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Safari", /Safari\//],
+];
+
+const SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["ChromeOS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+const match = (list, userAgent) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+/**
+ * Short, human readable device label for a session list, e.g. "Chrome on Windows"
+ * @param {string} [userAgent]
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} on ${system}`;
+  if (browser || system) return browser || system;
+  // API clients (curl, mobile SDKs) usually send "name/version"
+  return userAgent.split(/[\s/]/)[0].slice(0, 40) || "Unknown device";
+};
+
+module.exports = {
+  describeDevice,
+};
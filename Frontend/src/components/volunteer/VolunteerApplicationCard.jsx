@@ -0,0 +1,395 @@
+import { useEffect, useState } from "react";
+import api from "../../services/api";
+import Card from "../ui/Card";
+import Badge from "../ui/Badge";
+import FeedbackMessage from "../ui/FeedbackMessage";
+import SectionHeader from "../ui/SectionHeader";
+import CoordinatePickerMap from "../ui/CoordinatePickerMap";
+import LoadingSpinner from "../common/LoadingSpinner";
+
+const availableSkills = [
+  "watering",
+  "pruning",
+  "mulching",
+  "pest_control",
+  "first_aid",
+  "heavy_lifting",
+  "carpentry",
+  "photography",
+  "documentation",
+  "other",
+];
+
+const statusTone = {
+  pending: "warning",
+  approved: "success",
+  rejected: "danger",
+  withdrawn: "neutral",
+};
+
+const emptyApplicationForm = {
+  motivation: "",
+  phone: "",
+  skills: [],
+  latitude: "",
+  longitude: "",
+  preferredRadius: 5,
+  emergencyContactName: "",
+  emergencyContactPhone: "",
+  emergencyContactRelationship: "",
+};
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "-");
+
+// Lets a plain user apply to become a volunteer and follow the decision.
+// An admin approves it, which switches the role and creates the volunteer profile.
+function VolunteerApplicationCard() {
+  const [application, setApplication] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyApplicationForm);
+  const [showMapPicker, setShowMapPicker] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    const fetchApplications = async () => {
+      try {
+        const response = await api.get("/volunteer-applications/mine");
+        setApplication(response.data.data?.applications?.[0] || null);
+      } catch (err) {
+        setError(err.response?.data?.message || "Failed to load your volunteer application");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchApplications();
+  }, []);
+
+  const handleSkillToggle = (skill) => {
+    setForm((prev) => {
+      const skills = prev.skills.includes(skill)
+        ? prev.skills.filter((s) => s !== skill)
+        : [...prev.skills, skill];
+      return { ...prev, skills };
+    });
+  };
+
+  const handleMapCoordinateSelect = ({ lat, lon }) => {
+    setForm((prev) => ({
+      ...prev,
+      latitude: lat.toFixed ? lat.toFixed(6) : lat,
+      longitude: lon.toFixed ? lon.toFixed(6) : lon,
+    }));
+    setShowMapPicker(false);
+  };
+
+  const handleCurrentLocation = () => {
+    if (!navigator.geolocation || !window.isSecureContext) {
+      setError("Current location needs a browser with geolocation over HTTPS or localhost");
+      return;
+    }
+
+    setLocating(true);
+    setError("");
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setForm((prev) => ({
+          ...prev,
+          latitude: position.coords.latitude.toFixed(6),
+          longitude: position.coords.longitude.toFixed(6),
+        }));
+        setLocating(false);
+      },
+      (geoError) => {
+        setError(geoError?.message || "Unable to get your location");
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSuccess("");
+
+    const lat = toNumber(form.latitude);
+    const lon = toNumber(form.longitude);
+
+    if (!form.phone.trim()) {
+      setError("Phone number is required");
+      return;
+    }
+    if (form.skills.length === 0) {
+      setError("Select at least one skill");
+      return;
+    }
+    if (lat === null || lon === null || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      setError("Please set a valid location using the map or current location button");
+      return;
+    }
+    if (!form.emergencyContactName.trim() || !form.emergencyContactPhone.trim()) {
+      setError("Emergency contact name and phone are required");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await api.post("/volunteer-applications", {
+        motivation: form.motivation.trim(),
+        phone: form.phone.trim(),
+        skills: form.skills,
+        location: { type: "Point", coordinates: [lon, lat] },
+        preferredRadius: Math.max(1, Math.min(50, Number(form.preferredRadius) || 5)),
+        emergencyContact: {
+          name: form.emergencyContactName.trim(),
+          phone: form.emergencyContactPhone.trim(),
+          relationship: form.emergencyContactRelationship.trim() || "Not specified",
+        },
+      });
+      setApplication(response.data.data?.application || null);
+      setSuccess(response.data.message || "Application submitted");
+      setShowForm(false);
+      setForm(emptyApplicationForm);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to submit your application");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    setError("");
+    setSuccess("");
+    setSubmitting(true);
+    try {
+      const response = await api.delete("/volunteer-applications/mine");
+      setApplication(response.data.data?.application || null);
+      setSuccess("Application withdrawn");
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to withdraw your application");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const status = application?.status;
+  const canApply = !application || status === "rejected" || status === "withdrawn";
+
+  return (
+    <Card className="space-y-4 border-leaf-100 bg-white">
+      <SectionHeader
+        title="Become a Volunteer"
+        subtitle="Apply to respond to tree alerts near you. An admin reviews every application."
+      />
+
+      {loading ? <LoadingSpinner label="Loading application..." /> : null}
+      {error ? <FeedbackMessage tone="error">{error}</FeedbackMessage> : null}
+      {success ? <FeedbackMessage tone="success">{success}</FeedbackMessage> : null}
+
+      {!loading && application ? (
+        <div className="rounded-xl border border-slate-200 bg-slate-50 p-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-sm font-medium text-slate-700">Latest application</span>
+            <Badge variant={statusTone[status] || "neutral"}>{status?.toUpperCase()}</Badge>
+            <span className="text-xs text-slate-500">Submitted {formatDate(application.createdAt)}</span>
+          </div>
+          {status === "pending" ? (
+            <p className="mt-2 text-sm text-slate-600">Waiting for an admin to review it.</p>
+          ) : null}
+          {status === "approved" ? (
+            <p className="mt-2 text-sm text-slate-600">
+              Approved{application.reviewedAt ? ` on ${formatDate(application.reviewedAt)}` : ""}. Reload
+              the page to open your volunteer profile.
+            </p>
+          ) : null}
+          {application.reviewNote ? (
+            <p className="mt-2 text-sm text-slate-600">Reviewer note: {application.reviewNote}</p>
+          ) : null}
+          {status === "pending" ? (
+            <button
+              type="button"
+              className="btn-secondary mt-3"
+              onClick={handleWithdraw}
+              disabled={submitting}
+            >
+              {submitting ? "Withdrawing..." : "Withdraw Application"}
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+
+      {!loading && canApply && !showForm ? (
+        <button type="button" className="btn-primary" onClick={() => setShowForm(true)}>
+          {application ? "Apply Again" : "Apply to Volunteer"}
+        </button>
+      ) : null}
+
+      {showForm ? (
+        <form onSubmit={handleSubmit} noValidate className="space-y-4">
+          <div>
+            <label className="label" htmlFor="application-motivation">
+              Why do you want to volunteer?
+            </label>
+            <textarea
+              id="application-motivation"
+              className="input"
+              rows={3}
+              maxLength={1000}
+              value={form.motivation}
+              onChange={(e) => setForm((prev) => ({ ...prev, motivation: e.target.value }))}
+            />
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <div>
+              <label className="label" htmlFor="application-phone">
+                Phone Number *
+              </label>
+              <input
+                id="application-phone"
+                className="input"
+                type="tel"
+                placeholder="+94771234567"
+                value={form.phone}
+                onChange={(e) => setForm((prev) => ({ ...prev, phone: e.target.value }))}
+                required
+              />
+            </div>
+            <div>
+              <label className="label" htmlFor="application-radius">
+                Preferred Radius (km) *
+              </label>
+              <input
+                id="application-radius"
+                className="input"
+                type="number"
+                min="1"
+                max="50"
+                value={form.preferredRadius}
+                onChange={(e) => setForm((prev) => ({ ...prev, preferredRadius: e.target.value }))}
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Skills *</label>
+            <div className="grid gap-2 rounded-xl border border-slate-200 bg-slate-50 p-3 sm:grid-cols-2 md:grid-cols-3">
+              {availableSkills.map((skill) => (
+                <label key={skill} className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 hover:bg-white">
+                  <input
+                    type="checkbox"
+                    checked={form.skills.includes(skill)}
+                    onChange={() => handleSkillToggle(skill)}
+                    className="h-4 w-4 rounded border-slate-300 text-leaf-600"
+                  />
+                  <span className="text-sm font-medium text-slate-700 capitalize">{skill.replace(/_/g, " ")}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Location *</label>
+            <div className="space-y-3 rounded-xl border border-slate-200 bg-slate-50 p-3">
+              <div className="flex flex-wrap items-center gap-2">
+                <button type="button" className="btn-secondary" onClick={() => setShowMapPicker((prev) => !prev)}>
+                  {showMapPicker ? "Hide Map Picker" : "Select from Map"}
+                </button>
+                <button type="button" className="btn-secondary" onClick={handleCurrentLocation}>
+                  {locating ? "Detecting..." : "Use Current Location"}
+                </button>
+                {form.latitude && form.longitude ? (
+                  <Badge variant="info">
+                    Lat {form.latitude}, Lon {form.longitude}
+                  </Badge>
+                ) : (
+                  <Badge variant="neutral">No location selected yet</Badge>
+                )}
+              </div>
+
+              {showMapPicker ? (
+                <CoordinatePickerMap
+                  latitude={form.latitude}
+                  longitude={form.longitude}
+                  onSelect={handleMapCoordinateSelect}
+                />
+              ) : null}
+            </div>
+          </div>
+
+          <div className="border-t border-slate-200 pt-4">
+            <h4 className="mb-3 text-sm font-semibold text-slate-900">Emergency Contact *</h4>
+            <div className="grid gap-4 md:grid-cols-3">
+              <div>
+                <label className="label" htmlFor="application-emergency-name">
+                  Name *
+                </label>
+                <input
+                  id="application-emergency-name"
+                  className="input"
+                  value={form.emergencyContactName}
+                  onChange={(e) => setForm((prev) => ({ ...prev, emergencyContactName: e.target.value }))}
+                  required
+                />
+              </div>
+              <div>
+                <label className="label" htmlFor="application-emergency-phone">
+                  Phone *
+                </label>
+                <input
+                  id="application-emergency-phone"
+                  className="input"
+                  type="tel"
+                  value={form.emergencyContactPhone}
+                  onChange={(e) => setForm((prev) => ({ ...prev, emergencyContactPhone: e.target.value }))}
+                  required
+                />
+              </div>
+              <div>
+                <label className="label" htmlFor="application-emergency-relationship">
+                  Relationship
+                </label>
+                <input
+                  id="application-emergency-relationship"
+                  className="input"
+                  placeholder="e.g. Friend, Family"
+                  value={form.emergencyContactRelationship}
+                  onChange={(e) =>
+                    setForm((prev) => ({ ...prev, emergencyContactRelationship: e.target.value }))
+                  }
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-2 border-t border-slate-200 pt-4">
+            <button type="submit" className="btn-primary" disabled={submitting}>
+              {submitting ? "Submitting..." : "Submit Application"}
+            </button>
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => setShowForm(false)}
+              disabled={submitting}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : null}
+    </Card>
+  );
+}
+
+export default VolunteerApplicationCard;
@@ -1,5 +1,6 @@
 import { createContext, useEffect, useMemo, useState } from "react";
 import { authService } from "../services/authService";
+import { SESSION_EXPIRED_EVENT } from "../services/api";
 
 export const AuthContext = createContext(null);
 
@@ -59,6 +60,12 @@ export function AuthProvider({ children }) {
     clearSession();
   };
 
+  // The refresh token was revoked or expired (see services/api.js)
+  useEffect(() => {
+    window.addEventListener(SESSION_EXPIRED_EVENT, clearSession);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, clearSession);
+  }, []);
+
   useEffect(() => {
     const bootstrap = async () => {
       if (!token) return;
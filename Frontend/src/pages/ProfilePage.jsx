@@ -7,6 +7,7 @@ import Card from "../components/ui/Card";
 import Badge from "../components/ui/Badge";
 import FeedbackMessage from "../components/ui/FeedbackMessage";
 import SectionHeader from "../components/ui/SectionHeader";
+import VolunteerApplicationCard from "../components/volunteer/VolunteerApplicationCard";
 
 const roleTone = {
   admin: "info",
@@ -229,6 +230,9 @@ function ProfilePage() {
             </Card>
           </div>
 
+          {/* Volunteer Application Section */}
+          {role === "user" ? <VolunteerApplicationCard /> : null}
+
           {/* Volunteer Stats Section */}
           {role === "volunteer" && volunteerProfile ? (
             <Card className="space-y-4 border-green-100 bg-white">
@@ -11,7 +11,6 @@ function RegisterPage() {
     fullName: "",
     email: "",
     password: "",
-    role: "user",
   });
   const [error, setError] = useState("");
 
@@ -21,9 +20,7 @@ function RegisterPage() {
 
     try {
       await register(form);
-      // Redirect volunteers to profile page, others to dashboard
-      const redirectPath = form.role === "volunteer" ? "/profile" : "/dashboard";
-      navigate(redirectPath, { replace: true });
+      navigate("/dashboard", { replace: true });
     } catch (err) {
       setError(err.response?.data?.message || err.response?.data?.error || "Registration failed");
     }
@@ -84,18 +81,9 @@ function RegisterPage() {
           />
         </div>
 
-        <div>
-          <label className="label" htmlFor="role">Account Type</label>
-          <select
-            id="role"
-            className="input"
-            value={form.role}
-            onChange={(e) => setForm((prev) => ({ ...prev, role: e.target.value }))}
-          >
-            <option value="user">User</option>
-            <option value="volunteer">Volunteer</option>
-          </select>
-        </div>
+        <p className="text-xs text-slate-600">
+          Want to volunteer? Create your account first, then apply from your profile.
+        </p>
 
         {error ? <FeedbackMessage tone="error">{error}</FeedbackMessage> : null}
 
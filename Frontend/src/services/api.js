@@ -2,13 +2,16 @@ import axios from "axios";
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:5001/api";
 
+const TOKEN_KEY = "forisswell_token";
+export const SESSION_EXPIRED_EVENT = "forisswell:session-expired";
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   withCredentials: true,
 });
 
 api.interceptors.request.use((config) => {
-  const token = localStorage.getItem("forisswell_token");
+  const token = localStorage.getItem(TOKEN_KEY);
 
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
@@ -17,4 +20,45 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Access tokens are short-lived; the refresh token lives in an httpOnly cookie.
+// Concurrent 401s share one refresh request.
+let refreshing = null;
+
+const refreshAccessToken = () => {
+  if (!refreshing) {
+    refreshing = axios
+      .post(`${API_BASE_URL}/auth/refresh`, null, { withCredentials: true })
+      .then(({ data }) => {
+        localStorage.setItem(TOKEN_KEY, data.token);
+        return data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    const isAuthCall = /\/auth\/(login|register|refresh)$/.test(config?.url || "");
+
+    if (response?.status !== 401 || !config || config._retried || isAuthCall) {
+      throw error;
+    }
+
+    try {
+      const token = await refreshAccessToken();
+      config._retried = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch {
+      window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+      throw error;
+    }
+  }
+);
+
 export default api;
@@ -14,10 +14,9 @@ export const initializeSocket = (token) => {
     return socket;
   }
 
+  // Read the token on every (re)connect, since access tokens are refreshed in the background
   socket = io(SOCKET_URL, {
-    auth: {
-      token,
-    },
+    auth: (cb) => cb({ token: localStorage.getItem('forisswell_token') || token }),
     reconnection: true,
     reconnectionDelay: 1000,
     reconnectionDelayMax: 5000,